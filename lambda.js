@@ -1,4 +1,12 @@
 import serverlessExpress from '@vendia/serverless-express';
-import { app } from './src/app.js';
+import { app, runScheduledTasks } from './src/app.js';
 
-export const handler = serverlessExpress({ app });
+const httpHandler = serverlessExpress({ app });
+
+// EventBridge schedule rules invoke the same function to drain background work
+export const handler = async (event, context) => {
+  if (event?.source === 'aws.events') {
+    return runScheduledTasks();
+  }
+  return httpHandler(event, context);
+};
@@ -1,28 +1,70 @@
 import 'dotenv/config';
+import crypto from 'crypto';
 import express from 'express';
 import _ from 'lodash';
 import {
-  getUsers, putUser, deleteUser as dbDeleteUser,
-  getRepos, putRepo as dbPutRepo
+  getUsers, putUser, deleteUser as dbDeleteUser, putDeliveryHealth,
+  getRepos, putRepo as dbPutRepo,
+  getChannels, putChannel, deleteChannel,
+  getGroups, putGroup, deleteGroup,
+  getEventSubscribers, putEventSubscriber, deleteEventSubscriber,
+  getEventDeliveryStatuses, deleteEventDeliveryStatus,
+  getCodeowners, putCodeowners, deleteCodeowners,
+  getRepoSecrets, putRepoSecret, deleteRepoSecret,
+  CAN_STORE_SECRETS, SECRETS_UNAVAILABLE
 } from './lib/db.js';
+import { parseCodeowners, resolveCodeownersPath, loadCodeownersRules } from './lib/codeowners.js';
+import { quarantineRepo, listQuarantinedRepos } from './lib/quarantine.js';
 import {
   NOTIFICATION_DEFAULTS,
   sanitizeNotifications,
+  sanitizeRepoRules,
+  sanitizeCodeownerPaths,
+  sanitizeQuietHours,
+  isValidTimezone,
+  sanitizeDigestTime,
+  sanitizeCommentBatchSeconds,
+  sanitizeChannelSubscription,
+  sanitizeGroup,
+  sanitizeEventSubscriber,
+  DELIVERY_MODES,
+  DEFAULT_DIGEST_TIME,
+  DEFAULT_COMMENT_BATCH_SECONDS,
+  NOTIFY_VIA,
+  PROVIDER_LABELS,
+  DELIVERY_HEALTH_FIELDS,
   sanitizeUsername,
-  looksLikeOwnServerUrl
+  notifyProviders,
+  webhookUrlField,
+  webhookUrlError,
+  nextDeliveryHealth
 } from './lib/helpers.js';
-import { setBaseUrl, sendToTeams } from './services/cards.js';
-import { getRegistrationPage, getUnregisterPage, getEditPage, getLandingPage } from './pages/pages.js';
+import { setBaseUrl } from './services/cards.js';
+import { sendCard } from './services/notifiers.js';
+import {
+  getRegistrationPage, getUnregisterPage, getEditPage, getLandingPage,
+  getRepoSecretsPage, getChannelsPage, getGroupsPage, getCodeownersPage, getEventSubscribersPage
+} from './pages/pages.js';
 import { handleWebhook } from './services/webhook.js';
+import { DELIVERED, processDeliveryQueue, listDeadLetters, replayDeadLetter, onDeliveryAttempt } from './services/delivery.js';
+import { flushHeldNotifications } from './services/quietHours.js';
+import { flushCommentBatches } from './services/commentBatches.js';
+import { buildPingEvent, deliverEvent } from './services/eventStream.js';
 
-const GITHUB_WEBHOOK_SECRET = process.env.GITHUB_WEBHOOK_SECRET;
-const GITLAB_WEBHOOK_TOKEN = process.env.GITLAB_WEBHOOK_TOKEN;
+// Comma-separated so a new secret can be rolled out before the old one is retired
+const GITHUB_WEBHOOK_SECRETS = (process.env.GITHUB_WEBHOOK_SECRET || '').split(',').map(s => s.trim()).filter(Boolean);
+const GITLAB_WEBHOOK_TOKENS = (process.env.GITLAB_WEBHOOK_TOKEN || '').split(',').map(s => s.trim()).filter(Boolean);
 const BASE_URL = process.env.BASE_URL || 'https://git-comments-to-teams.onrender.com';
 
 setBaseUrl(BASE_URL);
 
 let users = [];
 let repos = [];
+let repoSecrets = {};
+let codeowners = {};
+let channels = [];
+let groups = [];
+let eventSubscribers = [];
 let dataLoaded = false;
 
 async function loadData() {
@@ -35,7 +77,10 @@ async function loadData() {
     }
     users.forEach((user, index) => {
       if (!user.name) console.error(`Warning: User at index ${index} is missing "name" field`);
-      if (!user.teamsWebhookUrl) console.error(`Warning: User "${user.name}" is missing "teamsWebhookUrl" field`);
+      for (const provider of notifyProviders(user)) {
+        const field = webhookUrlField(provider);
+        if (!user[field]) console.error(`Warning: User "${user.name}" is missing "${field}" field`);
+      }
     });
     console.log(`Loaded ${users.length} users`);
   } catch (error) {
@@ -47,11 +92,45 @@ async function loadData() {
   } catch (error) {
     console.error('Error loading repos:', error.message);
   }
+  try {
+    repoSecrets = await getRepoSecrets();
+    const secretCount = Object.keys(repoSecrets).length;
+    if (secretCount) console.log(`Loaded webhook secrets for ${secretCount} repos`);
+  } catch (error) {
+    console.error('Error loading repo secrets:', error.message);
+  }
+  try {
+    codeowners = await getCodeowners();
+    const codeownersCount = Object.keys(codeowners).length;
+    if (codeownersCount) console.log(`Loaded CODEOWNERS for ${codeownersCount} repos`);
+  } catch (error) {
+    console.error('Error loading CODEOWNERS:', error.message);
+  }
+  try {
+    channels = await getChannels();
+    if (channels.length) console.log(`Loaded ${channels.length} channel subscriptions`);
+  } catch (error) {
+    console.error('Error loading channel subscriptions:', error.message);
+  }
+  try {
+    groups = await getGroups();
+    if (groups.length) console.log(`Loaded ${groups.length} groups`);
+  } catch (error) {
+    console.error('Error loading groups:', error.message);
+  }
+  try {
+    eventSubscribers = await getEventSubscribers();
+    if (eventSubscribers.length) console.log(`Loaded ${eventSubscribers.length} event stream subscribers`);
+  } catch (error) {
+    console.error('Error loading event stream subscribers:', error.message);
+  }
   console.log('Config loaded:', {
     usersCount: users.length,
     users: users.map(u => ({
       name: u.name,
+      notifyVia: u.notifyVia || 'teams',
       teamsWebhookUrl: u.teamsWebhookUrl ? 'SET' : 'NOT SET',
+      slackWebhookUrl: u.slackWebhookUrl ? 'SET' : 'NOT SET',
       github: u.github?.username,
       gitlab: `${u.gitlab?.username} (${u.gitlab?.userId})`
     })),
@@ -64,7 +143,12 @@ await loadData();
 
 const app = express();
 
-app.use(express.json());
+// Webhook signatures are computed over the exact bytes sent, so keep them around
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.path.startsWith('/webhook')) req.rawBody = buf;
+  }
+}));
 
 // Basic auth for UI routes (only active when BASIC_AUTH_USER is set)
 const OPEN_PATHS = ['/webhook', '/webhook/github', '/webhook/gitlab', '/health'];
@@ -89,6 +173,14 @@ app.use((req, res, next) => {
   return res.status(401).send('Invalid credentials');
 });
 
+// Admin routes can change how webhooks are authenticated, so never serve them unauthenticated
+function requireAdmin(req, res, next) {
+  if (!process.env.BASIC_AUTH_USER) {
+    return res.status(403).send('Admin pages are disabled. Set BASIC_AUTH_USER and BASIC_AUTH_PASS to enable them.');
+  }
+  next();
+}
+
 // ── Repo tracking ──
 
 async function addRepoIfNew(repoKey) {
@@ -103,6 +195,78 @@ async function addRepoIfNew(repoKey) {
   }
 }
 
+// ── Delivery health ──
+
+// Returns the user's consecutive failures, which drive the admin alert in delivery.js
+async function recordDeliveryHealth(userName, result, provider) {
+  const userIndex = users.findIndex(u => u.name === userName);
+  if (userIndex === -1) return 0;
+
+  const fields = DELIVERY_HEALTH_FIELDS[provider];
+  const updatedUser = nextDeliveryHealth(users[userIndex], result, Date.now(), provider);
+  if (!updatedUser) return users[userIndex][fields.health]?.consecutiveFailures || 0;
+
+  const label = PROVIDER_LABELS[provider];
+  if (updatedUser[fields.broken] && !users[userIndex][fields.broken]) {
+    console.error(`Marking ${label} webhook for ${userName} as broken after ${updatedUser[fields.health].consecutiveFailures} consecutive failures`);
+  } else if (!updatedUser[fields.broken] && users[userIndex][fields.broken]) {
+    console.log(`${label} webhook for ${userName} is delivering again`);
+  }
+
+  users[userIndex] = updatedUser;
+  try {
+    await putDeliveryHealth(updatedUser, [...users]);
+  } catch (err) {
+    console.error(`Failed to save delivery health for ${userName}:`, err.message);
+  }
+  return updatedUser[fields.health].consecutiveFailures;
+}
+
+onDeliveryAttempt(recordDeliveryHealth);
+
+// ── Notification providers ──
+
+// Returns the provider choice and a webhook URL for each chosen provider, or an
+// error for the first one that's missing or invalid.
+function parseWebhookSettings(body) {
+  const notifyVia = body.notifyVia || 'teams';
+  if (!NOTIFY_VIA.includes(notifyVia)) {
+    return { error: `Notify via must be one of: ${NOTIFY_VIA.join(', ')}` };
+  }
+  const webhookUrls = {};
+  for (const provider of notifyProviders({ notifyVia })) {
+    const url = (body[webhookUrlField(provider)] || '').trim();
+    if (!url) return { error: `${PROVIDER_LABELS[provider]} Webhook URL is required` };
+    const error = webhookUrlError(provider, url, BASE_URL);
+    if (error) return { error };
+    webhookUrls[provider] = url;
+  }
+  return { notifyVia, webhookUrls };
+}
+
+// URLs for providers the user no longer uses are dropped, and a changed URL
+// starts with a clean health record.
+function applyWebhookSettings(user, { notifyVia, webhookUrls }) {
+  const updated = { ...user };
+  if (notifyVia === 'teams') {
+    delete updated.notifyVia;
+  } else {
+    updated.notifyVia = notifyVia;
+  }
+  for (const [provider, fields] of Object.entries(DELIVERY_HEALTH_FIELDS)) {
+    const field = webhookUrlField(provider);
+    if (webhookUrls[provider] === user[field]) continue;
+    delete updated[fields.health];
+    delete updated[fields.broken];
+    if (webhookUrls[provider]) {
+      updated[field] = webhookUrls[provider];
+    } else {
+      delete updated[field];
+    }
+  }
+  return updated;
+}
+
 // ── Routes ──
 
 app.get('/', (req, res) => {
@@ -115,17 +279,14 @@ app.get('/register', (req, res) => {
 
 app.post('/register', async (req, res) => {
   try {
-    const { teamsWebhookUrl, gitlabUserId } = req.body;
+    const { gitlabUserId, timezone, deliveryMode } = req.body;
     const mentionAliases = (req.body.mentionAliases || []).map(a => sanitizeUsername(a)).filter(Boolean);
     const gitlabUsername = sanitizeUsername(req.body.gitlabUsername);
     const githubUsername = sanitizeUsername(req.body.githubUsername);
 
-    if (!teamsWebhookUrl) {
-      return res.status(400).json({ error: 'Teams Webhook URL is required' });
-    }
-
-    if (looksLikeOwnServerUrl(teamsWebhookUrl, BASE_URL)) {
-      return res.status(400).json({ error: 'That looks like this server\'s URL, not a Teams webhook URL. Please paste the workflow URL from Power Automate — see the instructions above.' });
+    const webhookSettings = parseWebhookSettings(req.body);
+    if (webhookSettings.error) {
+      return res.status(400).json({ error: webhookSettings.error });
     }
 
     if (!gitlabUsername && !githubUsername) {
@@ -140,6 +301,14 @@ app.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'GitLab User ID must be a number' });
     }
 
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    }
+
+    if (deliveryMode && !DELIVERY_MODES.includes(deliveryMode)) {
+      return res.status(400).json({ error: `Delivery mode must be one of: ${DELIVERY_MODES.join(', ')}` });
+    }
+
     if (gitlabUsername) {
       const isDuplicate = users.some(u => _.get(u, 'gitlab.username', '').toLowerCase() === gitlabUsername.toLowerCase().trim());
       if (isDuplicate) {
@@ -151,7 +320,7 @@ app.post('/register', async (req, res) => {
       ? gitlabUsername.toLowerCase()
       : githubUsername.toLowerCase();
 
-    const newUser = { name, teamsWebhookUrl };
+    const newUser = applyWebhookSettings({ name }, webhookSettings);
 
     if (gitlabUsername) {
       newUser.gitlab = { username: gitlabUsername, userId: Number(gitlabUserId) };
@@ -167,6 +336,25 @@ app.post('/register', async (req, res) => {
 
     newUser.notifications = sanitizeNotifications(req.body.notifications) || { ...NOTIFICATION_DEFAULTS };
 
+    if (timezone) {
+      newUser.timezone = timezone;
+    }
+
+    const commentBatchSeconds = sanitizeCommentBatchSeconds(req.body.commentBatchSeconds);
+    if (commentBatchSeconds !== undefined) {
+      newUser.commentBatchSeconds = commentBatchSeconds;
+    }
+
+    if (deliveryMode && deliveryMode !== 'instant') {
+      newUser.deliveryMode = deliveryMode;
+      newUser.digestTime = sanitizeDigestTime(req.body.digestTime) || DEFAULT_DIGEST_TIME;
+    }
+
+    const quietHours = sanitizeQuietHours(req.body.quietHours);
+    if (quietHours) {
+      newUser.quietHours = quietHours;
+    }
+
     const testCard = {
       type: 'message',
       attachments: [{
@@ -182,16 +370,17 @@ app.post('/register', async (req, res) => {
             color: 'Good'
           }, {
             type: 'TextBlock',
-            text: `Hi ${name}! You're all set. You'll start receiving Teams alerts for comments, reviews, merges, and pipeline events.`,
+            text: `Hi ${name}! You're all set. You'll start receiving alerts here for comments, reviews, merges, and pipeline events.`,
             wrap: true
           }]
         }
       }]
     };
 
-    const webhookValid = await sendToTeams(testCard, teamsWebhookUrl);
-    if (!webhookValid) {
-      return res.status(400).json({ error: 'Could not send to that Teams webhook URL. Please check it and try again.' });
+    for (const [provider, url] of Object.entries(webhookSettings.webhookUrls)) {
+      if (!await sendCard(testCard, url, provider)) {
+        return res.status(400).json({ error: `Could not send to that ${PROVIDER_LABELS[provider]} webhook URL. Please check it and try again.` });
+      }
     }
 
     const updatedUsers = [...users, newUser];
@@ -205,7 +394,8 @@ app.post('/register', async (req, res) => {
     users.push(newUser);
 
     console.log(`New user registered: ${name}`);
-    res.json({ message: `Welcome, ${name}! You're all set. A test notification was sent to your Teams channel. The server will redeploy in about a minute to make it permanent.` });
+    const destinations = notifyProviders(newUser).map(provider => PROVIDER_LABELS[provider]).join(' and ');
+    res.json({ message: `Welcome, ${name}! You're all set. A test notification was sent to ${destinations}. The server will redeploy in about a minute to make it permanent.` });
   } catch (err) {
     console.error('Registration error:', err);
     res.status(500).json({ error: 'Something went wrong. Please try again.' });
@@ -259,30 +449,53 @@ app.get('/api/user/:gitlabUsername', (req, res) => {
     return res.status(404).json({ error: `No user found with GitLab username "${req.params.gitlabUsername}"` });
   }
   res.json({
+    notifyVia: user.notifyVia || 'teams',
     teamsWebhookUrl: user.teamsWebhookUrl,
+    slackWebhookUrl: user.slackWebhookUrl,
     github: user.github,
     gitlab: user.gitlab,
     mentionAliases: user.mentionAliases || [],
-    notifications: user.notifications || {}
+    notifications: user.notifications || {},
+    repoRules: user.repoRules || [],
+    codeownerPaths: user.codeownerPaths || [],
+    timezone: user.timezone || null,
+    deliveryMode: user.deliveryMode || 'instant',
+    digestTime: user.digestTime || null,
+    commentBatchSeconds: user.commentBatchSeconds ?? DEFAULT_COMMENT_BATCH_SECONDS,
+    quietHours: user.quietHours || null,
+    webhookBroken: !!user.webhookBroken,
+    deliveryHealth: user.deliveryHealth || null,
+    slackWebhookBroken: !!user.slackWebhookBroken,
+    slackDeliveryHealth: user.slackDeliveryHealth || null
   });
 });
 
+app.get('/api/repos', (req, res) => {
+  res.json({ repos: [...repos].sort() });
+});
+
 app.post('/edit', async (req, res) => {
   try {
     const gitlabUsername = sanitizeUsername(req.body.gitlabUsername);
     const githubUsername = sanitizeUsername(req.body.githubUsername);
-    const { teamsWebhookUrl } = req.body;
+    const { timezone, deliveryMode } = req.body;
     const mentionAliases = (req.body.mentionAliases || []).map(a => sanitizeUsername(a)).filter(Boolean);
 
     if (!gitlabUsername) {
       return res.status(400).json({ error: 'GitLab username is required' });
     }
-    if (!teamsWebhookUrl) {
-      return res.status(400).json({ error: 'Teams Webhook URL is required' });
+
+    const webhookSettings = parseWebhookSettings(req.body);
+    if (webhookSettings.error) {
+      return res.status(400).json({ error: webhookSettings.error });
     }
 
-    if (looksLikeOwnServerUrl(teamsWebhookUrl, BASE_URL)) {
-      return res.status(400).json({ error: 'That looks like this server\'s URL, not a Teams webhook URL. Please paste the workflow URL from Power Automate.' });
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+    }
+
+    if (deliveryMode && !DELIVERY_MODES.includes(deliveryMode)) {
+      return res.status(400).json({ error: `Delivery mode must be one of: ${DELIVERY_MODES.join(', ')}` });
     }
 
     const usernameLower = gitlabUsername.toLowerCase().trim();
@@ -291,7 +504,7 @@ app.post('/edit', async (req, res) => {
       return res.status(404).json({ error: `No user found with GitLab username "${gitlabUsername}"` });
     }
 
-    const updatedUser = { ...users[userIndex], teamsWebhookUrl };
+    const updatedUser = applyWebhookSettings(users[userIndex], webhookSettings);
 
     if (githubUsername) {
       updatedUser.github = { username: githubUsername };
@@ -310,6 +523,44 @@ app.post('/edit', async (req, res) => {
       updatedUser.notifications = notifications;
     }
 
+    if (timezone) {
+      updatedUser.timezone = timezone;
+    } else {
+      delete updatedUser.timezone;
+    }
+
+    const commentBatchSeconds = sanitizeCommentBatchSeconds(req.body.commentBatchSeconds);
+    if (commentBatchSeconds !== undefined) {
+      updatedUser.commentBatchSeconds = commentBatchSeconds;
+    }
+
+    if (deliveryMode && deliveryMode !== 'instant') {
+      updatedUser.deliveryMode = deliveryMode;
+      updatedUser.digestTime = sanitizeDigestTime(req.body.digestTime) || DEFAULT_DIGEST_TIME;
+    } else if (deliveryMode) {
+      delete updatedUser.deliveryMode;
+      delete updatedUser.digestTime;
+    }
+
+    const quietHours = sanitizeQuietHours(req.body.quietHours);
+    if (quietHours) {
+      updatedUser.quietHours = quietHours;
+    }
+
+    const repoRules = sanitizeRepoRules(req.body.repoRules);
+    if (repoRules && repoRules.length > 0) {
+      updatedUser.repoRules = repoRules;
+    } else if (repoRules) {
+      delete updatedUser.repoRules;
+    }
+
+    const codeownerPaths = sanitizeCodeownerPaths(req.body.codeownerPaths);
+    if (codeownerPaths && codeownerPaths.length > 0) {
+      updatedUser.codeownerPaths = codeownerPaths;
+    } else if (codeownerPaths) {
+      delete updatedUser.codeownerPaths;
+    }
+
     if (_.isEqual(users[userIndex], updatedUser)) {
       console.log(`No-op save for ${updatedUser.name} — skipping write`);
       return res.json({ message: 'No changes to save.' });
@@ -335,12 +586,488 @@ app.post('/edit', async (req, res) => {
   }
 });
 
+// ── Channel subscriptions ──
+
+const CHANNEL_ACTIONS = ['save', 'remove'];
+
+app.get('/channels', requireAdmin, (req, res) => {
+  res.send(getChannelsPage());
+});
+
+// Webhook URLs are never sent back, only their host, so listing channels can't leak them
+app.get('/api/channels', requireAdmin, (req, res) => {
+  res.json(channels.map(({ webhookUrl, ...channel }) => {
+    let webhookHost = null;
+    try {
+      webhookHost = new URL(webhookUrl).hostname;
+    } catch {}
+    return { ...channel, webhookHost };
+  }));
+});
+
+app.post('/channels', requireAdmin, async (req, res) => {
+  try {
+    const { action, id } = req.body;
+    if (!CHANNEL_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${CHANNEL_ACTIONS.join(', ')}` });
+    }
+
+    const existing = id ? channels.find(c => c.id === id) : null;
+    if (id && !existing) {
+      return res.status(404).json({ error: 'Channel subscription not found' });
+    }
+
+    if (action === 'remove') {
+      if (!existing) return res.status(400).json({ error: 'Channel id is required' });
+      const updatedChannels = channels.filter(c => c.id !== id);
+      try {
+        await deleteChannel(existing, updatedChannels);
+      } catch (err) {
+        console.error(`Failed to remove channel ${existing.name}:`, err.message);
+        return res.status(500).json({ error: 'Failed to save changes. Ask an admin to check the server logs.' });
+      }
+      channels = updatedChannels;
+      console.log(`Channel subscription removed: ${existing.name}`);
+      return res.json({ message: `${existing.name} has been removed.` });
+    }
+
+    const { channel, error } = sanitizeChannelSubscription(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const webhookUrl = (req.body.webhookUrl || '').trim() || existing?.webhookUrl;
+    if (!webhookUrl) {
+      return res.status(400).json({ error: 'Teams Webhook URL is required' });
+    }
+    const urlError = webhookUrlError('teams', webhookUrl, BASE_URL);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const saved = {
+      id: existing?.id || crypto.randomUUID(),
+      ...channel,
+      webhookUrl,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    const updatedChannels = existing
+      ? channels.map(c => (c.id === saved.id ? saved : c))
+      : [...channels, saved];
+
+    try {
+      await putChannel(saved, updatedChannels);
+    } catch (err) {
+      console.error(`Failed to save channel ${saved.name}:`, err.message);
+      return res.status(500).json({ error: 'Failed to save changes. Ask an admin to check the server logs.' });
+    }
+    channels = updatedChannels;
+
+    console.log(`Channel subscription ${existing ? 'updated' : 'created'}: ${saved.name}`);
+    res.json({ message: `${saved.name} saved. Changes take effect within about a minute.`, id: saved.id });
+  } catch (err) {
+    console.error('Channel update error:', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
+
+// ── Groups ──
+
+const GROUP_ACTIONS = ['save', 'remove'];
+
+app.get('/groups', requireAdmin, (req, res) => {
+  res.send(getGroupsPage());
+});
+
+app.get('/api/groups', requireAdmin, (req, res) => {
+  res.json(groups);
+});
+
+app.post('/groups', requireAdmin, async (req, res) => {
+  try {
+    const { action, id } = req.body;
+    if (!GROUP_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${GROUP_ACTIONS.join(', ')}` });
+    }
+
+    const existing = id ? groups.find(g => g.id === id) : null;
+    if (id && !existing) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (action === 'remove') {
+      if (!existing) return res.status(400).json({ error: 'Group id is required' });
+      const updatedGroups = groups.filter(g => g.id !== id);
+      try {
+        await deleteGroup(existing, updatedGroups);
+      } catch (err) {
+        console.error(`Failed to remove group ${existing.name}:`, err.message);
+        return res.status(500).json({ error: 'Failed to save changes. Ask an admin to check the server logs.' });
+      }
+      groups = updatedGroups;
+      console.log(`Group removed: ${existing.name}`);
+      return res.json({ message: `${existing.name} has been removed.` });
+    }
+
+    const { group, error } = sanitizeGroup(req.body, users);
+    if (error) return res.status(400).json({ error });
+
+    const saved = {
+      id: existing?.id || crypto.randomUUID(),
+      ...group,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    const updatedGroups = existing
+      ? groups.map(g => (g.id === saved.id ? saved : g))
+      : [...groups, saved];
+
+    try {
+      await putGroup(saved, updatedGroups);
+    } catch (err) {
+      console.error(`Failed to save group ${saved.name}:`, err.message);
+      return res.status(500).json({ error: 'Failed to save changes. Ask an admin to check the server logs.' });
+    }
+    groups = updatedGroups;
+
+    console.log(`Group ${existing ? 'updated' : 'created'}: ${saved.name} (${saved.members.length} members)`);
+    res.json({ message: `${saved.name} saved. Changes take effect within about a minute.`, id: saved.id });
+  } catch (err) {
+    console.error('Group update error:', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
+
+// ── Admin: per-repo webhook secrets ──
+
+const REPO_KEY_PATTERN = /^(github|gitlab):\S+$/;
+const SECRET_ACTIONS = ['set', 'rotate', 'retire', 'remove'];
+
+app.get('/admin/secrets', requireAdmin, (req, res) => {
+  res.send(getRepoSecretsPage());
+});
+
+app.get('/api/admin/secrets', requireAdmin, (req, res) => {
+  const repoKeys = _.uniq([...repos, ...Object.keys(repoSecrets)]).sort();
+  res.json(repoKeys.map(repoKey => {
+    const entry = repoSecrets[repoKey];
+    return {
+      repoKey,
+      configured: !!entry,
+      hasPrevious: !!entry?.previousSecret,
+      updatedAt: entry?.updatedAt || null
+    };
+  }));
+});
+
+app.post('/admin/secrets', requireAdmin, async (req, res) => {
+  try {
+    const repoKey = (req.body.repoKey || '').trim();
+    const { action } = req.body;
+
+    if (!REPO_KEY_PATTERN.test(repoKey)) {
+      return res.status(400).json({ error: 'Repo key must look like github:owner/repo or gitlab:group/project' });
+    }
+    if (!SECRET_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${SECRET_ACTIONS.join(', ')}` });
+    }
+    if (!CAN_STORE_SECRETS) {
+      return res.status(409).json({ error: SECRETS_UNAVAILABLE });
+    }
+
+    const existing = repoSecrets[repoKey];
+    if ((action === 'retire' || action === 'remove') && !existing) {
+      return res.status(404).json({ error: `No secret configured for ${repoKey}` });
+    }
+
+    const updatedSecrets = { ...repoSecrets };
+    let generated;
+
+    if (action === 'remove') {
+      delete updatedSecrets[repoKey];
+      try {
+        await deleteRepoSecret(repoKey, updatedSecrets);
+      } catch (err) {
+        console.error(`Failed to remove secret for ${repoKey}:`, err.message);
+        return res.status(500).json({ error: 'Failed to save changes. Check the server logs.' });
+      }
+      repoSecrets = updatedSecrets;
+      console.log(`Webhook secret removed for ${repoKey}`);
+      return res.json({ message: `${repoKey} now uses the global webhook secret.` });
+    }
+
+    let entry;
+    if (action === 'retire') {
+      entry = { secret: existing.secret, updatedAt: new Date().toISOString() };
+    } else {
+      const secret = (req.body.secret || '').trim() || (generated = crypto.randomBytes(24).toString('hex'));
+      entry = { secret, updatedAt: new Date().toISOString() };
+      if (action === 'rotate' && existing) entry.previousSecret = existing.secret;
+    }
+
+    updatedSecrets[repoKey] = entry;
+    try {
+      await putRepoSecret(repoKey, entry, updatedSecrets);
+    } catch (err) {
+      console.error(`Failed to save secret for ${repoKey}:`, err.message);
+      return res.status(500).json({ error: 'Failed to save changes. Check the server logs.' });
+    }
+    repoSecrets = updatedSecrets;
+
+    console.log(`Webhook secret ${action} for ${repoKey}`);
+    const messages = {
+      set: `Secret saved for ${repoKey}.`,
+      rotate: `New secret saved for ${repoKey}. The previous secret is still accepted until you retire it.`,
+      retire: `Previous secret retired for ${repoKey}.`
+    };
+    res.json({ message: messages[action], ...(generated && { secret: generated }) });
+  } catch (err) {
+    console.error('Secret update error:', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
+
+// ── Admin: CODEOWNERS ──
+
+const CODEOWNERS_ACTIONS = ['set', 'remove'];
+
+app.get('/admin/codeowners', requireAdmin, (req, res) => {
+  res.send(getCodeownersPage());
+});
+
+app.get('/api/admin/codeowners', requireAdmin, async (req, res) => {
+  const repoKeys = _.uniq([...repos, ...Object.keys(codeowners)]).sort();
+  res.json(await Promise.all(repoKeys.map(async repoKey => {
+    const entry = codeowners[repoKey];
+    const rules = await loadCodeownersRules(entry);
+    return {
+      repoKey,
+      configured: !!entry,
+      path: entry?.path || null,
+      ruleCount: rules ? rules.length : null,
+      updatedAt: entry?.updatedAt || null
+    };
+  })));
+});
+
+app.post('/admin/codeowners', requireAdmin, async (req, res) => {
+  try {
+    const repoKey = (req.body.repoKey || '').trim();
+    const { action } = req.body;
+
+    if (!REPO_KEY_PATTERN.test(repoKey)) {
+      return res.status(400).json({ error: 'Repo key must look like github:owner/repo or gitlab:group/project' });
+    }
+    if (!CODEOWNERS_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${CODEOWNERS_ACTIONS.join(', ')}` });
+    }
+
+    const updatedCodeowners = { ...codeowners };
+
+    if (action === 'remove') {
+      if (!codeowners[repoKey]) {
+        return res.status(404).json({ error: `No CODEOWNERS configured for ${repoKey}` });
+      }
+      delete updatedCodeowners[repoKey];
+      try {
+        await deleteCodeowners(repoKey, updatedCodeowners);
+      } catch (err) {
+        console.error(`Failed to remove CODEOWNERS for ${repoKey}:`, err.message);
+        return res.status(500).json({ error: 'Failed to save changes. Check the server logs.' });
+      }
+      codeowners = updatedCodeowners;
+      console.log(`CODEOWNERS removed for ${repoKey}`);
+      return res.json({ message: `CODEOWNERS removed for ${repoKey}.` });
+    }
+
+    const content = typeof req.body.content === 'string' ? req.body.content : '';
+    const path = (req.body.path || '').trim();
+    if (!!content.trim() === !!path) {
+      return res.status(400).json({ error: 'Paste the CODEOWNERS file or give a path to it on the server, not both' });
+    }
+    if (path && !resolveCodeownersPath(path)) {
+      return res.status(400).json({
+        error: process.env.CODEOWNERS_ROOT
+          ? 'The path must be relative to CODEOWNERS_ROOT and stay inside it'
+          : 'Server paths are disabled. Set CODEOWNERS_ROOT, or paste the file instead.'
+      });
+    }
+
+    const entry = path
+      ? { path, updatedAt: new Date().toISOString() }
+      : { content, updatedAt: new Date().toISOString() };
+    const rules = path ? await loadCodeownersRules(entry) : parseCodeowners(content);
+    if (!rules) {
+      return res.status(400).json({ error: `Couldn't read ${path} on the server` });
+    }
+    if (rules.length === 0) {
+      return res.status(400).json({ error: 'No CODEOWNERS rules found' });
+    }
+
+    updatedCodeowners[repoKey] = entry;
+    try {
+      await putCodeowners(repoKey, entry, updatedCodeowners);
+    } catch (err) {
+      console.error(`Failed to save CODEOWNERS for ${repoKey}:`, err.message);
+      return res.status(500).json({ error: 'Failed to save changes. Check the server logs.' });
+    }
+    codeowners = updatedCodeowners;
+
+    console.log(`CODEOWNERS saved for ${repoKey} (${rules.length} rules${path ? ` from ${path}` : ''})`);
+    res.json({ message: `Saved ${rules.length} CODEOWNERS rule${rules.length === 1 ? '' : 's'} for ${repoKey}.` });
+  } catch (err) {
+    console.error('CODEOWNERS update error:', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
+
+// ── Admin: event stream subscribers ──
+
+const SUBSCRIBER_ACTIONS = ['save', 'rotate', 'test', 'remove'];
+
+app.get('/admin/events', requireAdmin, (req, res) => {
+  res.send(getEventSubscribersPage());
+});
+
+// Secrets are only ever shown once, when they're generated
+app.get('/api/admin/events', requireAdmin, async (req, res) => {
+  let statuses = {};
+  try {
+    statuses = await getEventDeliveryStatuses();
+  } catch (err) {
+    console.error('Failed to load event delivery status:', err.message);
+  }
+  res.json(eventSubscribers.map(({ secret, ...subscriber }) => ({
+    ...subscriber,
+    status: statuses[subscriber.id] || null
+  })));
+});
+
+app.post('/admin/events', requireAdmin, async (req, res) => {
+  try {
+    const { action, id } = req.body;
+    if (!SUBSCRIBER_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${SUBSCRIBER_ACTIONS.join(', ')}` });
+    }
+    if (!CAN_STORE_SECRETS) {
+      return res.status(409).json({ error: SECRETS_UNAVAILABLE });
+    }
+
+    const existing = id ? eventSubscribers.find(s => s.id === id) : null;
+    if (id && !existing) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    if (action !== 'save' && !existing) {
+      return res.status(400).json({ error: 'Subscriber id is required' });
+    }
+
+    if (action === 'test') {
+      const delivery = await deliverEvent(existing, buildPingEvent(existing));
+      return res.json({
+        delivery,
+        message: delivery === DELIVERED
+          ? `Ping delivered to ${existing.name}.`
+          : `Ping to ${existing.name} failed. See its recent deliveries below.`
+      });
+    }
+
+    if (action === 'remove') {
+      const updatedSubscribers = eventSubscribers.filter(s => s.id !== id);
+      try {
+        await deleteEventSubscriber(existing, updatedSubscribers);
+        await deleteEventDeliveryStatus(existing.id);
+      } catch (err) {
+        console.error(`Failed to remove event subscriber ${existing.name}:`, err.message);
+        return res.status(500).json({ error: 'Failed to save changes. Check the server logs.' });
+      }
+      eventSubscribers = updatedSubscribers;
+      console.log(`Event subscriber removed: ${existing.name}`);
+      return res.json({ message: `${existing.name} has been removed.` });
+    }
+
+    let saved;
+    let generated;
+    if (action === 'rotate') {
+      generated = crypto.randomBytes(32).toString('hex');
+      saved = { ...existing, secret: generated, updatedAt: new Date().toISOString() };
+    } else {
+      const { subscriber, error } = sanitizeEventSubscriber(req.body);
+      if (error) return res.status(400).json({ error });
+      if (!existing) generated = crypto.randomBytes(32).toString('hex');
+      saved = {
+        id: existing?.id || crypto.randomUUID(),
+        ...subscriber,
+        enabled: req.body.enabled !== false,
+        secret: existing?.secret || generated,
+        createdAt: existing?.createdAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+    }
+
+    const updatedSubscribers = existing
+      ? eventSubscribers.map(s => (s.id === saved.id ? saved : s))
+      : [...eventSubscribers, saved];
+    try {
+      await putEventSubscriber(saved, updatedSubscribers);
+    } catch (err) {
+      console.error(`Failed to save event subscriber ${saved.name}:`, err.message);
+      return res.status(500).json({ error: 'Failed to save changes. Check the server logs.' });
+    }
+    eventSubscribers = updatedSubscribers;
+
+    console.log(`Event subscriber ${action === 'rotate' ? 'secret rotated' : existing ? 'updated' : 'created'}: ${saved.name}`);
+    const message = action === 'rotate'
+      ? `New signing secret for ${saved.name}. The old one stops working immediately.`
+      : `${saved.name} saved.`;
+    res.json({ message, id: saved.id, ...(generated && { secret: generated }) });
+  } catch (err) {
+    console.error('Event subscriber update error:', err);
+    res.status(500).json({ error: 'Something went wrong. Please try again.' });
+  }
+});
+
+// ── Admin: undeliverable notifications ──
+
+app.get('/admin/dead-letters', requireAdmin, async (req, res) => {
+  try {
+    res.json(await listDeadLetters());
+  } catch (err) {
+    console.error('Failed to list dead letters:', err.message);
+    res.status(500).json({ error: 'Failed to load dead letters. Check the server logs.' });
+  }
+});
+
+app.post('/admin/dead-letters/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const delivery = await replayDeadLetter(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: `No dead letter with id "${req.params.id}"` });
+    }
+    res.json({ id: req.params.id, delivery });
+  } catch (err) {
+    console.error('Failed to replay dead letter:', err.message);
+    res.status(500).json({ error: 'Failed to replay. Check the server logs.' });
+  }
+});
+
+// ── Admin: rejected webhooks ──
+
+// Not on /health, which is public: this names repos and source IPs
+app.get('/api/admin/quarantine', requireAdmin, (req, res) => {
+  res.json(listQuarantinedRepos());
+});
+
 const webhookHandler = (req, res) => {
   handleWebhook(req, res, {
     users,
+    channels,
+    groups,
+    codeowners,
+    eventSubscribers,
     addRepoIfNew,
-    githubSecret: GITHUB_WEBHOOK_SECRET,
-    gitlabToken: GITLAB_WEBHOOK_TOKEN
+    quarantineRepo,
+    repoSecrets,
+    githubSecrets: GITHUB_WEBHOOK_SECRETS,
+    gitlabTokens: GITLAB_WEBHOOK_TOKENS
   });
 };
 
@@ -353,13 +1080,36 @@ app.get('/health', (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     users: users.map(u => u.name),
-    repos
+    repos,
+    brokenWebhooks: users.flatMap(u => Object.entries(DELIVERY_HEALTH_FIELDS)
+      .filter(([, fields]) => u[fields.broken])
+      .map(([provider, fields]) => ({
+        name: u.name,
+        provider,
+        consecutiveFailures: u[fields.health]?.consecutiveFailures,
+        lastErrorStatus: u[fields.health]?.lastErrorStatus,
+        lastErrorAt: u[fields.health]?.lastErrorAt,
+        lastSuccessAt: u[fields.health]?.lastSuccessAt
+      })))
   });
 });
 
+// Background work: run on a timer in-process, or from a scheduled event on Lambda (see lambda.js)
+const SCHEDULER_INTERVAL_MS = 15 * 1000;
+
+async function runScheduledTasks() {
+  const deliveries = await processDeliveryQueue();
+  const commentBatches = await flushCommentBatches(users);
+  const held = await flushHeldNotifications(users);
+  return { deliveries, commentBatches, held };
+}
+
 // Start server (skip in Lambda -- serverless-express handles it)
 if (!process.env.AWS_LAMBDA_FUNCTION_NAME) {
   const port = process.env.PORT || 3000;
+  setInterval(() => {
+    runScheduledTasks().catch(err => console.error('Scheduled tasks failed:', err.message));
+  }, SCHEDULER_INTERVAL_MS);
   app.listen(port, () => {
     console.log(`PR Comment Notifier running on port ${port}`);
     console.log(`Register: http://localhost:${port}/register`);
@@ -368,4 +1118,4 @@ if (!process.env.AWS_LAMBDA_FUNCTION_NAME) {
   });
 }
 
-export { app };
+export { app, runScheduledTasks };
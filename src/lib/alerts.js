@@ -0,0 +1,114 @@
+const ALERT_COOLDOWN_MS = 15 * 60 * 1000;
+const ALERT_TIMEOUT_MS = 5000;
+const SIGNATURE_FAILURE_THRESHOLD = 10;
+const SIGNATURE_FAILURE_WINDOW_MS = 5 * 60 * 1000;
+// Repo keys come from unauthenticated requests, so only this many are told apart
+const MAX_TRACKED_REPOS = 100;
+const OTHER_REPOS = '(other repos)';
+
+const lastAlertAt = new Map();
+const suppressedCounts = new Map();
+let signatureWindow = { startedAt: 0, total: 0, byRepo: new Map() };
+
+function createAlertCard(title, facts) {
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: title,
+              weight: 'Bolder',
+              size: 'Medium',
+              color: 'Attention',
+              wrap: true
+            },
+            {
+              type: 'FactSet',
+              facts: [
+                ...facts,
+                { title: 'Time:', value: new Date().toISOString() }
+              ]
+            }
+          ]
+        }
+      }
+    ]
+  };
+}
+
+// Alerts sharing a key are sent at most once per cooldown; the next one
+// that goes out reports how many were held back in between. Callers await it,
+// since Lambda freezes anything still running once the response is sent.
+async function sendAdminAlert(key, title, facts = []) {
+  const webhookUrl = process.env.ADMIN_WEBHOOK_URL;
+  if (!webhookUrl) return false;
+
+  const last = lastAlertAt.get(key);
+  if (last && Date.now() - last < ALERT_COOLDOWN_MS) {
+    suppressedCounts.set(key, (suppressedCounts.get(key) || 0) + 1);
+    console.log(`Suppressing admin alert "${key}" (rate-limited)`);
+    return false;
+  }
+
+  const suppressed = suppressedCounts.get(key) || 0;
+  lastAlertAt.set(key, Date.now());
+  suppressedCounts.delete(key);
+
+  const allFacts = suppressed > 0
+    ? [...facts, { title: 'Suppressed since last alert:', value: String(suppressed) }]
+    : facts;
+
+  try {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(createAlertCard(title, allFacts)),
+      signal: AbortSignal.timeout(ALERT_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      console.error(`Failed to send admin alert "${key}":`, response.status);
+      return false;
+    }
+    console.log(`Sent admin alert "${key}"`);
+    return true;
+  } catch (error) {
+    console.error(`Error sending admin alert "${key}":`, error.message);
+    return false;
+  }
+}
+
+// Counted in fixed windows with per-repo counters, so a flood of bad requests
+// costs the same per request and the memory stays bounded.
+async function recordSignatureFailure(repoKey, reason, now = Date.now()) {
+  if (now - signatureWindow.startedAt >= SIGNATURE_FAILURE_WINDOW_MS) {
+    signatureWindow = { startedAt: now, total: 0, byRepo: new Map() };
+  }
+  signatureWindow.total++;
+  const countedAs = signatureWindow.byRepo.has(repoKey) || signatureWindow.byRepo.size < MAX_TRACKED_REPOS
+    ? repoKey
+    : OTHER_REPOS;
+  signatureWindow.byRepo.set(countedAs, (signatureWindow.byRepo.get(countedAs) || 0) + 1);
+  if (signatureWindow.total < SIGNATURE_FAILURE_THRESHOLD) return false;
+
+  const topRepos = [...signatureWindow.byRepo.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 5)
+    .map(([key, count]) => `${key} (${count})`)
+    .join(', ');
+
+  return sendAdminAlert('signature-failures', '🚨 Spike in webhook verification failures', [
+    { title: 'Failures:', value: `${signatureWindow.total} in the last ${SIGNATURE_FAILURE_WINDOW_MS / 60000} minutes` },
+    { title: 'Repos:', value: topRepos },
+    { title: 'Latest reason:', value: reason }
+  ]);
+}
+
+export { sendAdminAlert, recordSignatureFailure };
@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import path from 'path';
+import _ from 'lodash';
+import { escapeRegExp } from './helpers.js';
+
+const SECTION_HEADER = /^\^?\[([^\]]+)\](?:\[\d+\])?\s*(.*)$/;
+
+// Parsed files, keyed by path and the entry's updatedAt so saving the entry again re-reads it
+const fileRulesCache = new Map();
+
+// gitignore-style globs, as used by both GitHub and GitLab CODEOWNERS: a slash
+// anywhere but the end anchors the pattern to the repo root, a trailing slash
+// means "everything under this directory", * and ? stop at slashes and **
+// crosses them. A pattern that names a directory also matches what's inside it,
+// but docs/* only covers files directly in docs/.
+function globToRegExp(glob) {
+  const directoryOnly = glob.endsWith('/');
+  const trimmed = glob.replace(/^\/|\/$/g, '');
+  const anchored = glob.startsWith('/') || trimmed.includes('/');
+
+  let source = '';
+  for (let i = 0; i < trimmed.length; i++) {
+    const char = trimmed[i];
+    if (char === '*' && trimmed[i + 1] === '*') {
+      const followedBySlash = trimmed[i + 2] === '/';
+      source += followedBySlash ? '(?:.*/)?' : '.*';
+      i += followedBySlash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  const lastSegment = trimmed.split('/').pop();
+  const suffix = directoryOnly ? '/.*$'
+    : lastSegment.includes('*') ? '$'
+    : '(?:/.*)?$';
+  return new RegExp(prefix + source + suffix);
+}
+
+function pathMatchesGlob(glob, path) {
+  if (!glob || !path) return false;
+  return globToRegExp(glob).test(path.replace(/^\//, ''));
+}
+
+// Everything after a # is a comment
+function splitOwners(text) {
+  return text.split('#')[0].split(/\s+/).filter(Boolean);
+}
+
+// Returns [{ pattern, owners, section, line }]. GitLab sections keep their
+// default owners so entries without owners of their own inherit them.
+function parseCodeowners(text) {
+  const rules = [];
+  let section = null;
+  let sectionOwners = [];
+
+  String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) return;
+
+    const header = line.match(SECTION_HEADER);
+    if (header) {
+      section = header[1].trim();
+      sectionOwners = splitOwners(header[2]);
+      return;
+    }
+
+    const [pattern, ...rest] = line.replace(/\\ /g, '\u0000').split(/\s+/);
+    const owners = splitOwners(rest.join(' '));
+    rules.push({
+      pattern: pattern.replace(/\u0000/g, ' ').replace(/^\\#/, '#'),
+      owners: owners.length > 0 ? owners : sectionOwners,
+      section,
+      line: index + 1
+    });
+  });
+
+  return rules;
+}
+
+// The last matching rule wins, separately within each GitLab section, so a
+// path can have owners from several sections.
+function ownersForPath(rules, path) {
+  const bySection = new Map();
+  for (const rule of rules) {
+    if (pathMatchesGlob(rule.pattern, path)) bySection.set(rule.section, rule);
+  }
+  return [...bySection.values()].filter(rule => rule.owners.length > 0);
+}
+
+// Owners are written as @username, @org/team or @group/subgroup; a user owns a
+// file through their own username or any group handle they're a member of.
+function ownerHandlesFor(user, source, groups = []) {
+  const username = _.get(user, [source, 'username']);
+  const handles = groups
+    .filter(group => group.members.includes(user.name))
+    .map(group => _.get(group, ['handles', source]));
+  return [username, ...handles].filter(Boolean).map(handle => `@${handle}`.toLowerCase());
+}
+
+function filesOwnedBy(rules, paths, handles) {
+  const owned = [];
+  for (const path of paths) {
+    const rule = ownersForPath(rules, path)
+      .find(r => r.owners.some(owner => handles.includes(owner.toLowerCase())));
+    if (rule) owned.push({ path, pattern: rule.pattern });
+  }
+  return owned;
+}
+
+// Server paths are relative to CODEOWNERS_ROOT and may not leave it; without
+// it set, only uploaded files are accepted.
+function resolveCodeownersPath(relativePath, root = process.env.CODEOWNERS_ROOT) {
+  if (!root || !relativePath || path.isAbsolute(relativePath)) return null;
+  const base = path.resolve(root);
+  const resolved = path.resolve(base, relativePath);
+  return resolved.startsWith(base + path.sep) ? resolved : null;
+}
+
+// Symlinks are followed before the root check, so one can't point outside it either
+async function readCodeownersFile(relativePath) {
+  const resolved = resolveCodeownersPath(relativePath);
+  if (!resolved) {
+    console.error(`Refusing to read CODEOWNERS from ${relativePath}: not under CODEOWNERS_ROOT`);
+    return null;
+  }
+  try {
+    const [realRoot, realPath] = await Promise.all([fs.realpath(process.env.CODEOWNERS_ROOT), fs.realpath(resolved)]);
+    if (!realPath.startsWith(realRoot + path.sep)) {
+      console.error(`Refusing to read CODEOWNERS from ${relativePath}: it links outside CODEOWNERS_ROOT`);
+      return null;
+    }
+    return parseCodeowners(await fs.readFile(realPath, 'utf8'));
+  } catch (err) {
+    console.error(`Failed to read CODEOWNERS from ${relativePath}:`, err.message);
+    return null;
+  }
+}
+
+// An entry is either uploaded content or a path under CODEOWNERS_ROOT, which is
+// read once; failed reads aren't cached, so they are tried again next time.
+async function loadCodeownersRules(entry) {
+  if (!entry) return null;
+  if (entry.content) return parseCodeowners(entry.content);
+  if (!entry.path) return null;
+
+  const cacheKey = `${entry.path}|${entry.updatedAt}`;
+  if (fileRulesCache.has(cacheKey)) return fileRulesCache.get(cacheKey);
+  const rules = await readCodeownersFile(entry.path);
+  if (rules) fileRulesCache.set(cacheKey, rules);
+  return rules;
+}
+
+export {
+  pathMatchesGlob,
+  parseCodeowners,
+  ownersForPath,
+  ownerHandlesFor,
+  filesOwnedBy,
+  resolveCodeownersPath,
+  loadCodeownersRules
+};
@@ -1,10 +1,16 @@
 import { DynamoDBClient } from '@aws-sdk/client-dynamodb';
-import { DynamoDBDocumentClient, GetCommand, PutCommand, DeleteCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
-import { loadFile, persistFile } from './persistence.js';
+import { DynamoDBDocumentClient, GetCommand, PutCommand, UpdateCommand, DeleteCommand, QueryCommand } from '@aws-sdk/lib-dynamodb';
+import { loadFile, writeLocal, persistFile, BACKEND } from './persistence.js';
+import { sendAdminAlert } from './alerts.js';
+import { DELIVERY_HEALTH_FIELDS } from './helpers.js';
 
 const TABLE_NAME = process.env.DYNAMODB_TABLE;
 const USE_DYNAMO = !!TABLE_NAME;
 const PIPELINE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const DELIVERY_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEAD_LETTER_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const THREAD_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const PULL_REQUEST_TTL_MS = 30 * 24 * 60 * 60 * 1000;
 
 let docClient;
 if (USE_DYNAMO) {
@@ -12,6 +18,21 @@ if (USE_DYNAMO) {
   docClient = DynamoDBDocumentClient.from(client);
 }
 
+async function sendCommand(command) {
+  try {
+    return await docClient.send(command);
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') {
+      await sendAdminAlert('dynamodb', '🔴 DynamoDB call failed', [
+        { title: 'Table:', value: TABLE_NAME },
+        { title: 'Operation:', value: command.constructor.name },
+        { title: 'Error:', value: `${err.name}: ${err.message}`.substring(0, 300) }
+      ]);
+    }
+    throw err;
+  }
+}
+
 // ── Local-mode state (only used when USE_DYNAMO is false) ──
 
 let localPipelineState;
@@ -24,24 +45,134 @@ function getLocalPipelineState() {
   return localPipelineState;
 }
 
-function pruneAndSaveLocal() {
-  const state = getLocalPipelineState();
+function pruneExpired(state, ttlMs) {
   const now = Date.now();
   for (const key of Object.keys(state)) {
-    if (now - state[key].timestamp > PIPELINE_TTL_MS) {
+    if (now - state[key].timestamp > ttlMs) {
       delete state[key];
     }
   }
+}
+
+function pruneAndSaveLocal() {
+  const state = getLocalPipelineState();
+  pruneExpired(state, PIPELINE_TTL_MS);
   persistFile(PIPELINE_STATE_FILE, state);
 }
 
+// Delivery IDs change on every webhook, so they are only written to local disk,
+// never committed through the github/gitlab persistence backends.
+let localDeliveries;
+const DELIVERIES_FILE = 'delivery-ids.json';
+
+function getLocalDeliveries() {
+  if (!localDeliveries) {
+    localDeliveries = loadFile(DELIVERIES_FILE) || {};
+  }
+  return localDeliveries;
+}
+
+// The outbound queue and dead letters hold rendered cards, so like delivery IDs
+// they stay on local disk rather than being committed to the config repo.
+let localOutbox;
+let localDeadLetters;
+const OUTBOX_FILE = 'delivery-queue.json';
+const DEAD_LETTERS_FILE = 'dead-letters.json';
+
+function getLocalOutbox() {
+  if (!localOutbox) {
+    localOutbox = loadFile(OUTBOX_FILE) || {};
+  }
+  return localOutbox;
+}
+
+function getLocalDeadLetters() {
+  if (!localDeadLetters) {
+    localDeadLetters = loadFile(DEAD_LETTERS_FILE) || {};
+  }
+  return localDeadLetters;
+}
+
+// Thread participants change with every reply, so they stay on local disk too.
+let localThreads;
+const THREADS_FILE = 'threads.json';
+
+function getLocalThreads() {
+  if (!localThreads) {
+    localThreads = loadFile(THREADS_FILE) || {};
+  }
+  return localThreads;
+}
+
+let localPullRequests;
+const PULL_REQUESTS_FILE = 'pull-requests.json';
+
+function getLocalPullRequests() {
+  if (!localPullRequests) {
+    localPullRequests = loadFile(PULL_REQUESTS_FILE) || {};
+  }
+  return localPullRequests;
+}
+
+let localHeld;
+const HELD_FILE = 'held-notifications.json';
+
+function getLocalHeld() {
+  if (!localHeld) {
+    localHeld = loadFile(HELD_FILE) || {};
+  }
+  return localHeld;
+}
+
+let localCommentBatches;
+const COMMENT_BATCHES_FILE = 'comment-batches.json';
+
+let localEventStatuses;
+const EVENT_STATUS_FILE = 'event-deliveries.json';
+
+function getLocalEventStatuses() {
+  if (!localEventStatuses) {
+    localEventStatuses = loadFile(EVENT_STATUS_FILE) || {};
+  }
+  return localEventStatuses;
+}
+
+function getLocalCommentBatches() {
+  if (!localCommentBatches) {
+    localCommentBatches = loadFile(COMMENT_BATCHES_FILE) || {};
+  }
+  return localCommentBatches;
+}
+
 // ── Users ──
+// Delivery health changes with every failed card, so in local mode it lives in
+// delivery-health.json on local disk and is never committed with users.json.
+
+const DELIVERY_HEALTH_FILE = 'delivery-health.json';
+const DELIVERY_HEALTH_KEYS = Object.values(DELIVERY_HEALTH_FIELDS).flatMap(({ health, broken }) => [health, broken]);
+
+function withoutDeliveryHealth(user) {
+  const stripped = { ...user };
+  for (const key of DELIVERY_HEALTH_KEYS) delete stripped[key];
+  return stripped;
+}
+
+function saveLocalDeliveryHealth(allUsers) {
+  const healthByUser = {};
+  for (const user of allUsers) {
+    const health = Object.fromEntries(DELIVERY_HEALTH_KEYS.filter(key => user[key]).map(key => [key, user[key]]));
+    if (Object.keys(health).length > 0) healthByUser[user.name] = health;
+  }
+  writeLocal(DELIVERY_HEALTH_FILE, healthByUser);
+}
 
 async function getUsers() {
   if (!USE_DYNAMO) {
-    return loadFile('users.json') || (process.env.USERS_CONFIG ? JSON.parse(process.env.USERS_CONFIG) : []);
+    const users = loadFile('users.json') || (process.env.USERS_CONFIG ? JSON.parse(process.env.USERS_CONFIG) : []);
+    const healthByUser = loadFile(DELIVERY_HEALTH_FILE) || {};
+    return users.map(user => ({ ...user, ...healthByUser[user.name] }));
   }
-  const result = await docClient.send(new QueryCommand({
+  const result = await sendCommand(new QueryCommand({
     TableName: TABLE_NAME,
     IndexName: 'sk-index',
     KeyConditionExpression: 'sk = :sk',
@@ -52,10 +183,11 @@ async function getUsers() {
 
 async function putUser(user, allUsers) {
   if (!USE_DYNAMO) {
-    await persistFile('users.json', allUsers, `user: update ${user.name}`);
+    saveLocalDeliveryHealth(allUsers);
+    await persistFile('users.json', allUsers.map(withoutDeliveryHealth), `user: update ${user.name}`);
     return;
   }
-  await docClient.send(new PutCommand({
+  await sendCommand(new PutCommand({
     TableName: TABLE_NAME,
     Item: { pk: `USER#${user.name}`, sk: 'USER', ...appUserToDynamo(user) }
   }));
@@ -63,35 +195,81 @@ async function putUser(user, allUsers) {
 
 async function deleteUser(name, allUsers) {
   if (!USE_DYNAMO) {
-    await persistFile('users.json', allUsers, `unregister: remove ${name}`);
+    saveLocalDeliveryHealth(allUsers);
+    await persistFile('users.json', allUsers.map(withoutDeliveryHealth), `unregister: remove ${name}`);
     return;
   }
-  await docClient.send(new DeleteCommand({
+  await sendCommand(new DeleteCommand({
     TableName: TABLE_NAME,
     Key: { pk: `USER#${name}`, sk: 'USER' }
   }));
 }
 
+// Only the health fields are written; nothing is committed
+async function putDeliveryHealth(user, allUsers) {
+  if (!USE_DYNAMO) {
+    saveLocalDeliveryHealth(allUsers);
+    return;
+  }
+  const present = DELIVERY_HEALTH_KEYS.filter(key => user[key]);
+  const absent = DELIVERY_HEALTH_KEYS.filter(key => !user[key]);
+  await sendCommand(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `USER#${user.name}`, sk: 'USER' },
+    UpdateExpression: [
+      present.length > 0 ? `SET ${present.map(key => `#${key} = :${key}`).join(', ')}` : '',
+      absent.length > 0 ? `REMOVE ${absent.map(key => `#${key}`).join(', ')}` : ''
+    ].join(' ').trim(),
+    ConditionExpression: 'attribute_exists(pk)',
+    ExpressionAttributeNames: Object.fromEntries(DELIVERY_HEALTH_KEYS.map(key => [`#${key}`, key])),
+    ...(present.length > 0 && { ExpressionAttributeValues: Object.fromEntries(present.map(key => [`:${key}`, user[key]])) })
+  }));
+}
+
 function appUserToDynamo(user) {
   return {
     name: user.name,
-    teamsWebhookUrl: user.teamsWebhookUrl,
+    ...(user.teamsWebhookUrl && { teamsWebhookUrl: user.teamsWebhookUrl }),
+    ...(user.slackWebhookUrl && { slackWebhookUrl: user.slackWebhookUrl }),
+    ...(user.notifyVia && { notifyVia: user.notifyVia }),
     ...(user.github && { github: user.github }),
     ...(user.gitlab && { gitlab: user.gitlab }),
     ...(user.mentionAliases?.length && { mentionAliases: user.mentionAliases }),
-    ...(user.notifications && { notifications: user.notifications })
+    ...(user.notifications && { notifications: user.notifications }),
+    ...(user.repoRules?.length && { repoRules: user.repoRules }),
+    ...(user.codeownerPaths?.length && { codeownerPaths: user.codeownerPaths }),
+    ...(user.timezone && { timezone: user.timezone }),
+    ...(user.quietHours && { quietHours: user.quietHours }),
+    ...(user.deliveryMode && { deliveryMode: user.deliveryMode }),
+    ...(user.digestTime && { digestTime: user.digestTime }),
+    ...(user.commentBatchSeconds !== undefined && { commentBatchSeconds: user.commentBatchSeconds }),
+    ...(user.deliveryHealth && { deliveryHealth: user.deliveryHealth }),
+    ...(user.webhookBroken && { webhookBroken: true }),
+    ...(user.slackDeliveryHealth && { slackDeliveryHealth: user.slackDeliveryHealth }),
+    ...(user.slackWebhookBroken && { slackWebhookBroken: true })
   };
 }
 
 function dynamoUserToApp(item) {
-  const user = {
-    name: item.name,
-    teamsWebhookUrl: item.teamsWebhookUrl
-  };
+  const user = { name: item.name };
+  if (item.teamsWebhookUrl) user.teamsWebhookUrl = item.teamsWebhookUrl;
+  if (item.slackWebhookUrl) user.slackWebhookUrl = item.slackWebhookUrl;
+  if (item.notifyVia) user.notifyVia = item.notifyVia;
   if (item.github) user.github = item.github;
   if (item.gitlab) user.gitlab = item.gitlab;
   if (item.mentionAliases) user.mentionAliases = item.mentionAliases;
   if (item.notifications) user.notifications = item.notifications;
+  if (item.repoRules) user.repoRules = item.repoRules;
+  if (item.codeownerPaths) user.codeownerPaths = item.codeownerPaths;
+  if (item.timezone) user.timezone = item.timezone;
+  if (item.quietHours) user.quietHours = item.quietHours;
+  if (item.deliveryMode) user.deliveryMode = item.deliveryMode;
+  if (item.digestTime) user.digestTime = item.digestTime;
+  if (item.commentBatchSeconds !== undefined) user.commentBatchSeconds = item.commentBatchSeconds;
+  if (item.deliveryHealth) user.deliveryHealth = item.deliveryHealth;
+  if (item.webhookBroken) user.webhookBroken = true;
+  if (item.slackDeliveryHealth) user.slackDeliveryHealth = item.slackDeliveryHealth;
+  if (item.slackWebhookBroken) user.slackWebhookBroken = true;
   return user;
 }
 
@@ -101,7 +279,7 @@ async function getRepos() {
   if (!USE_DYNAMO) {
     return loadFile('repos.json') || [];
   }
-  const result = await docClient.send(new QueryCommand({
+  const result = await sendCommand(new QueryCommand({
     TableName: TABLE_NAME,
     IndexName: 'sk-index',
     KeyConditionExpression: 'sk = :sk',
@@ -120,12 +298,235 @@ async function putRepo(repoKey) {
     }
     return;
   }
-  await docClient.send(new PutCommand({
+  await sendCommand(new PutCommand({
     TableName: TABLE_NAME,
     Item: { pk: `REPO#${repoKey}`, sk: 'REPO', repoKey }
   }));
 }
 
+// ── Channel Subscriptions ──
+
+const CHANNELS_FILE = 'channels.json';
+
+async function getChannels() {
+  if (!USE_DYNAMO) {
+    return loadFile(CHANNELS_FILE) || [];
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    ExpressionAttributeValues: { ':sk': 'CHANNEL' }
+  }));
+  return (result.Items || []).map(({ pk, sk, ...channel }) => channel);
+}
+
+async function putChannel(channel, allChannels) {
+  if (!USE_DYNAMO) {
+    await persistFile(CHANNELS_FILE, allChannels, `channels: update ${channel.name}`);
+    return;
+  }
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `CHANNEL#${channel.id}`, sk: 'CHANNEL', ...channel }
+  }));
+}
+
+async function deleteChannel(channel, allChannels) {
+  if (!USE_DYNAMO) {
+    await persistFile(CHANNELS_FILE, allChannels, `channels: remove ${channel.name}`);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `CHANNEL#${channel.id}`, sk: 'CHANNEL' }
+  }));
+}
+
+// ── Event Stream Subscribers ──
+// Each record carries its signing secret, so subscribers are stored like repo
+// secrets: never through the git-commit path.
+
+const EVENT_SUBSCRIBERS_FILE = 'event-subscribers.json';
+
+async function getEventSubscribers() {
+  if (!USE_DYNAMO) {
+    return loadFile(EVENT_SUBSCRIBERS_FILE) || [];
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    ExpressionAttributeValues: { ':sk': 'SUBSCRIBER' }
+  }));
+  return (result.Items || []).map(({ pk, sk, ...subscriber }) => subscriber);
+}
+
+async function putEventSubscriber(subscriber, allSubscribers) {
+  assertCanStoreSecrets();
+  if (!USE_DYNAMO) {
+    writeLocal(EVENT_SUBSCRIBERS_FILE, allSubscribers);
+    return;
+  }
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `SUBSCRIBER#${subscriber.id}`, sk: 'SUBSCRIBER', ...subscriber }
+  }));
+}
+
+async function deleteEventSubscriber(subscriber, allSubscribers) {
+  assertCanStoreSecrets();
+  if (!USE_DYNAMO) {
+    writeLocal(EVENT_SUBSCRIBERS_FILE, allSubscribers);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `SUBSCRIBER#${subscriber.id}`, sk: 'SUBSCRIBER' }
+  }));
+}
+
+// ── Groups ──
+
+const GROUPS_FILE = 'groups.json';
+
+async function getGroups() {
+  if (!USE_DYNAMO) {
+    return loadFile(GROUPS_FILE) || [];
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    ExpressionAttributeValues: { ':sk': 'GROUP' }
+  }));
+  return (result.Items || []).map(({ pk, sk, ...group }) => group);
+}
+
+async function putGroup(group, allGroups) {
+  if (!USE_DYNAMO) {
+    await persistFile(GROUPS_FILE, allGroups, `groups: update ${group.name}`);
+    return;
+  }
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `GROUP#${group.id}`, sk: 'GROUP', ...group }
+  }));
+}
+
+async function deleteGroup(group, allGroups) {
+  if (!USE_DYNAMO) {
+    await persistFile(GROUPS_FILE, allGroups, `groups: remove ${group.name}`);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `GROUP#${group.id}`, sk: 'GROUP' }
+  }));
+}
+
+// ── CODEOWNERS ──
+
+const CODEOWNERS_FILE = 'codeowners.json';
+
+async function getCodeowners() {
+  if (!USE_DYNAMO) {
+    return loadFile(CODEOWNERS_FILE) || {};
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    ExpressionAttributeValues: { ':sk': 'CODEOWNERS' }
+  }));
+  const codeowners = {};
+  for (const { pk, sk, repoKey, ...entry } of result.Items || []) {
+    codeowners[repoKey] = entry;
+  }
+  return codeowners;
+}
+
+async function putCodeowners(repoKey, entry, allCodeowners) {
+  if (!USE_DYNAMO) {
+    await persistFile(CODEOWNERS_FILE, allCodeowners, `codeowners: update ${repoKey}`);
+    return;
+  }
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `CODEOWNERS#${repoKey}`, sk: 'CODEOWNERS', repoKey, ...entry }
+  }));
+}
+
+async function deleteCodeowners(repoKey, allCodeowners) {
+  if (!USE_DYNAMO) {
+    await persistFile(CODEOWNERS_FILE, allCodeowners, `codeowners: remove ${repoKey}`);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `CODEOWNERS#${repoKey}`, sk: 'CODEOWNERS' }
+  }));
+}
+
+// ── Repo Secrets ──
+
+const REPO_SECRETS_FILE = 'repo-secrets.json';
+
+// Secrets never go through the git-commit path: they live in DynamoDB, or in a
+// local file when there's no git backend. With a git backend there's nowhere
+// safe to keep them, so saving one is refused.
+const CAN_STORE_SECRETS = USE_DYNAMO || BACKEND === 'local';
+const SECRETS_UNAVAILABLE = 'Secrets can\'t be stored with the github/gitlab persistence backend, because they would be committed to the config repo. Set DYNAMODB_TABLE, or use the local backend.';
+
+function assertCanStoreSecrets() {
+  if (!CAN_STORE_SECRETS) throw new Error(SECRETS_UNAVAILABLE);
+}
+
+async function getRepoSecrets() {
+  if (!USE_DYNAMO) {
+    return loadFile(REPO_SECRETS_FILE) || {};
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    ExpressionAttributeValues: { ':sk': 'SECRET' }
+  }));
+  const secrets = {};
+  for (const item of result.Items || []) {
+    secrets[item.repoKey] = {
+      secret: item.secret,
+      ...(item.previousSecret && { previousSecret: item.previousSecret }),
+      updatedAt: item.updatedAt
+    };
+  }
+  return secrets;
+}
+
+async function putRepoSecret(repoKey, entry, allSecrets) {
+  assertCanStoreSecrets();
+  if (!USE_DYNAMO) {
+    writeLocal(REPO_SECRETS_FILE, allSecrets);
+    return;
+  }
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `SECRET#${repoKey}`, sk: 'SECRET', repoKey, ...entry }
+  }));
+}
+
+async function deleteRepoSecret(repoKey, allSecrets) {
+  assertCanStoreSecrets();
+  if (!USE_DYNAMO) {
+    writeLocal(REPO_SECRETS_FILE, allSecrets);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `SECRET#${repoKey}`, sk: 'SECRET' }
+  }));
+}
+
 // ── Pipeline State ──
 
 async function getPipelineState(repoName, branch) {
@@ -134,7 +535,7 @@ async function getPipelineState(repoName, branch) {
     const state = getLocalPipelineState();
     return state[key] || null;
   }
-  const result = await docClient.send(new GetCommand({
+  const result = await sendCommand(new GetCommand({
     TableName: TABLE_NAME,
     Key: { pk: `PIPE#${key}`, sk: 'PIPE' }
   }));
@@ -155,7 +556,7 @@ async function setPipelineState(repoName, branch, state) {
     return;
   }
   const ttl = Math.floor((Date.now() + PIPELINE_TTL_MS) / 1000);
-  await docClient.send(new PutCommand({
+  await sendCommand(new PutCommand({
     TableName: TABLE_NAME,
     Item: {
       pk: `PIPE#${key}`,
@@ -177,29 +578,621 @@ async function deletePipelineState(repoName, branch) {
     pruneAndSaveLocal();
     return true;
   }
-  const existing = await docClient.send(new GetCommand({
+  const existing = await sendCommand(new GetCommand({
     TableName: TABLE_NAME,
     Key: { pk: `PIPE#${key}`, sk: 'PIPE' },
     ProjectionExpression: 'pk'
   }));
   if (!existing.Item) return false;
-  await docClient.send(new DeleteCommand({
+  await sendCommand(new DeleteCommand({
     TableName: TABLE_NAME,
     Key: { pk: `PIPE#${key}`, sk: 'PIPE' }
   }));
   return true;
 }
 
+// ── Webhook Deliveries ──
+
+async function recordDelivery(deliveryId) {
+  if (!USE_DYNAMO) {
+    const deliveries = getLocalDeliveries();
+    if (deliveries[deliveryId]) return false;
+    deliveries[deliveryId] = { timestamp: Date.now() };
+    pruneExpired(deliveries, DELIVERY_TTL_MS);
+    writeLocal(DELIVERIES_FILE, deliveries);
+    return true;
+  }
+  const ttl = Math.floor((Date.now() + DELIVERY_TTL_MS) / 1000);
+  try {
+    await sendCommand(new PutCommand({
+      TableName: TABLE_NAME,
+      Item: { pk: `DELIVERY#${deliveryId}`, sk: 'DELIVERY', timestamp: Date.now(), ttl },
+      ConditionExpression: 'attribute_not_exists(pk)'
+    }));
+    return true;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return false;
+    throw err;
+  }
+}
+
+async function forgetDelivery(deliveryId) {
+  if (!USE_DYNAMO) {
+    const deliveries = getLocalDeliveries();
+    if (!deliveries[deliveryId]) return;
+    delete deliveries[deliveryId];
+    writeLocal(DELIVERIES_FILE, deliveries);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `DELIVERY#${deliveryId}`, sk: 'DELIVERY' }
+  }));
+}
+
+// ── Discussion Threads ──
+
+async function getThread(threadKey) {
+  if (!USE_DYNAMO) {
+    return getLocalThreads()[threadKey] || null;
+  }
+  const result = await sendCommand(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `THREAD#${threadKey}`, sk: 'THREAD' }
+  }));
+  if (!result.Item) return null;
+  const { pk, sk, ttl, ...thread } = result.Item;
+  return thread;
+}
+
+async function putThread(threadKey, thread) {
+  if (!USE_DYNAMO) {
+    const threads = getLocalThreads();
+    threads[threadKey] = thread;
+    pruneExpired(threads, THREAD_TTL_MS);
+    writeLocal(THREADS_FILE, threads);
+    return;
+  }
+  const ttl = Math.floor((thread.timestamp + THREAD_TTL_MS) / 1000);
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `THREAD#${threadKey}`, sk: 'THREAD', ...thread, ttl }
+  }));
+}
+
+// ── Pull Request State ──
+// Keyed by `${source}:${repoName}:${number}`; holds who has reviewed the PR/MR and
+// its last known mergeability. Writers only touch their own fields, so events
+// handled at the same time for one PR/MR don't overwrite each other.
+
+async function getPullRequestState(prKey) {
+  if (!USE_DYNAMO) {
+    return getLocalPullRequests()[prKey] || null;
+  }
+  const result = await sendCommand(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `PR#${prKey}`, sk: 'PR' }
+  }));
+  if (!result.Item) return null;
+  const { pk, sk, ttl, ...state } = result.Item;
+  return state;
+}
+
+// Fields set to undefined are removed
+async function updatePullRequestState(prKey, fields) {
+  const timestamp = Date.now();
+  if (!USE_DYNAMO) {
+    const pullRequests = getLocalPullRequests();
+    const state = { ...pullRequests[prKey], ...fields, timestamp };
+    for (const name of Object.keys(fields)) {
+      if (fields[name] === undefined) delete state[name];
+    }
+    pullRequests[prKey] = state;
+    pruneExpired(pullRequests, PULL_REQUEST_TTL_MS);
+    writeLocal(PULL_REQUESTS_FILE, pullRequests);
+    return;
+  }
+  const names = Object.keys(fields);
+  const set = names.filter(name => fields[name] !== undefined);
+  const remove = names.filter(name => fields[name] === undefined);
+  await sendCommand(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `PR#${prKey}`, sk: 'PR' },
+    UpdateExpression: [
+      `SET ${['timestamp', 'ttl', ...set].map(name => `#${name} = :${name}`).join(', ')}`,
+      remove.length > 0 ? `REMOVE ${remove.map(name => `#${name}`).join(', ')}` : ''
+    ].join(' ').trim(),
+    ExpressionAttributeNames: Object.fromEntries(['timestamp', 'ttl', ...names].map(name => [`#${name}`, name])),
+    ExpressionAttributeValues: {
+      ':timestamp': timestamp,
+      ':ttl': Math.floor((timestamp + PULL_REQUEST_TTL_MS) / 1000),
+      ...Object.fromEntries(set.map(name => [`:${name}`, fields[name]]))
+    }
+  }));
+}
+
+// Stores the new mergeability and returns the previous one in a single write,
+// so two events reporting the same change can't both see it as new.
+async function swapPullRequestMergeability(prKey, mergeability) {
+  if (!USE_DYNAMO) {
+    const previous = getLocalPullRequests()[prKey]?.mergeability;
+    if (previous !== mergeability) await updatePullRequestState(prKey, { mergeability });
+    return previous;
+  }
+  const timestamp = Date.now();
+  try {
+    const result = await sendCommand(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: { pk: `PR#${prKey}`, sk: 'PR' },
+      UpdateExpression: 'SET mergeability = :mergeability, #timestamp = :timestamp, #ttl = :ttl',
+      ConditionExpression: 'attribute_not_exists(mergeability) OR mergeability <> :mergeability',
+      ExpressionAttributeNames: { '#timestamp': 'timestamp', '#ttl': 'ttl' },
+      ExpressionAttributeValues: {
+        ':mergeability': mergeability,
+        ':timestamp': timestamp,
+        ':ttl': Math.floor((timestamp + PULL_REQUEST_TTL_MS) / 1000)
+      },
+      ReturnValues: 'UPDATED_OLD'
+    }));
+    return result.Attributes?.mergeability;
+  } catch (err) {
+    if (err.name === 'ConditionalCheckFailedException') return mergeability;
+    throw err;
+  }
+}
+
+async function deletePullRequestState(prKey) {
+  if (!USE_DYNAMO) {
+    const pullRequests = getLocalPullRequests();
+    if (!pullRequests[prKey]) return;
+    delete pullRequests[prKey];
+    writeLocal(PULL_REQUESTS_FILE, pullRequests);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `PR#${prKey}`, sk: 'PR' }
+  }));
+}
+
+// ── Recent Comments ──
+// The latest comment on a PR/MR, kept just long enough to show as the closing
+// comment if the PR/MR is closed right after. Local mode keeps them in memory.
+
+const RECENT_COMMENT_TTL_MS = 10 * 60 * 1000;
+const localRecentComments = {};
+
+async function getRecentComment(prKey) {
+  if (!USE_DYNAMO) {
+    const comment = localRecentComments[prKey];
+    return comment && Date.now() - comment.timestamp <= RECENT_COMMENT_TTL_MS ? comment : null;
+  }
+  const result = await sendCommand(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `RECENTCOMMENT#${prKey}`, sk: 'RECENTCOMMENT' }
+  }));
+  if (!result.Item) return null;
+  const { pk, sk, ttl, ...comment } = result.Item;
+  return comment;
+}
+
+async function putRecentComment(prKey, comment) {
+  if (!USE_DYNAMO) {
+    localRecentComments[prKey] = comment;
+    pruneExpired(localRecentComments, RECENT_COMMENT_TTL_MS);
+    return;
+  }
+  const ttl = Math.floor((comment.timestamp + RECENT_COMMENT_TTL_MS) / 1000);
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `RECENTCOMMENT#${prKey}`, sk: 'RECENTCOMMENT', ...comment, ttl }
+  }));
+}
+
+// ── Outbound Queue ──
+// Cards are stored as JSON strings so DynamoDB never sees undefined/empty values inside them.
+
+function toOutboundItem(entry) {
+  const { card, ...rest } = entry;
+  return { ...rest, cardJson: JSON.stringify(card) };
+}
+
+function fromOutboundItem(item) {
+  const { pk, sk, ttl, cardJson, ...rest } = item;
+  return { ...rest, card: JSON.parse(cardJson) };
+}
+
+async function putQueuedDelivery(entry) {
+  if (!USE_DYNAMO) {
+    const outbox = getLocalOutbox();
+    outbox[entry.id] = entry;
+    writeLocal(OUTBOX_FILE, outbox);
+    return;
+  }
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `OUTBOX#${entry.id}`, sk: 'OUTBOX', ...toOutboundItem(entry) }
+  }));
+}
+
+async function getDueDeliveries(now) {
+  if (!USE_DYNAMO) {
+    return Object.values(getLocalOutbox()).filter(entry => entry.nextAttemptAt <= now);
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    FilterExpression: 'nextAttemptAt <= :now',
+    ExpressionAttributeValues: { ':sk': 'OUTBOX', ':now': now }
+  }));
+  return (result.Items || []).map(fromOutboundItem);
+}
+
+async function deleteQueuedDelivery(id) {
+  if (!USE_DYNAMO) {
+    const outbox = getLocalOutbox();
+    delete outbox[id];
+    writeLocal(OUTBOX_FILE, outbox);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `OUTBOX#${id}`, sk: 'OUTBOX' }
+  }));
+}
+
+// ── Dead Letters ──
+
+async function putDeadLetter(entry) {
+  if (!USE_DYNAMO) {
+    const deadLetters = getLocalDeadLetters();
+    deadLetters[entry.id] = entry;
+    pruneExpired(deadLetters, DEAD_LETTER_TTL_MS);
+    writeLocal(DEAD_LETTERS_FILE, deadLetters);
+    return;
+  }
+  const ttl = Math.floor((entry.timestamp + DEAD_LETTER_TTL_MS) / 1000);
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `DEADLETTER#${entry.id}`, sk: 'DEADLETTER', ...toOutboundItem(entry), ttl }
+  }));
+}
+
+async function getDeadLetters() {
+  if (!USE_DYNAMO) {
+    return Object.values(getLocalDeadLetters());
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    ExpressionAttributeValues: { ':sk': 'DEADLETTER' }
+  }));
+  return (result.Items || []).map(fromOutboundItem);
+}
+
+async function getDeadLetter(id) {
+  if (!USE_DYNAMO) {
+    return getLocalDeadLetters()[id] || null;
+  }
+  const result = await sendCommand(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `DEADLETTER#${id}`, sk: 'DEADLETTER' }
+  }));
+  return result.Item ? fromOutboundItem(result.Item) : null;
+}
+
+async function deleteDeadLetter(id) {
+  if (!USE_DYNAMO) {
+    const deadLetters = getLocalDeadLetters();
+    delete deadLetters[id];
+    writeLocal(DEAD_LETTERS_FILE, deadLetters);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `DEADLETTER#${id}`, sk: 'DEADLETTER' }
+  }));
+}
+
+// ── Held Notifications ──
+// One record per user: `{ items, dropped, releaseAt, timestamp }`, where items are
+// card summaries waiting for the user's quiet hours to end or their digest to go
+// out. Appends and takes are single writes so concurrent webhooks and a flush in
+// progress can't drop each other's cards.
+
+function fromHeldItem(item) {
+  const { pk, sk, itemsJson, ...rest } = item;
+  return { dropped: 0, ...rest, items: itemsJson.map(json => JSON.parse(json)) };
+}
+
+async function getAllHeldNotifications() {
+  if (!USE_DYNAMO) {
+    return Object.entries(getLocalHeld()).map(([userName, held]) => ({ ...held, userName }));
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    ExpressionAttributeValues: { ':sk': 'HELD' }
+  }));
+  return (result.Items || []).map(item => ({ ...fromHeldItem(item), userName: item.pk.slice('HELD#'.length) }));
+}
+
+// releaseAt is only set by the first item. Past maxItems the oldest item is
+// dropped and counted; returns how many items are now held.
+async function appendHeldNotification(userName, item, { releaseAt, maxItems }) {
+  if (!USE_DYNAMO) {
+    const allHeld = getLocalHeld();
+    const held = allHeld[userName] || { items: [], dropped: 0, ...(releaseAt ? { releaseAt } : {}) };
+    held.items.push(item);
+    if (held.items.length > maxItems) {
+      held.items.shift();
+      held.dropped = (held.dropped || 0) + 1;
+    }
+    allHeld[userName] = { ...held, timestamp: Date.now() };
+    writeLocal(HELD_FILE, allHeld);
+    return held.items.length;
+  }
+  const Key = { pk: `HELD#${userName}`, sk: 'HELD' };
+  const result = await sendCommand(new UpdateCommand({
+    TableName: TABLE_NAME,
+    Key,
+    UpdateExpression: 'SET itemsJson = list_append(if_not_exists(itemsJson, :empty), :item), #timestamp = :now'
+      + (releaseAt ? ', releaseAt = if_not_exists(releaseAt, :releaseAt)' : ''),
+    ExpressionAttributeNames: { '#timestamp': 'timestamp' },
+    ExpressionAttributeValues: {
+      ':empty': [],
+      ':item': [JSON.stringify(item)],
+      ':now': Date.now(),
+      ...(releaseAt ? { ':releaseAt': releaseAt } : {})
+    },
+    ReturnValues: 'UPDATED_NEW'
+  }));
+  const count = result.Attributes.itemsJson.length;
+  if (count <= maxItems) return count;
+  try {
+    await sendCommand(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key,
+      UpdateExpression: 'REMOVE itemsJson[0] ADD dropped :one',
+      ConditionExpression: 'size(itemsJson) > :max',
+      ExpressionAttributeValues: { ':one': 1, ':max': maxItems }
+    }));
+  } catch (err) {
+    // Another webhook already trimmed the list
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+  }
+  return maxItems;
+}
+
+// Removes the user's held items and returns them, or null if another flush got
+// there first. Cards held after this start a new record.
+async function takeHeldNotifications(userName) {
+  if (!USE_DYNAMO) {
+    const allHeld = getLocalHeld();
+    const held = allHeld[userName];
+    if (!held) return null;
+    delete allHeld[userName];
+    writeLocal(HELD_FILE, allHeld);
+    return held;
+  }
+  const result = await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `HELD#${userName}`, sk: 'HELD' },
+    ReturnValues: 'ALL_OLD'
+  }));
+  return result.Attributes ? fromHeldItem(result.Attributes) : null;
+}
+
+// ── Comment Batches ──
+// Keyed by `${recipient}|${prKey}|${author}`; comments wait here until flushAt so a
+// burst from one reviewer becomes one card. Appends and takes are single writes
+// so concurrent webhooks and a flush in progress can't drop each other's comments.
+
+function fromCommentBatchItem(item) {
+  const { pk, sk, commentsJson, ...rest } = item;
+  return { skipped: 0, ...rest, comments: commentsJson.map(json => JSON.parse(json)) };
+}
+
+// Creates the batch on the first comment; past maxComments only the skipped count grows
+async function appendCommentBatch(batchKey, batch, comment, maxComments) {
+  if (!USE_DYNAMO) {
+    const batches = getLocalCommentBatches();
+    const existing = batches[batchKey] || { ...batch, comments: [], skipped: 0 };
+    if (existing.comments.length < maxComments) {
+      existing.comments.push(comment);
+    } else {
+      existing.skipped++;
+    }
+    batches[batchKey] = { ...existing, timestamp: Date.now() };
+    writeLocal(COMMENT_BATCHES_FILE, batches);
+    return;
+  }
+  const Key = { pk: `BATCH#${batchKey}`, sk: 'BATCH' };
+  try {
+    await sendCommand(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key,
+      UpdateExpression: 'SET recipient = if_not_exists(recipient, :recipient), prKey = if_not_exists(prKey, :prKey), '
+        + 'flushAt = if_not_exists(flushAt, :flushAt), commentsJson = list_append(if_not_exists(commentsJson, :empty), :comment), '
+        + '#timestamp = :now',
+      ConditionExpression: 'attribute_not_exists(pk) OR size(commentsJson) < :max',
+      ExpressionAttributeNames: { '#timestamp': 'timestamp' },
+      ExpressionAttributeValues: {
+        ':recipient': batch.recipient,
+        ':prKey': batch.prKey,
+        ':flushAt': batch.flushAt,
+        ':empty': [],
+        ':comment': [JSON.stringify(comment)],
+        ':now': Date.now(),
+        ':max': maxComments
+      }
+    }));
+  } catch (err) {
+    if (err.name !== 'ConditionalCheckFailedException') throw err;
+    await sendCommand(new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key,
+      UpdateExpression: 'ADD skipped :one SET #timestamp = :now',
+      ExpressionAttributeNames: { '#timestamp': 'timestamp' },
+      ExpressionAttributeValues: { ':one': 1, ':now': Date.now() }
+    }));
+  }
+}
+
+async function getDueCommentBatches(now) {
+  if (!USE_DYNAMO) {
+    return Object.entries(getLocalCommentBatches())
+      .filter(([, batch]) => batch.flushAt <= now)
+      .map(([batchKey, batch]) => ({ ...batch, batchKey }));
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    FilterExpression: 'flushAt <= :now',
+    ExpressionAttributeValues: { ':sk': 'BATCH', ':now': now }
+  }));
+  return (result.Items || []).map(item => ({ ...fromCommentBatchItem(item), batchKey: item.pk.slice('BATCH#'.length) }));
+}
+
+// Removes the batch and returns what was in it, or null if another flush got
+// there first. Comments arriving after this start a new batch.
+async function takeCommentBatch(batchKey) {
+  if (!USE_DYNAMO) {
+    const batches = getLocalCommentBatches();
+    const batch = batches[batchKey];
+    if (!batch) return null;
+    delete batches[batchKey];
+    writeLocal(COMMENT_BATCHES_FILE, batches);
+    return batch;
+  }
+  const result = await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `BATCH#${batchKey}`, sk: 'BATCH' },
+    ReturnValues: 'ALL_OLD'
+  }));
+  return result.Attributes ? fromCommentBatchItem(result.Attributes) : null;
+}
+
+// ── Event Delivery Status ──
+// One record per subscriber id: counters, the last attempt and a short list of
+// recent deliveries for the admin page.
+
+async function getEventDeliveryStatus(subscriberId) {
+  if (!USE_DYNAMO) {
+    return getLocalEventStatuses()[subscriberId] || null;
+  }
+  const result = await sendCommand(new GetCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `EVENTSTATUS#${subscriberId}`, sk: 'EVENTSTATUS' }
+  }));
+  if (!result.Item) return null;
+  const { pk, sk, ...status } = result.Item;
+  return status;
+}
+
+async function getEventDeliveryStatuses() {
+  if (!USE_DYNAMO) {
+    return { ...getLocalEventStatuses() };
+  }
+  const result = await sendCommand(new QueryCommand({
+    TableName: TABLE_NAME,
+    IndexName: 'sk-index',
+    KeyConditionExpression: 'sk = :sk',
+    ExpressionAttributeValues: { ':sk': 'EVENTSTATUS' }
+  }));
+  const statuses = {};
+  for (const { pk, sk, ...status } of result.Items || []) {
+    statuses[pk.slice('EVENTSTATUS#'.length)] = status;
+  }
+  return statuses;
+}
+
+async function putEventDeliveryStatus(subscriberId, status) {
+  if (!USE_DYNAMO) {
+    const statuses = getLocalEventStatuses();
+    statuses[subscriberId] = status;
+    writeLocal(EVENT_STATUS_FILE, statuses);
+    return;
+  }
+  await sendCommand(new PutCommand({
+    TableName: TABLE_NAME,
+    Item: { pk: `EVENTSTATUS#${subscriberId}`, sk: 'EVENTSTATUS', ...status }
+  }));
+}
+
+async function deleteEventDeliveryStatus(subscriberId) {
+  if (!USE_DYNAMO) {
+    const statuses = getLocalEventStatuses();
+    if (!statuses[subscriberId]) return;
+    delete statuses[subscriberId];
+    writeLocal(EVENT_STATUS_FILE, statuses);
+    return;
+  }
+  await sendCommand(new DeleteCommand({
+    TableName: TABLE_NAME,
+    Key: { pk: `EVENTSTATUS#${subscriberId}`, sk: 'EVENTSTATUS' }
+  }));
+}
+
 console.log(`Storage backend: ${USE_DYNAMO ? 'DynamoDB' : 'local'}`);
 
 export {
   getUsers,
   putUser,
   deleteUser,
+  putDeliveryHealth,
   getRepos,
   putRepo,
+  getChannels,
+  putChannel,
+  deleteChannel,
+  getEventSubscribers,
+  putEventSubscriber,
+  deleteEventSubscriber,
+  getGroups,
+  putGroup,
+  deleteGroup,
+  getCodeowners,
+  putCodeowners,
+  deleteCodeowners,
+  getRepoSecrets,
+  putRepoSecret,
+  deleteRepoSecret,
   getPipelineState,
   setPipelineState,
   deletePipelineState,
-  USE_DYNAMO
+  recordDelivery,
+  forgetDelivery,
+  getThread,
+  putThread,
+  getPullRequestState,
+  updatePullRequestState,
+  swapPullRequestMergeability,
+  deletePullRequestState,
+  getRecentComment,
+  putRecentComment,
+  putQueuedDelivery,
+  getDueDeliveries,
+  deleteQueuedDelivery,
+  putDeadLetter,
+  getDeadLetters,
+  getDeadLetter,
+  deleteDeadLetter,
+  getAllHeldNotifications,
+  appendHeldNotification,
+  takeHeldNotifications,
+  appendCommentBatch,
+  getDueCommentBatches,
+  takeCommentBatch,
+  getEventDeliveryStatus,
+  getEventDeliveryStatuses,
+  putEventDeliveryStatus,
+  deleteEventDeliveryStatus,
+  USE_DYNAMO,
+  CAN_STORE_SECRETS,
+  SECRETS_UNAVAILABLE
 };
@@ -0,0 +1,126 @@
+import _ from 'lodash';
+
+const GITHUB_API_URL = 'https://api.github.com';
+const REQUEST_TIMEOUT_MS = 5000;
+const FILES_PER_PAGE = 100;
+// Enough for any PR/MR someone would actually review file by file
+const MAX_FILE_PAGES = 3;
+const MERGEABILITY_RETRY_MS = 2000;
+
+// Best-effort reads for enriching cards: any failure returns null and the
+// caller falls back to what the webhook payload already contains.
+async function fetchJson(url, headers) {
+  try {
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+      console.error(`API request to ${url} returned ${response.status}`);
+      return null;
+    }
+    return await response.json();
+  } catch (err) {
+    console.error(`API request to ${url} failed:`, err.message);
+    return null;
+  }
+}
+
+function githubHeaders() {
+  const token = process.env.GITHUB_TOKEN;
+  return {
+    'Accept': 'application/vnd.github.v3+json',
+    ...(token ? { 'Authorization': `token ${token}` } : {})
+  };
+}
+
+// Only ever the configured instance: payload fields like project.web_url are
+// sender-controlled, and the token must not be sent to whatever host they name.
+function gitlabApiBase() {
+  return process.env.GITLAB_URL || 'https://gitlab.com';
+}
+
+function gitlabHeaders() {
+  const token = process.env.GITLAB_TOKEN;
+  return token ? { 'PRIVATE-TOKEN': token } : {};
+}
+
+function firstLine(message) {
+  return String(message || '').split('\n')[0];
+}
+
+async function compareGitHubCommits(repoName, base, head) {
+  const result = await fetchJson(`${GITHUB_API_URL}/repos/${repoName}/compare/${base}...${head}`, githubHeaders());
+  if (!result) return null;
+  return {
+    totalCommits: result.total_commits,
+    commitTitles: (result.commits || []).map(c => firstLine(c.commit?.message))
+  };
+}
+
+async function getGitHubPullRequest(repoName, prNumber) {
+  return fetchJson(`${GITHUB_API_URL}/repos/${repoName}/pulls/${prNumber}`, githubHeaders());
+}
+
+// The first read after a push usually just starts GitHub's mergeability job
+// (`mergeable: null`), so unless `retry` is off one more read follows after a short wait.
+async function getGitHubPullRequestMergeability(repoName, prNumber, { retry = true } = {}) {
+  const pullRequest = await getGitHubPullRequest(repoName, prNumber);
+  if (!retry || !pullRequest || pullRequest.mergeable !== null) return pullRequest;
+  await new Promise(resolve => setTimeout(resolve, MERGEABILITY_RETRY_MS));
+  return getGitHubPullRequest(repoName, prNumber);
+}
+
+async function compareGitLabCommits(projectId, from, to) {
+  const query = `from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`;
+  const result = await fetchJson(`${gitlabApiBase()}/api/v4/projects/${projectId}/repository/compare?${query}`, gitlabHeaders());
+  if (!result) return null;
+  const commits = result.commits || [];
+  return {
+    totalCommits: commits.length,
+    commitTitles: commits.map(c => c.title || firstLine(c.message))
+  };
+}
+
+// `straight` diffs base..head directly, which is the MR diff version a DiffNote's position refers to
+async function getGitLabFileDiff(projectId, baseSha, headSha, filePath) {
+  const query = `from=${encodeURIComponent(baseSha)}&to=${encodeURIComponent(headSha)}&straight=true`;
+  const result = await fetchJson(`${gitlabApiBase()}/api/v4/projects/${projectId}/repository/compare?${query}`, gitlabHeaders());
+  const fileDiff = _.find(_.get(result, 'diffs', []), d => d.new_path === filePath || d.old_path === filePath);
+  return fileDiff ? fileDiff.diff : null;
+}
+
+async function listPages(pageUrl, headers, toPaths) {
+  const paths = [];
+  for (let page = 1; page <= MAX_FILE_PAGES; page++) {
+    const result = await fetchJson(pageUrl(page), headers);
+    if (!Array.isArray(result)) return page === 1 ? null : paths;
+    paths.push(...toPaths(result));
+    if (result.length < FILES_PER_PAGE) break;
+  }
+  return paths;
+}
+
+// Renamed files are listed under both names, since either path can have owners
+async function listGitHubPullRequestFiles(repoName, prNumber) {
+  return listPages(
+    page => `${GITHUB_API_URL}/repos/${repoName}/pulls/${prNumber}/files?per_page=${FILES_PER_PAGE}&page=${page}`,
+    githubHeaders(),
+    files => files.flatMap(f => [f.filename, f.previous_filename]).filter(Boolean)
+  );
+}
+
+async function listGitLabMergeRequestFiles(projectId, mrIid) {
+  return listPages(
+    page => `${gitlabApiBase()}/api/v4/projects/${projectId}/merge_requests/${mrIid}/diffs?per_page=${FILES_PER_PAGE}&page=${page}`,
+    gitlabHeaders(),
+    diffs => _.uniq(diffs.flatMap(d => [d.old_path, d.new_path]).filter(Boolean))
+  );
+}
+
+export {
+  compareGitHubCommits,
+  compareGitLabCommits,
+  getGitHubPullRequest,
+  getGitHubPullRequestMergeability,
+  getGitLabFileDiff,
+  listGitHubPullRequestFiles,
+  listGitLabMergeRequestFiles
+};
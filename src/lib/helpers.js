@@ -1,3 +1,4 @@
+import net from 'net';
 import _ from 'lodash';
 
 const SONAR_BOT_PATTERN = /^DTCI\.DL-Technology\.PE\.Infra\.CD$/i;
@@ -8,15 +9,71 @@ const ALWAYS_IGNORED_BOT_PATTERNS = [
 ];
 
 const NOTIFICATION_DEFAULTS = {
-  comments: true, mentions: true, approvals: true,
-  merges: true, pipelineFailures: true, pipelineRecoveries: true,
+  comments: true, mentions: true, threadReplies: true, threadResolved: true,
+  allDiscussionsResolved: true, approvals: true, approvalRevocations: true,
+  newCommitsOnReviewedPRs: true,
+  merges: true, closedPRs: true, reopenedPRs: true, mergeConflicts: true, pipelineFailures: true, pipelineRecoveries: true,
   reviewRequests: true, codeownerReviewRequests: true,
+  readyForReview: true, holdDraftReviewRequests: true,
   sonarComments: false, aiReviewComments: false,
   selfComments: false, selfMerges: false,
   selfReviewRequests: false
 };
 
+const CHANNEL_EVENT_TYPES = [
+  'merge', 'closed', 'reopened', 'approval', 'changes_requested',
+  'review_requested', 'ready_for_review', 'pipeline_failed', 'pipeline_recovered'
+];
+
+const EVENT_STREAM_TYPES = ['merge', 'approval', 'review_requested', 'pipeline_failed', 'comment'];
+
 const DISABLED_BY_PREFS = 'disabled by preferences';
+const WEBHOOK_BROKEN_THRESHOLD = 5;
+const HEALTH_REFRESH_MS = 24 * 60 * 60 * 1000;
+const SNIPPET_CONTEXT_LINES = 4;
+const HUNK_HEADER = /^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/;
+const MAX_REPO_RULES = 50;
+const MAX_REPO_PATTERN_LENGTH = 200;
+const MAX_CODEOWNER_PATHS = 50;
+const TIME_OF_DAY = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKEND_DAYS = ['Sat', 'Sun'];
+const DELIVERY_MODES = ['instant', 'hourly', 'daily'];
+const NOTIFY_VIA = ['teams', 'slack', 'both'];
+const SLACK_WEBHOOK_HOST = 'hooks.slack.com';
+const PROVIDER_LABELS = { teams: 'Teams', slack: 'Slack' };
+
+// Each provider's webhook has its own health record so a dead Slack webhook
+// doesn't mark a working Teams one as broken, or vice versa.
+const DELIVERY_HEALTH_FIELDS = {
+  teams: { health: 'deliveryHealth', broken: 'webhookBroken' },
+  slack: { health: 'slackDeliveryHealth', broken: 'slackWebhookBroken' }
+};
+const DEFAULT_DIGEST_TIME = '09:00';
+const DEFAULT_COMMENT_BATCH_SECONDS = 45;
+const MAX_COMMENT_BATCH_SECONDS = 300;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const HELD_KIND_LABELS = {
+  comment: ['comment', 'comments'],
+  mention: ['mention', 'mentions'],
+  thread_reply: ['thread reply', 'thread replies'],
+  thread_resolved: ['resolved thread', 'resolved threads'],
+  discussions_resolved: ['MR with all discussions resolved', 'MRs with all discussions resolved'],
+  approval: ['approval', 'approvals'],
+  changes_requested: ['change request', 'change requests'],
+  revoked: ['revoked approval', 'revoked approvals'],
+  review_requested: ['review request', 'review requests'],
+  ready_for_review: ['draft marked ready', 'drafts marked ready'],
+  new_commits: ['push with new commits', 'pushes with new commits'],
+  merge: ['merge', 'merges'],
+  closed: ['closure', 'closures'],
+  reopened: ['reopen', 'reopens'],
+  merge_conflict: ['merge conflict', 'merge conflicts'],
+  mergeable_again: ['conflict resolved', 'conflicts resolved'],
+  pipeline_failed: ['pipeline failure', 'pipeline failures'],
+  pipeline_recovered: ['pipeline recovery', 'pipeline recoveries']
+};
 
 function sanitizeNotifications(raw) {
   if (!raw || typeof raw !== 'object') return;
@@ -29,11 +86,198 @@ function sanitizeNotifications(raw) {
   return sanitized;
 }
 
+function sanitizeRepoRules(raw) {
+  if (!Array.isArray(raw)) return;
+  const sanitized = [];
+  for (const rule of raw.slice(0, MAX_REPO_RULES)) {
+    const pattern = typeof rule?.pattern === 'string' ? rule.pattern.trim() : '';
+    if (!pattern || pattern.length > MAX_REPO_PATTERN_LENGTH || /\s/.test(pattern)) continue;
+    const clean = { pattern };
+    if (rule.muted === true) clean.muted = true;
+    const notifications = sanitizeNotifications(rule.notifications);
+    if (notifications && Object.keys(notifications).length > 0) clean.notifications = notifications;
+    sanitized.push(clean);
+  }
+  return sanitized;
+}
+
+function sanitizeCodeownerPaths(raw) {
+  if (raw === undefined) return;
+  return sanitizeList(raw, glob => glob.trim())
+    .filter(glob => glob.length <= MAX_REPO_PATTERN_LENGTH && !/\s/.test(glob))
+    .slice(0, MAX_CODEOWNER_PATHS);
+}
+
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function sanitizeQuietHours(raw) {
+  if (!raw || typeof raw !== 'object') return;
+  const start = TIME_OF_DAY.test(raw.start) ? raw.start : null;
+  const end = TIME_OF_DAY.test(raw.end) ? raw.end : null;
+  const sanitized = {
+    enabled: raw.enabled === true,
+    weekends: raw.weekends === true,
+    urgentBypass: raw.urgentBypass === true
+  };
+  if (start && end) {
+    sanitized.start = start;
+    sanitized.end = end;
+  }
+  return sanitized;
+}
+
+function sanitizeDigestTime(time) {
+  return TIME_OF_DAY.test(time) ? time : undefined;
+}
+
+function sanitizeCommentBatchSeconds(raw) {
+  if (raw === undefined || raw === null || raw === '') return;
+  const seconds = Math.round(Number(raw));
+  if (!Number.isFinite(seconds)) return;
+  return Math.min(Math.max(seconds, 0), MAX_COMMENT_BATCH_SECONDS);
+}
+
+function sanitizeList(raw, clean) {
+  const items = Array.isArray(raw) ? raw : String(raw || '').split(',');
+  return _.uniq(items.map(item => clean(String(item))).filter(Boolean));
+}
+
+// Returns the cleaned subscription, or an error message for the first invalid field
+function sanitizeChannelSubscription(raw) {
+  const name = String(raw.name || '').trim();
+  if (!name || name.length > 100) return { error: 'Channel name is required (up to 100 characters)' };
+
+  const repos = sanitizeList(raw.repos, pattern => pattern.trim());
+  if (repos.length === 0) return { error: 'Add at least one repo pattern, e.g. gitlab:squad/*' };
+  if (repos.some(pattern => /\s/.test(pattern) || pattern.length > MAX_REPO_PATTERN_LENGTH)) {
+    return { error: 'Repo patterns can\'t contain spaces' };
+  }
+
+  const events = sanitizeList(raw.events, event => event.trim()).filter(event => CHANNEL_EVENT_TYPES.includes(event));
+  if (events.length === 0) return { error: 'Pick at least one event type' };
+
+  const authors = sanitizeList(raw.authors, sanitizeUsername);
+  return { channel: { name, repos, events, ...(authors.length > 0 ? { authors } : {}) } };
+}
+
+// Subscribers without repo patterns get events from every repo
+function sanitizeEventSubscriber(raw) {
+  const name = String(raw.name || '').trim();
+  if (!name || name.length > 100) return { error: 'Subscriber name is required (up to 100 characters)' };
+
+  const url = String(raw.url || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { error: 'Please enter a valid URL for the subscriber.' };
+  }
+  if (parsed.protocol !== 'https:') return { error: 'Subscriber URLs must use https' };
+  if (isPrivateHost(parsed.hostname)) return { error: 'Subscriber URLs can\'t point at localhost or a private network address' };
+
+  const events = sanitizeList(raw.events, event => event.trim()).filter(event => EVENT_STREAM_TYPES.includes(event));
+  if (events.length === 0) return { error: 'Pick at least one event type' };
+
+  const repos = sanitizeList(raw.repos, pattern => pattern.trim());
+  if (repos.some(pattern => /\s/.test(pattern) || pattern.length > MAX_REPO_PATTERN_LENGTH)) {
+    return { error: 'Repo patterns can\'t contain spaces' };
+  }
+  return { subscriber: { name, url, events, ...(repos.length > 0 ? { repos } : {}) } };
+}
+
+// Members are stored by user name; handles are the GitLab group path and/or
+// GitHub org/team that people @mention.
+function sanitizeGroup(raw, users) {
+  const name = String(raw.name || '').trim();
+  if (!name || name.length > 100) return { error: 'Group name is required (up to 100 characters)' };
+
+  const members = sanitizeList(raw.members, member => sanitizeUsername(member).toLowerCase());
+  if (members.length === 0) return { error: 'Add at least one member' };
+  const unknown = members.filter(member => !users.some(u => u.name === member));
+  if (unknown.length > 0) return { error: `Not registered: ${unknown.join(', ')}` };
+
+  const handles = {};
+  for (const source of ['github', 'gitlab']) {
+    const handle = sanitizeUsername(String(raw.handles?.[source] || ''));
+    if (/\s/.test(handle)) return { error: 'Handles can\'t contain spaces' };
+    if (handle) handles[source] = handle;
+  }
+  if (_.isEmpty(handles)) return { error: 'Add a GitHub team or GitLab group handle' };
+
+  return { group: { name, members, handles } };
+}
+
+function isDigestMode(user) {
+  return user.deliveryMode === 'hourly' || user.deliveryMode === 'daily';
+}
+
 function sanitizeUsername(str) {
   if (!str) return str;
   return str.trim().replace(/^@/, '');
 }
 
+// Users without notifyVia predate Slack support and only have a Teams webhook
+function notifyProviders(user) {
+  const via = user.notifyVia || 'teams';
+  return via === 'both' ? ['teams', 'slack'] : [via];
+}
+
+function webhookUrlField(provider) {
+  return `${provider}WebhookUrl`;
+}
+
+// Teams workflow URLs come from several Azure and Power Platform hosts, so they
+// are only checked for obvious mix-ups; Slack incoming webhooks always live on
+// hooks.slack.com.
+function webhookUrlError(provider, url, baseUrl) {
+  const label = PROVIDER_LABELS[provider];
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return `Please enter a valid URL for the ${label} webhook.`;
+  }
+  if (looksLikeOwnServerUrl(url, baseUrl)) {
+    return provider === 'teams'
+      ? 'That looks like this server\'s URL, not a Teams webhook URL. Please paste the workflow URL from Power Automate.'
+      : 'That looks like this server\'s URL, not a Slack webhook URL. Please paste the incoming webhook URL from your Slack app.';
+  }
+  const isSlackUrl = parsed.hostname === SLACK_WEBHOOK_HOST;
+  if (provider === 'slack' && (!isSlackUrl || parsed.protocol !== 'https:')) {
+    return `Slack webhook URLs start with https://${SLACK_WEBHOOK_HOST}/. Create one under Incoming Webhooks in your Slack app.`;
+  }
+  if (provider === 'teams' && isSlackUrl) {
+    return 'That\'s a Slack webhook URL. Choose Slack to get notifications there.';
+  }
+  return null;
+}
+
+// Only catches addresses written into the URL; a public name that resolves to
+// a private address still gets through.
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+
+  // Anything starting with :: is unspecified, loopback or an embedded IPv4 address
+  if (net.isIPv6(host)) return host.startsWith('::') || /^f[cd]/.test(host) || /^fe[89ab]/.test(host);
+  if (!net.isIPv4(host)) return false;
+
+  const [a, b] = host.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127
+    || (a === 100 && b >= 64 && b <= 127)
+    || (a === 169 && b === 254)
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168);
+}
+
 function looksLikeOwnServerUrl(url, baseUrl) {
   try {
     const host = new URL(url).hostname;
@@ -104,16 +348,232 @@ function humanizeRequester(username) {
   return username;
 }
 
-function userWantsNotification(user, type) {
+// Returns the commented line plus a few lines of context above it from a unified diff.
+// Falls back to the end of the diff (where GitHub's diff_hunk stops) if the line isn't found.
+function extractDiffSnippet(diff, { oldLine, newLine } = {}, contextLines = SNIPPET_CONTEXT_LINES) {
+  if (!diff) return [];
+
+  const lines = [];
+  let target = -1;
+  let oldNum;
+  let newNum;
+
+  for (const line of diff.split('\n')) {
+    const header = line.match(HUNK_HEADER);
+    if (header) {
+      oldNum = Number(header[1]);
+      newNum = Number(header[2]);
+      continue;
+    }
+    if (oldNum === undefined || line.startsWith('\\')) continue;
+
+    const marker = line[0];
+    const isMatch = newLine
+      ? marker !== '-' && newNum === newLine
+      : marker !== '+' && oldNum === oldLine;
+    lines.push(line);
+    if (isMatch) target = lines.length - 1;
+
+    if (marker !== '+') oldNum++;
+    if (marker !== '-') newNum++;
+  }
+
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  const end = target >= 0 ? target : lines.length - 1;
+  return lines.slice(Math.max(end - contextLines, 0), end + 1);
+}
+
+// Repo keys look like "gitlab:group/project"; "*" in a pattern matches any run of
+// characters, including "/", so "gitlab:dtci/webdev/*" covers nested subgroups too.
+// Matched segment by segment rather than as a regex: patterns are user-supplied
+// and run on every webhook, and "a*a*a*...b" backtracks badly as a regex.
+function repoPatternMatches(pattern, repoKey) {
+  if (!pattern || !repoKey) return false;
+  const segments = pattern.toLowerCase().split('*');
+  const key = repoKey.toLowerCase();
+  if (segments.length === 1) return key === segments[0];
+
+  const first = segments[0];
+  const last = segments[segments.length - 1];
+  if (key.length < first.length + last.length || !key.startsWith(first) || !key.endsWith(last)) return false;
+
+  // Taking the earliest match for each middle segment leaves the most room for the rest
+  let position = first.length;
+  const end = key.length - last.length;
+  for (const segment of segments.slice(1, -1)) {
+    const index = key.indexOf(segment, position);
+    if (index === -1 || index + segment.length > end) return false;
+    position = index + segment.length;
+  }
+  return true;
+}
+
+function subscriberMatches(subscriber, { type, repoKey }) {
+  if (subscriber.enabled === false || !subscriber.events.includes(type)) return false;
+  if (!subscriber.repos?.length) return true;
+  return subscriber.repos.some(pattern => repoPatternMatches(pattern, repoKey));
+}
+
+function findRepoRule(user, repoKey) {
+  return _.get(user, 'repoRules', []).find(rule => repoPatternMatches(rule.pattern, repoKey));
+}
+
+// The first repo rule matching repoKey wins: a muted repo drops everything, otherwise
+// any type the rule overrides beats the user's global setting.
+function userWantsNotification(user, type, repoKey) {
+  const rule = findRepoRule(user, repoKey);
+  if (rule?.muted) return false;
+  if (rule && _.has(rule, ['notifications', type])) return rule.notifications[type];
   const defaultVal = _.get(NOTIFICATION_DEFAULTS, type, true);
   return _.get(user, `notifications.${type}`, defaultVal);
 }
 
+function minutesOfDay(time) {
+  const [, hours, minutes] = TIME_OF_DAY.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+function localTime(timezone, now) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(now));
+  const part = type => parts.find(p => p.type === type).value;
+  return { weekday: part('weekday'), minutes: Number(part('hour')) * 60 + Number(part('minute')) };
+}
+
+// Quiet hours are evaluated in the user's own timezone. A window whose start is
+// later than its end (22:00–08:00) wraps past midnight; weekends cover all of
+// Saturday and Sunday.
+function isInQuietHours(user, now = Date.now()) {
+  const quietHours = user.quietHours;
+  if (!quietHours?.enabled) return false;
+
+  const { weekday, minutes } = localTime(user.timezone, now);
+  if (quietHours.weekends && WEEKEND_DAYS.includes(weekday)) return true;
+  if (!quietHours.start || !quietHours.end) return false;
+
+  const start = minutesOfDay(quietHours.start);
+  const end = minutesOfDay(quietHours.end);
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+// GitLab hooks usually identify the PR/MR author by numeric ID, so author filters
+// can only match GitLab authors who are registered users.
+function channelMatches(channel, { kind, repoKey, authorName }) {
+  if (!channel.events.includes(kind)) return false;
+  if (!channel.repos.some(pattern => repoPatternMatches(pattern, repoKey))) return false;
+  if (!channel.authors?.length) return true;
+  const author = String(authorName || '').toLowerCase();
+  return channel.authors.some(name => name.toLowerCase() === author);
+}
+
+// Hourly digests go out at the top of the next hour; daily digests at the next
+// occurrence of the user's digestTime in their timezone.
+function nextDigestAt(user, since = Date.now()) {
+  if (user.deliveryMode === 'hourly') {
+    return Math.floor(since / HOUR_MS) * HOUR_MS + HOUR_MS;
+  }
+  if (user.deliveryMode !== 'daily') return null;
+
+  const target = minutesOfDay(user.digestTime || DEFAULT_DIGEST_TIME);
+  const { year, month, day } = localDateTime(user.timezone, since);
+  const today = zonedTimeToUtc(user.timezone, year, month, day, target);
+  return today > since ? today : zonedTimeToUtc(user.timezone, year, month, day + 1, target);
+}
+
+function localDateTime(timezone, now) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(now));
+  const part = type => Number(parts.find(p => p.type === type).value);
+  return { year: part('year'), month: part('month'), day: part('day'), hour: part('hour'), minute: part('minute'), second: part('second') };
+}
+
+function utcOffsetMs(timezone, instant) {
+  const { year, month, day, hour, minute, second } = localDateTime(timezone, instant);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - (instant - instant % 1000);
+}
+
+// The offset is read at the target itself, not now, so a DST change in between
+// doesn't shift the time. Date.UTC rolls day overflow into the next month.
+// A time skipped by spring-forward lands an hour off either side of the gap.
+function zonedTimeToUtc(timezone, year, month, day, minutes) {
+  const wallClock = Date.UTC(year, month - 1, day) + minutes * MINUTE_MS;
+  const guess = wallClock - utcOffsetMs(timezone, wallClock);
+  return wallClock - utcOffsetMs(timezone, guess);
+}
+
+// "3 comments, 2 approvals, 1 pipeline failure across 4 MRs"
+function describeHeldItems(items) {
+  const counts = _.countBy(items, 'kind');
+  const parts = Object.entries(counts).map(([kind, count]) => {
+    const [singular, plural] = HELD_KIND_LABELS[kind] || ['update', 'updates'];
+    return `${count} ${count === 1 ? singular : plural}`;
+  });
+
+  const prKeys = _.uniq(items.map(item => item.prKey).filter(Boolean));
+  if (prKeys.length === 0) return parts.join(', ');
+  const sources = _.uniq(prKeys.map(key => key.split(':')[0]));
+  const prLabel = sources.length > 1 ? 'PRs/MRs' : sources[0] === 'github' ? 'PR' : 'MR';
+  const label = prKeys.length === 1 || sources.length > 1 ? prLabel : `${prLabel}s`;
+  return `${parts.join(', ')} across ${prKeys.length} ${label}`;
+}
+
+// Returns the user's updated record after a delivery attempt, or null when nothing
+// worth persisting changed (a success on a healthy webhook seen within the last day,
+// or another failure on a webhook already flagged broken).
+function nextDeliveryHealth(user, result, now = Date.now(), provider = 'teams') {
+  const fields = DELIVERY_HEALTH_FIELDS[provider];
+  const health = user[fields.health] || {};
+  const failures = health.consecutiveFailures || 0;
+
+  if (result.ok) {
+    const lastSuccess = health.lastSuccessAt ? Date.parse(health.lastSuccessAt) : 0;
+    if (failures === 0 && !user[fields.broken] && now - lastSuccess < HEALTH_REFRESH_MS) return null;
+    const updated = {
+      ...user,
+      [fields.health]: { ...health, lastSuccessAt: new Date(now).toISOString(), consecutiveFailures: 0 }
+    };
+    delete updated[fields.broken];
+    return updated;
+  }
+
+  if (user[fields.broken]) return null;
+
+  const updated = {
+    ...user,
+    [fields.health]: {
+      ...health,
+      consecutiveFailures: failures + 1,
+      lastErrorStatus: result.status || null,
+      lastErrorAt: new Date(now).toISOString()
+    }
+  };
+  if (failures + 1 >= WEBHOOK_BROKEN_THRESHOLD) updated[fields.broken] = true;
+  return updated;
+}
+
 function escapeRegExp(str) {
   return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
-function findMentionedUsers(users, commentBody, source) {
+// Direct mentions come first, then members of any mentioned group who weren't
+// already mentioned by name.
+function findMentionedUsers(users, commentBody, source, groups = []) {
   if (!commentBody) return [];
 
   const mentionedUsers = [];
@@ -136,21 +596,67 @@ function findMentionedUsers(users, commentBody, source) {
     }
   });
 
+  for (const group of groups) {
+    const handle = _.get(group, ['handles', source]);
+    if (!handle) continue;
+    // Stricter than \b so @org/team doesn't also match @org/team-leads
+    const pattern = new RegExp(`@${escapeRegExp(handle)}(?![\\w/-])`, 'i');
+    if (!pattern.test(commentBody)) continue;
+
+    for (const member of group.members) {
+      const user = users.find(u => u.name === member);
+      if (!user || mentionedUsers.some(m => m.user.name === user.name)) continue;
+      mentionedUsers.push({ user, mentionedAs: handle, group: group.name });
+    }
+  }
+
   return mentionedUsers;
 }
 
 export {
   NOTIFICATION_DEFAULTS,
+  CHANNEL_EVENT_TYPES,
+  EVENT_STREAM_TYPES,
+  DELIVERY_MODES,
+  DEFAULT_DIGEST_TIME,
+  DEFAULT_COMMENT_BATCH_SECONDS,
   DISABLED_BY_PREFS,
+  WEBHOOK_BROKEN_THRESHOLD,
+  NOTIFY_VIA,
+  PROVIDER_LABELS,
+  DELIVERY_HEALTH_FIELDS,
   sanitizeNotifications,
+  sanitizeRepoRules,
+  sanitizeCodeownerPaths,
+  sanitizeQuietHours,
+  isValidTimezone,
+  sanitizeDigestTime,
+  sanitizeCommentBatchSeconds,
+  sanitizeChannelSubscription,
+  sanitizeGroup,
+  sanitizeEventSubscriber,
+  isDigestMode,
   sanitizeUsername,
   looksLikeOwnServerUrl,
+  notifyProviders,
+  webhookUrlField,
+  webhookUrlError,
   findPROwner,
   findUserByUsername,
   isCommentAuthor,
   classifyBotComment,
   isCodeownerBot,
   humanizeRequester,
+  extractDiffSnippet,
+  repoPatternMatches,
+  findRepoRule,
   userWantsNotification,
+  isInQuietHours,
+  channelMatches,
+  subscriberMatches,
+  nextDigestAt,
+  describeHeldItems,
+  nextDeliveryHealth,
+  escapeRegExp,
   findMentionedUsers
 };
@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { sendAdminAlert } from './alerts.js';
 
 const __dirname = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
 
@@ -44,10 +45,19 @@ function persistFile(filePath, data, commitMessage) {
 }
 
 async function _persist(filePath, data, commitMessage) {
-  if (BACKEND === 'github') {
-    await commitToGitHub(filePath, data, commitMessage);
-  } else if (BACKEND === 'gitlab') {
-    await commitToGitLab(filePath, data, commitMessage);
+  try {
+    if (BACKEND === 'github') {
+      await commitToGitHub(filePath, data, commitMessage);
+    } else if (BACKEND === 'gitlab') {
+      await commitToGitLab(filePath, data, commitMessage);
+    }
+  } catch (err) {
+    await sendAdminAlert(`persistence:${BACKEND}`, `🔴 Failed to commit ${filePath} to ${BACKEND}`, [
+      { title: 'File:', value: filePath },
+      { title: 'Commit message:', value: commitMessage || '(none)' },
+      { title: 'Error:', value: err.message.substring(0, 300) }
+    ]);
+    throw err;
   }
   writeLocal(filePath, data);
 }
@@ -125,4 +135,4 @@ async function commitToGitLab(filePath, data, commitMessage) {
 
 console.log(`Persistence backend: ${BACKEND}`);
 
-export { loadFile, persistFile, detectBackend, BACKEND };
+export { loadFile, writeLocal, persistFile, detectBackend, BACKEND };
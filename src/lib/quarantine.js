@@ -0,0 +1,26 @@
+import _ from 'lodash';
+
+// Repos whose deliveries failed verification. Kept in memory only -- persisting
+// them would let unauthenticated requests trigger writes, which is what this guards against.
+const MAX_QUARANTINED_REPOS = 200;
+const quarantinedRepos = new Map();
+
+// Re-inserted on every hit, so the Map stays in least-recently-seen order
+function quarantineRepo(repoKey, reason, sourceIp) {
+  const entry = quarantinedRepos.get(repoKey) || { repoKey, count: 0, firstSeen: new Date().toISOString() };
+  entry.count += 1;
+  entry.lastSeen = new Date().toISOString();
+  entry.lastReason = reason;
+  entry.lastSourceIp = sourceIp;
+  quarantinedRepos.delete(repoKey);
+  quarantinedRepos.set(repoKey, entry);
+  if (quarantinedRepos.size > MAX_QUARANTINED_REPOS) {
+    quarantinedRepos.delete(quarantinedRepos.keys().next().value);
+  }
+}
+
+function listQuarantinedRepos() {
+  return _.orderBy([...quarantinedRepos.values()], ['count'], ['desc']);
+}
+
+export { MAX_QUARANTINED_REPOS, quarantineRepo, listQuarantinedRepos };
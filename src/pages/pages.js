@@ -1,6 +1,8 @@
 const TOGGLE_CSS = `
   .toggle { display: flex; align-items: center; gap: .5rem; font-weight: 400; font-size: .9rem; margin-bottom: .5rem; cursor: pointer; }
-  .toggle input[type="checkbox"] { width: 1rem; height: 1rem; cursor: pointer; }`;
+  .toggle input[type="checkbox"] { width: 1rem; height: 1rem; cursor: pointer; }
+  .time-range { display: flex; align-items: center; gap: .5rem; font-size: .9rem; margin-bottom: .5rem; }
+  .time-range input, .time-range select { padding: .4rem .5rem; border: 1px solid #d0d0d0; border-radius: 8px; font-size: .9rem; }`;
 
 const NOTIF_CHECKBOXES_HTML = `
     <div class="field">
@@ -8,11 +10,21 @@ const NOTIF_CHECKBOXES_HTML = `
       <div class="hint">Choose which events you want to be notified about</div>
       <label class="toggle"><input type="checkbox" id="notif-comments" checked> Comments on your PRs/MRs</label>
       <label class="toggle"><input type="checkbox" id="notif-mentions" checked> @mentions in comments</label>
+      <label class="toggle"><input type="checkbox" id="notif-threadReplies" checked> Replies in threads you commented in</label>
+      <label class="toggle"><input type="checkbox" id="notif-threadResolved" checked> Threads you commented in are resolved (GitLab)</label>
+      <label class="toggle"><input type="checkbox" id="notif-allDiscussionsResolved" checked> All discussions resolved on your MRs (GitLab)</label>
       <label class="toggle"><input type="checkbox" id="notif-approvals" checked> Approvals and change requests</label>
+      <label class="toggle"><input type="checkbox" id="notif-approvalRevocations" checked> Approvals revoked (GitLab)</label>
       <label class="toggle"><input type="checkbox" id="notif-merges" checked> PRs/MRs merged</label>
+      <label class="toggle"><input type="checkbox" id="notif-closedPRs" checked> PRs/MRs closed without merging</label>
+      <label class="toggle"><input type="checkbox" id="notif-reopenedPRs" checked> PRs/MRs reopened</label>
+      <label class="toggle"><input type="checkbox" id="notif-mergeConflicts" checked> Merge conflicts on your PRs/MRs (and when they're resolved)</label>
       <label class="toggle"><input type="checkbox" id="notif-pipelineFailures" checked> Pipeline failures</label>
       <label class="toggle"><input type="checkbox" id="notif-pipelineRecoveries" checked> Pipeline recovered (fixed after failure)</label>
       <label class="toggle"><input type="checkbox" id="notif-reviewRequests" checked> Review requests</label>
+      <label class="toggle"><input type="checkbox" id="notif-readyForReview" checked> Draft PRs/MRs you review marked ready</label>
+      <label class="toggle"><input type="checkbox" id="notif-holdDraftReviewRequests" checked> Hold review requests on drafts until they're ready</label>
+      <label class="toggle"><input type="checkbox" id="notif-newCommitsOnReviewedPRs" checked> New commits on PRs/MRs you reviewed</label>
       <label class="toggle"><input type="checkbox" id="notif-codeownerReviewRequests" checked> CODEOWNERS auto-assigned review requests</label>
       <hr style="margin:.75rem 0;border:none;border-top:1px solid #e0e0e0">
       <div class="hint">Bot comments (off by default)</div>
@@ -25,14 +37,133 @@ const NOTIF_CHECKBOXES_HTML = `
       <label class="toggle"><input type="checkbox" id="notif-selfReviewRequests"> When you add yourself as a reviewer</label>
     </div>`;
 
+const DELIVERY_HTML = `
+    <div class="field">
+      <label for="timezone">Timezone</label>
+      <div class="hint">Used for daily digests and quiet hours</div>
+      <input type="text" id="timezone" list="timezoneOptions" placeholder="e.g. America/New_York">
+      <datalist id="timezoneOptions"></datalist>
+    </div>
+
+    <div class="field">
+      <label for="deliveryMode">Delivery</label>
+      <div class="hint">Get a card for every event, or one digest card grouped by PR/MR</div>
+      <div class="time-range">
+        <select id="deliveryMode">
+          <option value="instant">Instant</option>
+          <option value="hourly">Hourly digest</option>
+          <option value="daily">Daily digest</option>
+        </select>
+        <span id="digestTimeRow" class="hidden">at <input type="time" id="digestTime" value="09:00"></span>
+      </div>
+      <div class="time-range">Batch comments from the same reviewer for <input type="number" id="commentBatchSeconds" min="0" max="300" value="45" style="width:5rem"> seconds</div>
+      <div class="hint">Set to 0 to get a card for every comment as soon as it's posted</div>
+    </div>
+
+    <div class="field">
+      <label>Quiet Hours <span class="optional-tag">optional</span></label>
+      <div class="hint">Notifications that arrive during quiet hours are held and sent as one summary card when they end</div>
+      <label class="toggle"><input type="checkbox" id="quiet-enabled"> Enable quiet hours</label>
+      <div class="time-range">Hold from <input type="time" id="quiet-start" value="22:00"> to <input type="time" id="quiet-end" value="08:00"></div>
+      <label class="toggle"><input type="checkbox" id="quiet-weekends"> Also hold all weekend (Saturday and Sunday)</label>
+      <label class="toggle"><input type="checkbox" id="quiet-urgentBypass" checked> Let @mentions and change requests through</label>
+    </div>`;
+
+const WEBHOOK_FIELDS_HTML = `
+    <div class="field">
+      <label for="notifyVia">Notify via</label>
+      <select id="notifyVia">
+        <option value="teams">Microsoft Teams</option>
+        <option value="slack">Slack</option>
+        <option value="both">Teams and Slack</option>
+      </select>
+    </div>
+
+    <div class="field" id="teamsWebhookRow">
+      <label for="teamsWebhookUrl">Teams Webhook URL</label>
+      <div class="hint">The workflow URL from Power Automate</div>
+      <input type="url" id="teamsWebhookUrl" placeholder="https://...">
+    </div>
+
+    <div class="field hidden" id="slackWebhookRow">
+      <label for="slackWebhookUrl">Slack Webhook URL</label>
+      <div class="hint">An incoming webhook URL, starting with https://hooks.slack.com/</div>
+      <input type="url" id="slackWebhookUrl" placeholder="https://hooks.slack.com/services/...">
+    </div>`;
+
+// Mirrors webhookUrlError in helpers.js so mistakes show up before the round trip
+const WEBHOOK_INIT_JS = `
+function syncNotifyVia() {
+  const via = document.getElementById('notifyVia').value;
+  document.getElementById('teamsWebhookRow').classList.toggle('hidden', via === 'slack');
+  document.getElementById('slackWebhookRow').classList.toggle('hidden', via === 'teams');
+}
+document.getElementById('notifyVia').addEventListener('change', syncNotifyVia);
+function checkWebhookUrls(ownHost) {
+  const via = document.getElementById('notifyVia').value;
+  const providers = via === 'both' ? ['teams', 'slack'] : [via];
+  for (const provider of providers) {
+    const label = provider === 'slack' ? 'Slack' : 'Teams';
+    const url = document.getElementById(provider + 'WebhookUrl').value.trim();
+    if (!url) throw new Error(label + ' Webhook URL is required.');
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error('Please enter a valid URL for the ' + label + ' webhook.');
+    }
+    const host = parsed.hostname;
+    if (host.endsWith('onrender.com') || host === 'localhost' || host === ownHost) {
+      throw new Error('That looks like this server\\x27s URL, not a ' + label + ' webhook URL.');
+    }
+    if (provider === 'slack' && (parsed.protocol !== 'https:' || host !== 'hooks.slack.com')) {
+      throw new Error('Slack webhook URLs start with https://hooks.slack.com/ — create one from a Slack app\\x27s Incoming Webhooks page.');
+    }
+    if (provider === 'teams' && host === 'hooks.slack.com') {
+      throw new Error('That\\x27s a Slack webhook URL. Choose Slack under "Notify via" to use it.');
+    }
+  }
+}`;
+
+const WEBHOOK_COLLECT_JS = `notifyVia: document.getElementById('notifyVia').value,
+        teamsWebhookUrl: document.getElementById('teamsWebhookUrl').value.trim(),
+        slackWebhookUrl: document.getElementById('slackWebhookUrl').value.trim(),`;
+
+const DELIVERY_INIT_JS = `
+(Intl.supportedValuesOf ? Intl.supportedValuesOf('timeZone') : [])
+  .forEach(tz => document.getElementById('timezoneOptions').append(new Option(tz)));
+document.getElementById('timezone').value = Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+function syncDeliveryMode() {
+  document.getElementById('digestTimeRow').classList.toggle('hidden', document.getElementById('deliveryMode').value !== 'daily');
+}
+document.getElementById('deliveryMode').addEventListener('change', syncDeliveryMode);`;
+
+const QUIET_HOURS_COLLECT_JS = `{
+          enabled: document.getElementById('quiet-enabled').checked,
+          start: document.getElementById('quiet-start').value,
+          end: document.getElementById('quiet-end').value,
+          weekends: document.getElementById('quiet-weekends').checked,
+          urgentBypass: document.getElementById('quiet-urgentBypass').checked
+        }`;
+
 const NOTIF_COLLECT_JS = `{
           comments: document.getElementById('notif-comments').checked,
           mentions: document.getElementById('notif-mentions').checked,
+          threadReplies: document.getElementById('notif-threadReplies').checked,
+          threadResolved: document.getElementById('notif-threadResolved').checked,
+          allDiscussionsResolved: document.getElementById('notif-allDiscussionsResolved').checked,
           approvals: document.getElementById('notif-approvals').checked,
+          approvalRevocations: document.getElementById('notif-approvalRevocations').checked,
           merges: document.getElementById('notif-merges').checked,
+          closedPRs: document.getElementById('notif-closedPRs').checked,
+          reopenedPRs: document.getElementById('notif-reopenedPRs').checked,
+          mergeConflicts: document.getElementById('notif-mergeConflicts').checked,
           pipelineFailures: document.getElementById('notif-pipelineFailures').checked,
           pipelineRecoveries: document.getElementById('notif-pipelineRecoveries').checked,
           reviewRequests: document.getElementById('notif-reviewRequests').checked,
+          readyForReview: document.getElementById('notif-readyForReview').checked,
+          holdDraftReviewRequests: document.getElementById('notif-holdDraftReviewRequests').checked,
+          newCommitsOnReviewedPRs: document.getElementById('notif-newCommitsOnReviewedPRs').checked,
           codeownerReviewRequests: document.getElementById('notif-codeownerReviewRequests').checked,
           sonarComments: document.getElementById('notif-sonarComments').checked,
           aiReviewComments: document.getElementById('notif-aiReviewComments').checked,
@@ -41,6 +172,9 @@ const NOTIF_COLLECT_JS = `{
           selfReviewRequests: document.getElementById('notif-selfReviewRequests').checked
         }`;
 
+// The admin pages build their tables from API data, so every value goes through esc
+const ESCAPE_HTML_JS = `const esc = s => String(s).replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');`;
+
 function getRegistrationPage(baseUrl) {
   return `<!DOCTYPE html>
 <html lang="en">
@@ -73,13 +207,14 @@ function getRegistrationPage(baseUrl) {
   .msg.success { background: #e6f9ed; color: #1a7a3a; }
   .msg.error { background: #fde8e8; color: #b91c1c; }
   .optional-tag { font-weight: 400; color: #999; font-size: .8rem; }
+  .hidden { display: none; }
   ${TOGGLE_CSS}
 </style>
 </head>
 <body>
 <div class="container">
   <h1>PR Comment Notifier</h1>
-  <p class="subtitle">Sign up to get Teams notifications for comments, reviews, merges, and pipeline events on your MRs/PRs.</p>
+  <p class="subtitle">Sign up to get Teams or Slack notifications for comments, reviews, merges, and pipeline events on your MRs/PRs.</p>
   <div style="font-size:.85rem;margin-bottom:1rem"><a href="/" style="color:#4f6ef7;text-decoration:none">Home</a> · <a href="/edit" style="color:#4f6ef7;text-decoration:none">Edit settings</a> · <a href="/unregister" style="color:#4f6ef7;text-decoration:none">Unregister</a></div>
 
   <div class="card">
@@ -95,16 +230,22 @@ function getRegistrationPage(baseUrl) {
         <li>After saving, click <strong>Copy webhook link</strong> — that's your webhook URL</li>
       </ol>
     </details>
+    <details>
+      <summary>How to create your Slack Webhook URL</summary>
+      <ol class="steps">
+        <li>Go to <a href="https://api.slack.com/apps" target="_blank" style="color:#4f6ef7">api.slack.com/apps</a> and click <strong>Create New App</strong> → <strong>From scratch</strong></li>
+        <li>Name it (e.g. "PR Notifications") and pick your workspace</li>
+        <li>Open <strong>Incoming Webhooks</strong> and turn them on</li>
+        <li>Click <strong>Add New Webhook to Workspace</strong> and choose the channel or DM to post to</li>
+        <li>Copy the URL that starts with <strong>https://hooks.slack.com/</strong></li>
+      </ol>
+    </details>
   </div>
 
   <form id="regForm" class="card">
     <h2>Your Details</h2>
 
-    <div class="field">
-      <label for="teamsWebhookUrl">Teams Webhook URL</label>
-      <div class="hint">The URL you copied from the Workflows step above</div>
-      <input type="url" id="teamsWebhookUrl" name="teamsWebhookUrl" placeholder="https://..." required>
-    </div>
+${WEBHOOK_FIELDS_HTML}
 
     <div class="field">
       <label for="gitlabUsername">GitLab Username <span class="optional-tag">optional</span></label>
@@ -131,12 +272,17 @@ function getRegistrationPage(baseUrl) {
 
     ${NOTIF_CHECKBOXES_HTML}
 
+    ${DELIVERY_HTML}
+
     <button type="submit" id="submitBtn">Sign Up</button>
     <div id="msg"></div>
   </form>
 </div>
 
 <script>
+${WEBHOOK_INIT_JS}
+${DELIVERY_INIT_JS}
+
 document.getElementById('regForm').addEventListener('submit', async (e) => {
   e.preventDefault();
   const btn = document.getElementById('submitBtn');
@@ -146,7 +292,6 @@ document.getElementById('regForm').addEventListener('submit', async (e) => {
   msg.className = 'msg';
   msg.textContent = '';
 
-  const webhookUrl = document.getElementById('teamsWebhookUrl').value.trim();
   const gitlabUser = document.getElementById('gitlabUsername').value.trim();
   const gitlabId = document.getElementById('gitlabUserId').value.trim();
   const githubUser = document.getElementById('githubUsername').value.trim();
@@ -155,17 +300,7 @@ document.getElementById('regForm').addEventListener('submit', async (e) => {
     .split(',').map(strip).filter(Boolean);
 
   try {
-    let parsedOk = false;
-    try {
-      const host = new URL(webhookUrl).hostname;
-      parsedOk = true;
-      if (host.endsWith('onrender.com') || host === 'localhost' || host === new URL('${baseUrl}').hostname) {
-        throw new Error('That looks like this server\\x27s URL, not a Teams webhook URL. Please paste the workflow URL from Power Automate — see the instructions above.');
-      }
-    } catch (urlErr) {
-      if (parsedOk) throw urlErr;
-      throw new Error('Please enter a valid URL for the Teams webhook.');
-    }
+    checkWebhookUrls(new URL('${baseUrl}').hostname);
 
     if (!gitlabUser && !githubUser) {
       throw new Error('Please enter at least one username (GitLab or GitHub).');
@@ -181,12 +316,17 @@ document.getElementById('regForm').addEventListener('submit', async (e) => {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        teamsWebhookUrl: webhookUrl,
+        ${WEBHOOK_COLLECT_JS}
         gitlabUsername: gitlabUser,
         gitlabUserId: gitlabId,
         githubUsername: githubUser,
         mentionAliases: aliases,
-        notifications: ${NOTIF_COLLECT_JS}
+        notifications: ${NOTIF_COLLECT_JS},
+        timezone: document.getElementById('timezone').value.trim(),
+        deliveryMode: document.getElementById('deliveryMode').value,
+        digestTime: document.getElementById('digestTime').value,
+        commentBatchSeconds: document.getElementById('commentBatchSeconds').value,
+        quietHours: ${QUIET_HOURS_COLLECT_JS}
       })
     });
     const data = await res.json();
@@ -239,7 +379,7 @@ function getUnregisterPage() {
 <body>
 <div class="container">
   <h1>Unsubscribe</h1>
-  <p class="subtitle">Remove yourself from PR Comment Notifier. You'll stop receiving Teams notifications.</p>
+  <p class="subtitle">Remove yourself from PR Comment Notifier. You'll stop receiving Teams and Slack notifications.</p>
   <div style="font-size:.85rem;margin-bottom:1rem"><a href="/" style="color:#4f6ef7;text-decoration:none">Home</a> · <a href="/register" style="color:#4f6ef7;text-decoration:none">Register</a> · <a href="/edit" style="color:#4f6ef7;text-decoration:none">Edit settings</a></div>
   <form id="unregForm" class="card">
     <div class="field">
@@ -317,6 +457,12 @@ function getEditPage(baseUrl) {
   .nav { font-size: .85rem; margin-bottom: 1rem; }
   .nav a { color: #4f6ef7; text-decoration: none; }
   .nav a:hover { text-decoration: underline; }
+  .banner { background: #fff4e0; color: #a15c00; border-radius: 8px; padding: .75rem 1rem; font-size: .9rem; line-height: 1.5; margin-bottom: 1rem; }
+  .rule { border: 1px solid #e2e2e2; border-radius: 8px; padding: .75rem; margin-bottom: .75rem; }
+  .rule-head { display: flex; gap: .5rem; margin-bottom: .5rem; }
+  .rule-head select { padding: .5rem; border: 1px solid #d0d0d0; border-radius: 8px; font-size: .85rem; }
+  button.secondary { width: auto; padding: .45rem .8rem; font-size: .85rem; background: #eef1fd; color: #4f6ef7; }
+  button.secondary:hover { background: #dfe5fc; }
   ${TOGGLE_CSS}
 </style>
 </head>
@@ -336,15 +482,14 @@ function getEditPage(baseUrl) {
   </div>
 
   <form id="editForm" class="card hidden">
+    <div id="brokenBanner" class="banner hidden"></div>
+
     <div class="field">
       <label>GitLab Username</label>
       <input type="text" id="gitlabUsername" readonly>
     </div>
 
-    <div class="field">
-      <label for="teamsWebhookUrl">Teams Webhook URL</label>
-      <input type="url" id="teamsWebhookUrl" required>
-    </div>
+${WEBHOOK_FIELDS_HTML}
 
     <div class="field">
       <label for="githubUsername">GitHub Username <span class="optional-tag">optional</span></label>
@@ -359,12 +504,97 @@ function getEditPage(baseUrl) {
 
     ${NOTIF_CHECKBOXES_HTML}
 
+    ${DELIVERY_HTML}
+
+    <div class="field">
+      <label>Repository Rules <span class="optional-tag">optional</span></label>
+      <div class="hint">Mute a repo or override the preferences above for it. Use * as a wildcard, e.g. gitlab:dtci/webdev/*. The first matching rule wins.</div>
+      <div id="repoRules"></div>
+      <datalist id="repoOptions"></datalist>
+      <button type="button" class="secondary" onclick="addRepoRule()">+ Add rule</button>
+    </div>
+
+    <div class="field">
+      <label for="codeownerPaths">CODEOWNERS Paths <span class="optional-tag">optional, comma-separated</span></label>
+      <div class="hint">Only get CODEOWNERS review requests when you own a changed file under one of these paths, e.g. src/payments/**, *.graphql. Leave blank for all of them.</div>
+      <input type="text" id="codeownerPaths" placeholder="e.g. src/payments/**, docs/">
+    </div>
+
     <button type="submit" id="saveBtn">Save Changes</button>
     <div id="editMsg"></div>
   </form>
 </div>
 
 <script>
+${WEBHOOK_INIT_JS}
+${DELIVERY_INIT_JS}
+
+const NOTIF_KEYS = [...document.querySelectorAll('#editForm input[id^="notif-"]')].map(el => el.id.slice('notif-'.length));
+
+function addRepoRule(rule = {}) {
+  const row = document.createElement('div');
+  row.className = 'rule';
+
+  const head = document.createElement('div');
+  head.className = 'rule-head';
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'rule-pattern';
+  pattern.placeholder = 'e.g. gitlab:dtci/webdev/*';
+  pattern.setAttribute('list', 'repoOptions');
+  pattern.value = rule.pattern || '';
+  const mode = document.createElement('select');
+  mode.className = 'rule-mode';
+  mode.add(new Option('Mute', 'muted'));
+  mode.add(new Option('Custom', 'custom'));
+  mode.value = rule.muted ? 'muted' : 'custom';
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'secondary';
+  remove.textContent = 'Remove';
+  remove.onclick = () => row.remove();
+  head.append(pattern, mode, remove);
+
+  const overrides = document.createElement('div');
+  overrides.className = 'rule-overrides';
+  for (const key of NOTIF_KEYS) {
+    const global = document.getElementById('notif-' + key);
+    const label = document.createElement('label');
+    label.className = 'toggle';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.dataset.key = key;
+    box.checked = rule.notifications && key in rule.notifications ? rule.notifications[key] : global.checked;
+    label.append(box, ' ' + global.parentElement.textContent.trim());
+    overrides.append(label);
+  }
+  const syncMode = () => overrides.classList.toggle('hidden', mode.value === 'muted');
+  mode.onchange = syncMode;
+  syncMode();
+
+  row.append(head, overrides);
+  document.getElementById('repoRules').append(row);
+}
+
+function collectRepoRules() {
+  return [...document.querySelectorAll('#repoRules .rule')].map(row => {
+    const pattern = row.querySelector('.rule-pattern').value.trim();
+    if (row.querySelector('.rule-mode').value === 'muted') return { pattern, muted: true };
+    const notifications = {};
+    row.querySelectorAll('.rule-overrides input').forEach(box => { notifications[box.dataset.key] = box.checked; });
+    return { pattern, notifications };
+  }).filter(rule => rule.pattern);
+}
+
+async function loadRepoOptions() {
+  try {
+    const res = await fetch('/api/repos');
+    const data = await res.json();
+    const list = document.getElementById('repoOptions');
+    (data.repos || []).forEach(repo => list.append(new Option(repo)));
+  } catch {}
+}
+
 async function lookupUser() {
   const btn = document.getElementById('lookupBtn');
   const msg = document.getElementById('lookupMsg');
@@ -379,23 +609,68 @@ async function lookupUser() {
     const data = await res.json();
     if (!res.ok) throw new Error(data.error || 'User not found');
     document.getElementById('gitlabUsername').value = data.gitlab?.username || '';
+    document.getElementById('notifyVia').value = data.notifyVia || 'teams';
     document.getElementById('teamsWebhookUrl').value = data.teamsWebhookUrl || '';
+    document.getElementById('slackWebhookUrl').value = data.slackWebhookUrl || '';
+    syncNotifyVia();
     document.getElementById('githubUsername').value = data.github?.username || '';
     document.getElementById('mentionAliases').value = (data.mentionAliases || []).join(', ');
+    const broken = [];
+    if (data.webhookBroken) {
+      const health = data.deliveryHealth || {};
+      broken.push('⚠️ Your Teams webhook has stopped working: the last ' + health.consecutiveFailures
+        + ' notifications failed' + (health.lastErrorStatus ? ' (HTTP ' + health.lastErrorStatus + ')' : '')
+        + '. The Power Automate flow may have been deleted or turned off. Create a new one and paste its URL below.');
+    }
+    if (data.slackWebhookBroken) {
+      const health = data.slackDeliveryHealth || {};
+      broken.push('⚠️ Your Slack webhook has stopped working: the last ' + health.consecutiveFailures
+        + ' notifications failed' + (health.lastErrorStatus ? ' (HTTP ' + health.lastErrorStatus + ')' : '')
+        + '. The Slack app or channel may have been removed. Add a new incoming webhook and paste its URL below.');
+    }
+    if (broken.length > 0) {
+      const banner = document.getElementById('brokenBanner');
+      banner.textContent = broken.join(' ');
+      banner.classList.remove('hidden');
+    }
     const notifs = data.notifications || {};
     document.getElementById('notif-comments').checked = notifs.comments !== false;
     document.getElementById('notif-mentions').checked = notifs.mentions !== false;
+    document.getElementById('notif-threadReplies').checked = notifs.threadReplies !== false;
+    document.getElementById('notif-threadResolved').checked = notifs.threadResolved !== false;
+    document.getElementById('notif-allDiscussionsResolved').checked = notifs.allDiscussionsResolved !== false;
     document.getElementById('notif-approvals').checked = notifs.approvals !== false;
+    document.getElementById('notif-approvalRevocations').checked = notifs.approvalRevocations !== false;
     document.getElementById('notif-merges').checked = notifs.merges !== false;
+    document.getElementById('notif-closedPRs').checked = notifs.closedPRs !== false;
+    document.getElementById('notif-reopenedPRs').checked = notifs.reopenedPRs !== false;
+    document.getElementById('notif-mergeConflicts').checked = notifs.mergeConflicts !== false;
     document.getElementById('notif-pipelineFailures').checked = notifs.pipelineFailures !== false;
     document.getElementById('notif-pipelineRecoveries').checked = notifs.pipelineRecoveries !== false;
     document.getElementById('notif-reviewRequests').checked = notifs.reviewRequests !== false;
+    document.getElementById('notif-readyForReview').checked = notifs.readyForReview !== false;
+    document.getElementById('notif-holdDraftReviewRequests').checked = notifs.holdDraftReviewRequests !== false;
+    document.getElementById('notif-newCommitsOnReviewedPRs').checked = notifs.newCommitsOnReviewedPRs !== false;
     document.getElementById('notif-codeownerReviewRequests').checked = notifs.codeownerReviewRequests !== false;
     document.getElementById('notif-sonarComments').checked = notifs.sonarComments === true;
     document.getElementById('notif-aiReviewComments').checked = notifs.aiReviewComments === true;
     document.getElementById('notif-selfComments').checked = notifs.selfComments === true;
     document.getElementById('notif-selfMerges').checked = notifs.selfMerges === true;
     document.getElementById('notif-selfReviewRequests').checked = notifs.selfReviewRequests === true;
+    if (data.timezone) document.getElementById('timezone').value = data.timezone;
+    document.getElementById('deliveryMode').value = data.deliveryMode || 'instant';
+    document.getElementById('digestTime').value = data.digestTime || '09:00';
+    document.getElementById('commentBatchSeconds').value = data.commentBatchSeconds;
+    syncDeliveryMode();
+    const quiet = data.quietHours || {};
+    document.getElementById('quiet-enabled').checked = quiet.enabled === true;
+    document.getElementById('quiet-start').value = quiet.start || '22:00';
+    document.getElementById('quiet-end').value = quiet.end || '08:00';
+    document.getElementById('quiet-weekends').checked = quiet.weekends === true;
+    document.getElementById('quiet-urgentBypass').checked = quiet.urgentBypass !== false;
+    (data.repoRules || []).forEach(rule => addRepoRule(rule));
+    document.getElementById('codeownerPaths').value = (data.codeownerPaths || []).join(', ');
+    loadRepoOptions();
     document.getElementById('lookupCard').classList.add('hidden');
     document.getElementById('editForm').classList.remove('hidden');
   } catch (err) {
@@ -414,32 +689,28 @@ document.getElementById('editForm').addEventListener('submit', async (e) => {
   btn.textContent = 'Saving…';
   msg.className = 'msg';
   msg.textContent = '';
-  const webhookUrl = document.getElementById('teamsWebhookUrl').value.trim();
   const strip = s => s.trim().replace(/^@/, '');
   const aliases = document.getElementById('mentionAliases').value
     .split(',').map(strip).filter(Boolean);
   try {
-    let parsedOk = false;
-    try {
-      const host = new URL(webhookUrl).hostname;
-      parsedOk = true;
-      if (host.endsWith('onrender.com') || host === 'localhost' || host === new URL('${baseUrl}').hostname) {
-        throw new Error('That looks like this server\\x27s URL, not a Teams webhook URL. Please paste the workflow URL from Power Automate.');
-      }
-    } catch (urlErr) {
-      if (parsedOk) throw urlErr;
-      throw new Error('Please enter a valid URL for the Teams webhook.');
-    }
+    checkWebhookUrls(new URL('${baseUrl}').hostname);
 
     const res = await fetch('/edit', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         gitlabUsername: document.getElementById('gitlabUsername').value.trim(),
-        teamsWebhookUrl: webhookUrl,
+        ${WEBHOOK_COLLECT_JS}
         githubUsername: document.getElementById('githubUsername').value.trim(),
         mentionAliases: aliases,
-        notifications: ${NOTIF_COLLECT_JS}
+        notifications: ${NOTIF_COLLECT_JS},
+        timezone: document.getElementById('timezone').value.trim(),
+        deliveryMode: document.getElementById('deliveryMode').value,
+        digestTime: document.getElementById('digestTime').value,
+        commentBatchSeconds: document.getElementById('commentBatchSeconds').value,
+        quietHours: ${QUIET_HOURS_COLLECT_JS},
+        repoRules: collectRepoRules(),
+        codeownerPaths: document.getElementById('codeownerPaths').value.split(',').map(s => s.trim()).filter(Boolean)
       })
     });
     const data = await res.json();
@@ -490,11 +761,11 @@ function getLandingPage() {
 <body>
 <div class="container">
   <h1>PR Comment Notifier</h1>
-  <p class="subtitle">Get Microsoft Teams notifications for comments, reviews, merges, and pipeline events on your GitHub PRs and GitLab MRs.</p>
+  <p class="subtitle">Get Microsoft Teams or Slack notifications for comments, reviews, merges, and pipeline events on your GitHub PRs and GitLab MRs.</p>
 
   <div class="card">
     <h2>New here?</h2>
-    <p>Sign up with your Teams webhook URL and choose which notifications you want.</p>
+    <p>Sign up with a Teams or Slack webhook URL and choose which notifications you want.</p>
     <a href="/register">Register</a>
   </div>
 
@@ -504,6 +775,18 @@ function getLandingPage() {
     <a href="/edit">Edit Settings</a>
   </div>
 
+  <div class="card">
+    <h2>Notifying a whole squad?</h2>
+    <p>Send merges, pipeline failures and review requests for your squad's repos to a shared Teams channel.</p>
+    <a href="/channels">Channel Subscriptions</a>
+  </div>
+
+  <div class="card">
+    <h2>Mentioned as a team?</h2>
+    <p>Set up a group so @mentions of your GitLab group or GitHub team reach everyone in it.</p>
+    <a href="/groups">Groups</a>
+  </div>
+
   <div class="card">
     <h2>Want to leave?</h2>
     <p>Remove yourself from the notification system.</p>
@@ -513,13 +796,18 @@ function getLandingPage() {
   <div class="card">
     <h2>What you get</h2>
     <ul class="features">
-      <li>Comments and @mentions on your MRs/PRs</li>
-      <li>Approvals and changes requested</li>
-      <li>Merge notifications</li>
-      <li>Review request assignments</li>
+      <li>Comments and @mentions on your MRs/PRs, including mentions of your team</li>
+      <li>Replies in review threads you've commented in</li>
+      <li>Resolved threads, and when all discussions on your MR are resolved</li>
+      <li>Approvals, revoked approvals and changes requested</li>
+      <li>Merge, close and reopen notifications</li>
+      <li>Review request assignments, held until drafts are ready</li>
+      <li>New commits on PRs/MRs you reviewed</li>
+      <li>Merge conflict and needs-rebase alerts</li>
       <li>Pipeline failures with smart deduplication</li>
       <li>Pipeline recovery alerts when builds are fixed</li>
       <li>Per-notification type toggles</li>
+      <li>Shared channel feeds for a squad's repos</li>
     </ul>
   </div>
 
@@ -529,9 +817,962 @@ function getLandingPage() {
 </html>`;
 }
 
+function getChannelsPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>PR Comment Notifier — Channel Subscriptions</title>
+<style>
+  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f6f8; color: #1a1a2e; min-height: 100vh; display: flex; justify-content: center; padding: 2rem 1rem; }
+  .container { max-width: 720px; width: 100%; }
+  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
+  .subtitle { color: #555; margin-bottom: 1.5rem; font-size: .95rem; line-height: 1.5; }
+  .card { background: #fff; border-radius: 12px; padding: 1.5rem; box-shadow: 0 1px 4px rgba(0,0,0,.08); margin-bottom: 1.25rem; }
+  .card h2 { font-size: 1.05rem; margin-bottom: .75rem; }
+  label { display: block; font-weight: 600; font-size: .85rem; margin-bottom: .35rem; color: #333; }
+  .hint { font-size: .8rem; color: #777; margin-bottom: .5rem; }
+  input[type="text"], input[type="url"] { width: 100%; padding: .6rem .75rem; border: 1px solid #d0d0d0; border-radius: 8px; font-size: .9rem; transition: border-color .15s; }
+  input:focus { outline: none; border-color: #4f6ef7; box-shadow: 0 0 0 3px rgba(79,110,247,.12); }
+  .field { margin-bottom: 1rem; }
+  .buttons { display: flex; gap: .5rem; }
+  button { flex: 1; padding: .7rem; background: #4f6ef7; color: #fff; border: none; border-radius: 8px; font-size: .95rem; font-weight: 600; cursor: pointer; transition: background .15s; }
+  button:hover { background: #3b5de7; }
+  button.secondary { background: #eef1fe; color: #4f6ef7; }
+  button.danger { background: #fde8e8; color: #b91c1c; }
+  button.small { flex: none; padding: .3rem .6rem; font-size: .8rem; }
+  ${TOGGLE_CSS}
+  table { width: 100%; border-collapse: collapse; font-size: .85rem; }
+  th, td { text-align: left; padding: .5rem .4rem; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { color: #777; font-weight: 600; }
+  td.actions { white-space: nowrap; text-align: right; }
+  .muted { color: #777; font-size: .8rem; }
+  .msg { margin-top: 1rem; padding: .75rem 1rem; border-radius: 8px; font-size: .9rem; line-height: 1.5; }
+  .msg.success { background: #e6f9ed; color: #1a7a3a; }
+  .msg.error { background: #fde8e8; color: #b91c1c; }
+  .hidden { display: none; }
+  .nav { font-size: .85rem; margin-bottom: 1rem; }
+  .nav a { color: #4f6ef7; text-decoration: none; }
+</style>
+</head>
+<body>
+<div class="container">
+  <h1>Channel Subscriptions</h1>
+  <p class="subtitle">Send merges, pipeline failures and review requests for a squad's repos to a shared Teams channel. Channels get these on top of everyone's personal notifications.</p>
+  <div class="nav"><a href="/">Home</a> · <a href="/register">Register</a> · <a href="/edit">Edit Settings</a> · <a href="/groups">Groups</a></div>
+
+  <form id="channelForm" class="card">
+    <h2 id="formTitle">Add a channel</h2>
+    <input type="hidden" id="channelId">
+    <div class="field">
+      <label for="name">Name</label>
+      <input type="text" id="name" placeholder="e.g. Payments squad" required>
+    </div>
+    <div class="field">
+      <label for="webhookUrl">Teams Webhook URL</label>
+      <div class="hint" id="webhookHint">The Power Automate workflow URL for the channel.</div>
+      <input type="url" id="webhookUrl" autocomplete="off">
+    </div>
+    <div class="field">
+      <label for="repos">Repos</label>
+      <div class="hint">Comma-separated; * matches anything. e.g. gitlab:payments/*, github:acme/billing-*</div>
+      <input type="text" id="repos" list="repoOptions" required>
+      <datalist id="repoOptions"></datalist>
+    </div>
+    <div class="field">
+      <label>Events</label>
+      <label class="toggle"><input type="checkbox" name="event" value="merge" checked> PRs/MRs merged</label>
+      <label class="toggle"><input type="checkbox" name="event" value="closed"> PRs/MRs closed</label>
+      <label class="toggle"><input type="checkbox" name="event" value="reopened"> PRs/MRs reopened</label>
+      <label class="toggle"><input type="checkbox" name="event" value="approval"> Approvals</label>
+      <label class="toggle"><input type="checkbox" name="event" value="changes_requested"> Changes requested</label>
+      <label class="toggle"><input type="checkbox" name="event" value="review_requested" checked> Review requests</label>
+      <label class="toggle"><input type="checkbox" name="event" value="ready_for_review"> Drafts marked ready for review</label>
+      <label class="toggle"><input type="checkbox" name="event" value="pipeline_failed" checked> Pipeline failures</label>
+      <label class="toggle"><input type="checkbox" name="event" value="pipeline_recovered"> Pipeline recoveries</label>
+    </div>
+    <div class="field">
+      <label for="authors">Authors (optional)</label>
+      <div class="hint">Comma-separated GitHub/GitLab usernames. Leave blank to include PRs/MRs from everyone. GitLab authors only match if they're registered here.</div>
+      <input type="text" id="authors">
+    </div>
+    <div class="buttons">
+      <button type="submit" id="saveBtn">Save Channel</button>
+      <button type="button" id="cancelBtn" class="secondary hidden">Cancel</button>
+    </div>
+    <div id="msg"></div>
+  </form>
+
+  <div class="card">
+    <h2>Channels</h2>
+    <table>
+      <thead><tr><th>Name</th><th>Repos</th><th>Events</th><th></th></tr></thead>
+      <tbody id="channelRows"><tr><td colspan="4">Loading…</td></tr></tbody>
+    </table>
+  </div>
+</div>
+
+<script>
+const msg = document.getElementById('msg');
+${ESCAPE_HTML_JS}
+const splitList = value => value.split(',').map(s => s.trim()).filter(Boolean);
+let channels = [];
+
+function showMessage(text, ok) {
+  msg.className = 'msg ' + (ok ? 'success' : 'error');
+  msg.textContent = text;
+}
+
+async function send(body) {
+  const res = await fetch('/channels', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+function resetForm() {
+  document.getElementById('channelForm').reset();
+  document.getElementById('channelId').value = '';
+  document.getElementById('formTitle').textContent = 'Add a channel';
+  document.getElementById('webhookHint').textContent = 'The Power Automate workflow URL for the channel.';
+  document.getElementById('cancelBtn').classList.add('hidden');
+}
+
+function editChannel(channel) {
+  document.getElementById('channelId').value = channel.id;
+  document.getElementById('name').value = channel.name;
+  document.getElementById('webhookUrl').value = '';
+  document.getElementById('repos').value = channel.repos.join(', ');
+  document.getElementById('authors').value = (channel.authors || []).join(', ');
+  document.querySelectorAll('input[name="event"]').forEach(el => {
+    el.checked = channel.events.includes(el.value);
+  });
+  document.getElementById('formTitle').textContent = 'Edit ' + channel.name;
+  document.getElementById('webhookHint').textContent = 'Currently posting to ' + (channel.webhookHost || 'an unknown host') + '. Leave blank to keep it.';
+  document.getElementById('cancelBtn').classList.remove('hidden');
+  window.scrollTo(0, 0);
+}
+
+async function loadChannels() {
+  const res = await fetch('/api/channels');
+  channels = await res.json();
+  document.getElementById('channelRows').innerHTML = channels.map(c => {
+    const authors = c.authors?.length ? '<div class="muted">by ' + esc(c.authors.join(', ')) + '</div>' : '';
+    return '<tr><td>' + esc(c.name) + '<div class="muted">' + esc(c.webhookHost || '') + '</div></td>'
+      + '<td>' + esc(c.repos.join(', ')) + authors + '</td>'
+      + '<td>' + esc(c.events.join(', ')) + '</td>'
+      + '<td class="actions"><button class="small secondary" data-id="' + esc(c.id) + '" data-action="edit">Edit</button> '
+      + '<button class="small danger" data-id="' + esc(c.id) + '" data-action="remove">Remove</button></td></tr>';
+  }).join('') || '<tr><td colspan="4">No channels yet.</td></tr>';
+}
+
+async function loadRepoOptions() {
+  try {
+    const res = await fetch('/api/repos');
+    const data = await res.json();
+    const list = document.getElementById('repoOptions');
+    (data.repos || []).forEach(repo => list.append(new Option(repo)));
+  } catch {}
+}
+
+document.getElementById('channelForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const btn = document.getElementById('saveBtn');
+  btn.disabled = true;
+  try {
+    const data = await send({
+      action: 'save',
+      id: document.getElementById('channelId').value || undefined,
+      name: document.getElementById('name').value.trim(),
+      webhookUrl: document.getElementById('webhookUrl').value.trim(),
+      repos: splitList(document.getElementById('repos').value),
+      events: [...document.querySelectorAll('input[name="event"]:checked')].map(el => el.value),
+      authors: splitList(document.getElementById('authors').value)
+    });
+    showMessage(data.message, true);
+    resetForm();
+    loadChannels();
+  } catch (err) {
+    showMessage(err.message, false);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+document.getElementById('cancelBtn').addEventListener('click', resetForm);
+
+document.getElementById('channelRows').addEventListener('click', async (e) => {
+  const { id, action } = e.target.dataset;
+  const channel = channels.find(c => c.id === id);
+  if (!channel) return;
+  if (action === 'edit') return editChannel(channel);
+  if (!confirm('Remove ' + channel.name + '? The channel will stop getting notifications.')) return;
+  try {
+    const data = await send({ action: 'remove', id });
+    showMessage(data.message, true);
+    if (document.getElementById('channelId').value === id) resetForm();
+    loadChannels();
+  } catch (err) {
+    showMessage(err.message, false);
+  }
+});
+
+loadChannels();
+loadRepoOptions();
+</script>
+</body>
+</html>`;
+}
+
+function getGroupsPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>PR Comment Notifier — Groups</title>
+<style>
+  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f6f8; color: #1a1a2e; min-height: 100vh; display: flex; justify-content: center; padding: 2rem 1rem; }
+  .container { max-width: 720px; width: 100%; }
+  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
+  .subtitle { color: #555; margin-bottom: 1.5rem; font-size: .95rem; line-height: 1.5; }
+  .card { background: #fff; border-radius: 12px; padding: 1.5rem; box-shadow: 0 1px 4px rgba(0,0,0,.08); margin-bottom: 1.25rem; }
+  .card h2 { font-size: 1.05rem; margin-bottom: .75rem; }
+  label { display: block; font-weight: 600; font-size: .85rem; margin-bottom: .35rem; color: #333; }
+  .hint { font-size: .8rem; color: #777; margin-bottom: .5rem; }
+  input[type="text"] { width: 100%; padding: .6rem .75rem; border: 1px solid #d0d0d0; border-radius: 8px; font-size: .9rem; transition: border-color .15s; }
+  input:focus { outline: none; border-color: #4f6ef7; box-shadow: 0 0 0 3px rgba(79,110,247,.12); }
+  .field { margin-bottom: 1rem; }
+  .buttons { display: flex; gap: .5rem; }
+  button { flex: 1; padding: .7rem; background: #4f6ef7; color: #fff; border: none; border-radius: 8px; font-size: .95rem; font-weight: 600; cursor: pointer; transition: background .15s; }
+  button:hover { background: #3b5de7; }
+  button.secondary { background: #eef1fe; color: #4f6ef7; }
+  button.danger { background: #fde8e8; color: #b91c1c; }
+  button.small { flex: none; padding: .3rem .6rem; font-size: .8rem; }
+  table { width: 100%; border-collapse: collapse; font-size: .85rem; }
+  th, td { text-align: left; padding: .5rem .4rem; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { color: #777; font-weight: 600; }
+  td.actions { white-space: nowrap; text-align: right; }
+  .muted { color: #777; font-size: .8rem; }
+  .msg { margin-top: 1rem; padding: .75rem 1rem; border-radius: 8px; font-size: .9rem; line-height: 1.5; }
+  .msg.success { background: #e6f9ed; color: #1a7a3a; }
+  .msg.error { background: #fde8e8; color: #b91c1c; }
+  .hidden { display: none; }
+  .nav { font-size: .85rem; margin-bottom: 1rem; }
+  .nav a { color: #4f6ef7; text-decoration: none; }
+</style>
+</head>
+<body>
+<div class="container">
+  <h1>Groups</h1>
+  <p class="subtitle">When someone @mentions a group's GitLab group or GitHub team, every registered member gets a mention notification. Members mentioned by name as well only get one card.</p>
+  <div class="nav"><a href="/">Home</a> · <a href="/register">Register</a> · <a href="/edit">Edit Settings</a> · <a href="/channels">Channels</a></div>
+
+  <form id="groupForm" class="card">
+    <h2 id="formTitle">Add a group</h2>
+    <input type="hidden" id="groupId">
+    <div class="field">
+      <label for="name">Name</label>
+      <input type="text" id="name" placeholder="e.g. Betting squad" required>
+    </div>
+    <div class="field">
+      <label for="gitlabHandle">GitLab group</label>
+      <div class="hint">The group path people mention, without the @. e.g. espn/fitt/betting-team</div>
+      <input type="text" id="gitlabHandle">
+    </div>
+    <div class="field">
+      <label for="githubHandle">GitHub team</label>
+      <div class="hint">The org/team people mention, without the @. e.g. espn/betting-team</div>
+      <input type="text" id="githubHandle">
+    </div>
+    <div class="field">
+      <label for="members">Members</label>
+      <div class="hint">Comma-separated names of registered users (their GitLab username, or GitHub username if they only use GitHub).</div>
+      <input type="text" id="members" required>
+    </div>
+    <div class="buttons">
+      <button type="submit" id="saveBtn">Save Group</button>
+      <button type="button" id="cancelBtn" class="secondary hidden">Cancel</button>
+    </div>
+    <div id="msg"></div>
+  </form>
+
+  <div class="card">
+    <h2>Groups</h2>
+    <table>
+      <thead><tr><th>Name</th><th>Handles</th><th>Members</th><th></th></tr></thead>
+      <tbody id="groupRows"><tr><td colspan="4">Loading…</td></tr></tbody>
+    </table>
+  </div>
+</div>
+
+<script>
+const msg = document.getElementById('msg');
+${ESCAPE_HTML_JS}
+let groups = [];
+
+function showMessage(text, ok) {
+  msg.className = 'msg ' + (ok ? 'success' : 'error');
+  msg.textContent = text;
+}
+
+async function send(body) {
+  const res = await fetch('/groups', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+function resetForm() {
+  document.getElementById('groupForm').reset();
+  document.getElementById('groupId').value = '';
+  document.getElementById('formTitle').textContent = 'Add a group';
+  document.getElementById('cancelBtn').classList.add('hidden');
+}
+
+function editGroup(group) {
+  document.getElementById('groupId').value = group.id;
+  document.getElementById('name').value = group.name;
+  document.getElementById('gitlabHandle').value = group.handles.gitlab || '';
+  document.getElementById('githubHandle').value = group.handles.github || '';
+  document.getElementById('members').value = group.members.join(', ');
+  document.getElementById('formTitle').textContent = 'Edit ' + group.name;
+  document.getElementById('cancelBtn').classList.remove('hidden');
+  window.scrollTo(0, 0);
+}
+
+async function loadGroups() {
+  const res = await fetch('/api/groups');
+  groups = await res.json();
+  document.getElementById('groupRows').innerHTML = groups.map(g => {
+    const handles = [
+      g.handles.gitlab ? 'GitLab: @' + esc(g.handles.gitlab) : '',
+      g.handles.github ? 'GitHub: @' + esc(g.handles.github) : ''
+    ].filter(Boolean).join('<br>');
+    return '<tr><td>' + esc(g.name) + '</td><td class="muted">' + handles + '</td>'
+      + '<td>' + esc(g.members.join(', ')) + '</td>'
+      + '<td class="actions"><button class="small secondary" data-id="' + esc(g.id) + '" data-action="edit">Edit</button> '
+      + '<button class="small danger" data-id="' + esc(g.id) + '" data-action="remove">Remove</button></td></tr>';
+  }).join('') || '<tr><td colspan="4">No groups yet.</td></tr>';
+}
+
+document.getElementById('groupForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const btn = document.getElementById('saveBtn');
+  btn.disabled = true;
+  try {
+    const data = await send({
+      action: 'save',
+      id: document.getElementById('groupId').value || undefined,
+      name: document.getElementById('name').value.trim(),
+      handles: {
+        gitlab: document.getElementById('gitlabHandle').value.trim(),
+        github: document.getElementById('githubHandle').value.trim()
+      },
+      members: document.getElementById('members').value.split(',').map(s => s.trim()).filter(Boolean)
+    });
+    showMessage(data.message, true);
+    resetForm();
+    loadGroups();
+  } catch (err) {
+    showMessage(err.message, false);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+document.getElementById('cancelBtn').addEventListener('click', resetForm);
+
+document.getElementById('groupRows').addEventListener('click', async (e) => {
+  const { id, action } = e.target.dataset;
+  const group = groups.find(g => g.id === id);
+  if (!group) return;
+  if (action === 'edit') return editGroup(group);
+  if (!confirm('Remove ' + group.name + '? Mentions of it will stop notifying its members.')) return;
+  try {
+    const data = await send({ action: 'remove', id });
+    showMessage(data.message, true);
+    if (document.getElementById('groupId').value === id) resetForm();
+    loadGroups();
+  } catch (err) {
+    showMessage(err.message, false);
+  }
+});
+
+loadGroups();
+</script>
+</body>
+</html>`;
+}
+
+function getRepoSecretsPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>PR Comment Notifier — Webhook Secrets</title>
+<style>
+  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f6f8; color: #1a1a2e; min-height: 100vh; display: flex; justify-content: center; padding: 2rem 1rem; }
+  .container { max-width: 720px; width: 100%; }
+  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
+  .subtitle { color: #555; margin-bottom: 1.5rem; font-size: .95rem; line-height: 1.5; }
+  .card { background: #fff; border-radius: 12px; padding: 1.5rem; box-shadow: 0 1px 4px rgba(0,0,0,.08); margin-bottom: 1.25rem; }
+  .card h2 { font-size: 1.05rem; margin-bottom: .75rem; }
+  label { display: block; font-weight: 600; font-size: .85rem; margin-bottom: .35rem; color: #333; }
+  .hint { font-size: .8rem; color: #777; margin-bottom: .5rem; }
+  input[type="text"] { width: 100%; padding: .6rem .75rem; border: 1px solid #d0d0d0; border-radius: 8px; font-size: .9rem; transition: border-color .15s; }
+  input:focus { outline: none; border-color: #4f6ef7; box-shadow: 0 0 0 3px rgba(79,110,247,.12); }
+  .field { margin-bottom: 1rem; }
+  .buttons { display: flex; gap: .5rem; }
+  button { flex: 1; padding: .7rem; background: #4f6ef7; color: #fff; border: none; border-radius: 8px; font-size: .95rem; font-weight: 600; cursor: pointer; transition: background .15s; }
+  button:hover { background: #3b5de7; }
+  button.secondary { background: #eef1fe; color: #4f6ef7; }
+  button.danger { background: #fde8e8; color: #b91c1c; }
+  button.small { flex: none; padding: .3rem .6rem; font-size: .8rem; }
+  table { width: 100%; border-collapse: collapse; font-size: .85rem; }
+  th, td { text-align: left; padding: .5rem .4rem; border-bottom: 1px solid #eee; vertical-align: middle; }
+  th { color: #777; font-weight: 600; }
+  td.actions { white-space: nowrap; text-align: right; }
+  .tag { display: inline-block; padding: .1rem .45rem; border-radius: 6px; font-size: .75rem; font-weight: 600; }
+  .tag.own { background: #e6f9ed; color: #1a7a3a; }
+  .tag.global { background: #f0f0f0; color: #777; }
+  .tag.rotating { background: #fff4e0; color: #a15c00; }
+  .msg { margin-top: 1rem; padding: .75rem 1rem; border-radius: 8px; font-size: .9rem; line-height: 1.5; word-break: break-all; }
+  .msg.success { background: #e6f9ed; color: #1a7a3a; }
+  .msg.error { background: #fde8e8; color: #b91c1c; }
+  .nav { font-size: .85rem; margin-bottom: 1rem; }
+  .nav a { color: #4f6ef7; text-decoration: none; }
+</style>
+</head>
+<body>
+<div class="container">
+  <h1>Webhook Secrets</h1>
+  <p class="subtitle">Give a repo its own GitHub webhook secret or GitLab secret token. Repos without one fall back to <code>GITHUB_WEBHOOK_SECRET</code> / <code>GITLAB_WEBHOOK_TOKEN</code>.</p>
+  <div class="nav"><a href="/">Home</a> · <a href="/admin/codeowners">CODEOWNERS</a> · <a href="/admin/events">Event Stream</a> · <a href="/health">Health</a></div>
+
+  <form id="secretForm" class="card">
+    <h2>Set or rotate a secret</h2>
+    <div class="field">
+      <label for="repoKey">Repo</label>
+      <div class="hint">e.g. github:owner/repo or gitlab:group/project</div>
+      <input type="text" id="repoKey" list="repoOptions" required>
+      <datalist id="repoOptions"></datalist>
+    </div>
+    <div class="field">
+      <label for="secret">Secret</label>
+      <div class="hint">Leave blank to generate one. Rotating keeps the current secret valid until you retire it, so you can update the webhook without dropping deliveries.</div>
+      <input type="text" id="secret" autocomplete="off">
+    </div>
+    <div class="buttons">
+      <button type="submit" data-action="set">Set</button>
+      <button type="submit" data-action="rotate" class="secondary">Rotate</button>
+    </div>
+    <div id="msg"></div>
+  </form>
+
+  <div class="card">
+    <h2>Repos</h2>
+    <table>
+      <thead><tr><th>Repo</th><th>Secret</th><th>Updated</th><th></th></tr></thead>
+      <tbody id="repoRows"><tr><td colspan="4">Loading…</td></tr></tbody>
+    </table>
+  </div>
+</div>
+
+<script>
+const msg = document.getElementById('msg');
+${ESCAPE_HTML_JS}
+
+function showMessage(text, ok) {
+  msg.className = 'msg ' + (ok ? 'success' : 'error');
+  msg.textContent = text;
+}
+
+async function send(body) {
+  const res = await fetch('/admin/secrets', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+async function loadRepos() {
+  const res = await fetch('/api/admin/secrets');
+  const rows = await res.json();
+  document.getElementById('repoOptions').innerHTML = rows
+    .map(r => '<option value="' + esc(r.repoKey) + '">').join('');
+  document.getElementById('repoRows').innerHTML = rows.map(r => {
+    const status = !r.configured ? '<span class="tag global">global</span>'
+      : r.hasPrevious ? '<span class="tag rotating">rotating</span>'
+      : '<span class="tag own">own</span>';
+    const updated = r.updatedAt ? new Date(r.updatedAt).toLocaleString() : '';
+    const actions = !r.configured ? ''
+      : (r.hasPrevious ? '<button class="small secondary" data-repo="' + esc(r.repoKey) + '" data-action="retire">Retire previous</button> ' : '')
+        + '<button class="small danger" data-repo="' + esc(r.repoKey) + '" data-action="remove">Remove</button>';
+    return '<tr><td>' + esc(r.repoKey) + '</td><td>' + status + '</td><td>' + updated + '</td><td class="actions">' + actions + '</td></tr>';
+  }).join('') || '<tr><td colspan="4">No repos discovered yet.</td></tr>';
+}
+
+document.getElementById('secretForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const data = await send({
+      repoKey: document.getElementById('repoKey').value.trim(),
+      secret: document.getElementById('secret').value.trim(),
+      action: e.submitter.dataset.action
+    });
+    showMessage(data.secret ? data.message + ' Generated secret (copy it now, it will not be shown again): ' + data.secret : data.message, true);
+    document.getElementById('secret').value = '';
+    loadRepos();
+  } catch (err) {
+    showMessage(err.message, false);
+  }
+});
+
+document.getElementById('repoRows').addEventListener('click', async (e) => {
+  const { repo, action } = e.target.dataset;
+  if (!repo) return;
+  if (action === 'remove' && !confirm('Remove the secret for ' + repo + '? It will fall back to the global secret.')) return;
+  try {
+    const data = await send({ repoKey: repo, action });
+    showMessage(data.message, true);
+    loadRepos();
+  } catch (err) {
+    showMessage(err.message, false);
+  }
+});
+
+loadRepos();
+</script>
+</body>
+</html>`;
+}
+
+
+function getCodeownersPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>PR Comment Notifier — CODEOWNERS</title>
+<style>
+  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f6f8; color: #1a1a2e; min-height: 100vh; display: flex; justify-content: center; padding: 2rem 1rem; }
+  .container { max-width: 720px; width: 100%; }
+  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
+  .subtitle { color: #555; margin-bottom: 1.5rem; font-size: .95rem; line-height: 1.5; }
+  .card { background: #fff; border-radius: 12px; padding: 1.5rem; box-shadow: 0 1px 4px rgba(0,0,0,.08); margin-bottom: 1.25rem; }
+  .card h2 { font-size: 1.05rem; margin-bottom: .75rem; }
+  label { display: block; font-weight: 600; font-size: .85rem; margin-bottom: .35rem; color: #333; }
+  .hint { font-size: .8rem; color: #777; margin-bottom: .5rem; }
+  input[type="text"], textarea { width: 100%; padding: .6rem .75rem; border: 1px solid #d0d0d0; border-radius: 8px; font-size: .9rem; transition: border-color .15s; }
+  textarea { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: .8rem; min-height: 10rem; resize: vertical; }
+  input:focus, textarea:focus { outline: none; border-color: #4f6ef7; box-shadow: 0 0 0 3px rgba(79,110,247,.12); }
+  .field { margin-bottom: 1rem; }
+  .buttons { display: flex; gap: .5rem; }
+  button { flex: 1; padding: .7rem; background: #4f6ef7; color: #fff; border: none; border-radius: 8px; font-size: .95rem; font-weight: 600; cursor: pointer; transition: background .15s; }
+  button:hover { background: #3b5de7; }
+  button.danger { background: #fde8e8; color: #b91c1c; }
+  button.small { flex: none; padding: .3rem .6rem; font-size: .8rem; }
+  table { width: 100%; border-collapse: collapse; font-size: .85rem; }
+  th, td { text-align: left; padding: .5rem .4rem; border-bottom: 1px solid #eee; vertical-align: middle; }
+  th { color: #777; font-weight: 600; }
+  td.actions { white-space: nowrap; text-align: right; }
+  .tag { display: inline-block; padding: .1rem .45rem; border-radius: 6px; font-size: .75rem; font-weight: 600; }
+  .tag.own { background: #e6f9ed; color: #1a7a3a; }
+  .tag.none { background: #f0f0f0; color: #777; }
+  .tag.broken { background: #fde8e8; color: #b91c1c; }
+  .msg { margin-top: 1rem; padding: .75rem 1rem; border-radius: 8px; font-size: .9rem; line-height: 1.5; }
+  .msg.success { background: #e6f9ed; color: #1a7a3a; }
+  .msg.error { background: #fde8e8; color: #b91c1c; }
+  .nav { font-size: .85rem; margin-bottom: 1rem; }
+  .nav a { color: #4f6ef7; text-decoration: none; }
+</style>
+</head>
+<body>
+<div class="container">
+  <h1>CODEOWNERS</h1>
+  <p class="subtitle">Give a repo its CODEOWNERS file so review-request cards list the changed files each reviewer owns, and reviewers can limit CODEOWNERS requests to the paths they care about.</p>
+  <div class="nav"><a href="/">Home</a> · <a href="/admin/secrets">Webhook Secrets</a> · <a href="/admin/events">Event Stream</a> · <a href="/health">Health</a></div>
+
+  <form id="codeownersForm" class="card">
+    <h2>Set a CODEOWNERS file</h2>
+    <div class="field">
+      <label for="repoKey">Repo</label>
+      <div class="hint">e.g. github:owner/repo or gitlab:group/project</div>
+      <input type="text" id="repoKey" list="repoOptions" required>
+      <datalist id="repoOptions"></datalist>
+    </div>
+    <div class="field">
+      <label for="content">File contents</label>
+      <div class="hint">Paste the file, or pick it below.</div>
+      <textarea id="content" spellcheck="false"></textarea>
+      <input type="file" id="file">
+    </div>
+    <div class="field">
+      <label for="path">Or a path on this server</label>
+      <div class="hint">Relative to CODEOWNERS_ROOT. Read once; save again to pick up changes to the file.</div>
+      <input type="text" id="path" placeholder="repo/.github/CODEOWNERS">
+    </div>
+    <div class="buttons">
+      <button type="submit">Save</button>
+    </div>
+    <div id="msg"></div>
+  </form>
+
+  <div class="card">
+    <h2>Repos</h2>
+    <table>
+      <thead><tr><th>Repo</th><th>CODEOWNERS</th><th>Updated</th><th></th></tr></thead>
+      <tbody id="repoRows"><tr><td colspan="4">Loading…</td></tr></tbody>
+    </table>
+  </div>
+</div>
+
+<script>
+const msg = document.getElementById('msg');
+${ESCAPE_HTML_JS}
+
+function showMessage(text, ok) {
+  msg.className = 'msg ' + (ok ? 'success' : 'error');
+  msg.textContent = text;
+}
+
+async function send(body) {
+  const res = await fetch('/admin/codeowners', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+async function loadRepos() {
+  const res = await fetch('/api/admin/codeowners');
+  const rows = await res.json();
+  document.getElementById('repoOptions').innerHTML = rows
+    .map(r => '<option value="' + esc(r.repoKey) + '">').join('');
+  document.getElementById('repoRows').innerHTML = rows.map(r => {
+    const source = r.path ? esc(r.path) : 'uploaded';
+    const status = !r.configured ? '<span class="tag none">none</span>'
+      : r.ruleCount === null ? '<span class="tag broken">unreadable</span> ' + source
+      : '<span class="tag own">' + r.ruleCount + ' rules</span> ' + source;
+    const updated = r.updatedAt ? new Date(r.updatedAt).toLocaleString() : '';
+    const actions = r.configured
+      ? '<button class="small danger" data-repo="' + esc(r.repoKey) + '" data-action="remove">Remove</button>'
+      : '';
+    return '<tr><td>' + esc(r.repoKey) + '</td><td>' + status + '</td><td>' + updated + '</td><td class="actions">' + actions + '</td></tr>';
+  }).join('') || '<tr><td colspan="4">No repos discovered yet.</td></tr>';
+}
+
+document.getElementById('file').addEventListener('change', async (e) => {
+  const [file] = e.target.files;
+  if (file) document.getElementById('content').value = await file.text();
+});
+
+document.getElementById('codeownersForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const data = await send({
+      repoKey: document.getElementById('repoKey').value.trim(),
+      content: document.getElementById('content').value,
+      path: document.getElementById('path').value.trim(),
+      action: 'set'
+    });
+    showMessage(data.message, true);
+    document.getElementById('codeownersForm').reset();
+    loadRepos();
+  } catch (err) {
+    showMessage(err.message, false);
+  }
+});
+
+document.getElementById('repoRows').addEventListener('click', async (e) => {
+  const { repo, action } = e.target.dataset;
+  if (!repo) return;
+  if (!confirm('Remove the CODEOWNERS file for ' + repo + '?')) return;
+  try {
+    const data = await send({ repoKey: repo, action });
+    showMessage(data.message, true);
+    loadRepos();
+  } catch (err) {
+    showMessage(err.message, false);
+  }
+});
+
+loadRepos();
+</script>
+</body>
+</html>`;
+}
+
+function getEventSubscribersPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>PR Comment Notifier — Event Stream</title>
+<style>
+  *, *::before, *::after { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f6f8; color: #1a1a2e; min-height: 100vh; display: flex; justify-content: center; padding: 2rem 1rem; }
+  .container { max-width: 820px; width: 100%; }
+  h1 { font-size: 1.5rem; margin-bottom: .25rem; }
+  .subtitle { color: #555; margin-bottom: 1.5rem; font-size: .95rem; line-height: 1.5; }
+  .card { background: #fff; border-radius: 12px; padding: 1.5rem; box-shadow: 0 1px 4px rgba(0,0,0,.08); margin-bottom: 1.25rem; }
+  .card h2 { font-size: 1.05rem; margin-bottom: .75rem; }
+  label { display: block; font-weight: 600; font-size: .85rem; margin-bottom: .35rem; color: #333; }
+  .hint { font-size: .8rem; color: #777; margin-bottom: .5rem; }
+  input[type="text"], input[type="url"] { width: 100%; padding: .6rem .75rem; border: 1px solid #d0d0d0; border-radius: 8px; font-size: .9rem; transition: border-color .15s; }
+  input:focus { outline: none; border-color: #4f6ef7; box-shadow: 0 0 0 3px rgba(79,110,247,.12); }
+  .field { margin-bottom: 1rem; }
+  .buttons { display: flex; gap: .5rem; }
+  button { flex: 1; padding: .7rem; background: #4f6ef7; color: #fff; border: none; border-radius: 8px; font-size: .95rem; font-weight: 600; cursor: pointer; transition: background .15s; }
+  button:hover { background: #3b5de7; }
+  button.secondary { background: #eef1fe; color: #4f6ef7; }
+  button.danger { background: #fde8e8; color: #b91c1c; }
+  button.small { flex: none; padding: .3rem .6rem; font-size: .8rem; }
+  ${TOGGLE_CSS}
+  table { width: 100%; border-collapse: collapse; font-size: .85rem; }
+  th, td { text-align: left; padding: .5rem .4rem; border-bottom: 1px solid #eee; vertical-align: top; }
+  th { color: #777; font-weight: 600; }
+  td.actions { white-space: nowrap; text-align: right; }
+  tr.recent td { background: #fafbfc; font-size: .8rem; }
+  .muted { color: #777; font-size: .8rem; }
+  .tag { display: inline-block; padding: .1rem .45rem; border-radius: 6px; font-size: .75rem; font-weight: 600; }
+  .tag.own { background: #e6f9ed; color: #1a7a3a; }
+  .tag.none { background: #f0f0f0; color: #777; }
+  .tag.broken { background: #fde8e8; color: #b91c1c; }
+  .secret { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; word-break: break-all; }
+  .msg { margin-top: 1rem; padding: .75rem 1rem; border-radius: 8px; font-size: .9rem; line-height: 1.5; }
+  .msg.success { background: #e6f9ed; color: #1a7a3a; }
+  .msg.error { background: #fde8e8; color: #b91c1c; }
+  .hidden { display: none; }
+  .nav { font-size: .85rem; margin-bottom: 1rem; }
+  .nav a { color: #4f6ef7; text-decoration: none; }
+</style>
+</head>
+<body>
+<div class="container">
+  <h1>Event Stream</h1>
+  <p class="subtitle">Forward merges, approvals, review requests, pipeline failures and comments as signed JSON to your own tools. The payload format is documented in the README under "Event Stream".</p>
+  <div class="nav"><a href="/">Home</a> · <a href="/admin/secrets">Webhook Secrets</a> · <a href="/admin/codeowners">CODEOWNERS</a> · <a href="/health">Health</a></div>
+
+  <form id="subscriberForm" class="card">
+    <h2 id="formTitle">Add a subscriber</h2>
+    <input type="hidden" id="subscriberId">
+    <div class="field">
+      <label for="name">Name</label>
+      <input type="text" id="name" placeholder="e.g. Review dashboard" required>
+    </div>
+    <div class="field">
+      <label for="url">URL</label>
+      <div class="hint">Events are POSTed here as JSON.</div>
+      <input type="url" id="url" placeholder="https://dashboard.example.com/hooks/pr-events" required>
+    </div>
+    <div class="field">
+      <label for="repos">Repos (optional)</label>
+      <div class="hint">Comma-separated; * matches anything. Leave blank for every repo.</div>
+      <input type="text" id="repos" list="repoOptions">
+      <datalist id="repoOptions"></datalist>
+    </div>
+    <div class="field">
+      <label>Events</label>
+      <label class="toggle"><input type="checkbox" name="event" value="merge" checked> merge</label>
+      <label class="toggle"><input type="checkbox" name="event" value="approval" checked> approval</label>
+      <label class="toggle"><input type="checkbox" name="event" value="review_requested" checked> review_requested</label>
+      <label class="toggle"><input type="checkbox" name="event" value="pipeline_failed" checked> pipeline_failed</label>
+      <label class="toggle"><input type="checkbox" name="event" value="comment" checked> comment</label>
+    </div>
+    <div class="field">
+      <label class="toggle"><input type="checkbox" id="enabled" checked> Enabled</label>
+    </div>
+    <div class="buttons">
+      <button type="submit" id="saveBtn">Save Subscriber</button>
+      <button type="button" id="cancelBtn" class="secondary hidden">Cancel</button>
+    </div>
+    <div id="msg"></div>
+  </form>
+
+  <div class="card">
+    <h2>Subscribers</h2>
+    <table>
+      <thead><tr><th>Name</th><th>Events</th><th>Delivery</th><th></th></tr></thead>
+      <tbody id="subscriberRows"><tr><td colspan="4">Loading…</td></tr></tbody>
+    </table>
+  </div>
+</div>
+
+<script>
+const msg = document.getElementById('msg');
+${ESCAPE_HTML_JS}
+const splitList = value => value.split(',').map(s => s.trim()).filter(Boolean);
+const when = iso => iso ? new Date(iso).toLocaleString() : 'never';
+let subscribers = [];
+
+function showMessage(text, ok, secret) {
+  msg.className = 'msg ' + (ok ? 'success' : 'error');
+  msg.innerHTML = esc(text) + (secret
+    ? '<div style="margin-top:.5rem">Signing secret (shown once — copy it now):</div><div class="secret">' + esc(secret) + '</div>'
+    : '');
+}
+
+async function send(body) {
+  const res = await fetch('/admin/events', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Request failed');
+  return data;
+}
+
+function resetForm() {
+  document.getElementById('subscriberForm').reset();
+  document.getElementById('subscriberId').value = '';
+  document.getElementById('formTitle').textContent = 'Add a subscriber';
+  document.getElementById('cancelBtn').classList.add('hidden');
+}
+
+function editSubscriber(subscriber) {
+  document.getElementById('subscriberId').value = subscriber.id;
+  document.getElementById('name').value = subscriber.name;
+  document.getElementById('url').value = subscriber.url;
+  document.getElementById('repos').value = (subscriber.repos || []).join(', ');
+  document.getElementById('enabled').checked = subscriber.enabled !== false;
+  document.querySelectorAll('input[name="event"]').forEach(el => {
+    el.checked = subscriber.events.includes(el.value);
+  });
+  document.getElementById('formTitle').textContent = 'Edit ' + subscriber.name;
+  document.getElementById('cancelBtn').classList.remove('hidden');
+  window.scrollTo(0, 0);
+}
+
+function statusCell(s) {
+  const status = s.status;
+  const tag = s.enabled === false ? '<span class="tag none">disabled</span>'
+    : !status ? '<span class="tag none">no deliveries yet</span>'
+    : status.consecutiveFailures > 0 ? '<span class="tag broken">failing (' + status.consecutiveFailures + ' in a row)</span>'
+    : '<span class="tag own">ok</span>';
+  if (!status) return tag;
+  return tag + '<div class="muted">' + status.delivered + ' delivered, ' + status.failed + ' failed</div>'
+    + '<div class="muted">Last success: ' + esc(when(status.lastSuccessAt)) + '</div>'
+    + (status.lastError ? '<div class="muted">Last error (' + esc(when(status.lastErrorAt)) + '): ' + esc(status.lastError) + '</div>' : '');
+}
+
+function recentRow(s) {
+  const recent = (s.status && s.status.recent) || [];
+  const rows = recent.map(a => '<div>' + (a.ok ? '✅' : '❌') + ' ' + esc(when(a.at)) + ' · ' + esc(a.type)
+    + ' · ' + esc(a.status || 'no response') + (a.error ? ' · ' + esc(a.error) : '')
+    + ' <span class="muted">' + esc(a.eventId) + '</span></div>').join('');
+  return '<tr class="recent hidden" id="recent-' + esc(s.id) + '"><td colspan="4">' + (rows || 'No deliveries yet.') + '</td></tr>';
+}
+
+async function loadSubscribers() {
+  const res = await fetch('/api/admin/events');
+  subscribers = await res.json();
+  document.getElementById('subscriberRows').innerHTML = subscribers.map(s => {
+    const repos = s.repos?.length ? esc(s.repos.join(', ')) : 'all repos';
+    return '<tr><td>' + esc(s.name) + '<div class="muted">' + esc(s.url) + '</div></td>'
+      + '<td>' + esc(s.events.join(', ')) + '<div class="muted">' + repos + '</div></td>'
+      + '<td>' + statusCell(s) + '</td>'
+      + '<td class="actions"><button class="small secondary" data-id="' + esc(s.id) + '" data-action="recent">Recent</button> '
+      + '<button class="small secondary" data-id="' + esc(s.id) + '" data-action="test">Ping</button> '
+      + '<button class="small secondary" data-id="' + esc(s.id) + '" data-action="edit">Edit</button> '
+      + '<button class="small secondary" data-id="' + esc(s.id) + '" data-action="rotate">New secret</button> '
+      + '<button class="small danger" data-id="' + esc(s.id) + '" data-action="remove">Remove</button></td></tr>'
+      + recentRow(s);
+  }).join('') || '<tr><td colspan="4">No subscribers yet.</td></tr>';
+}
+
+async function loadRepoOptions() {
+  try {
+    const res = await fetch('/api/repos');
+    const data = await res.json();
+    const list = document.getElementById('repoOptions');
+    (data.repos || []).forEach(repo => list.append(new Option(repo)));
+  } catch {}
+}
+
+document.getElementById('subscriberForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const btn = document.getElementById('saveBtn');
+  btn.disabled = true;
+  try {
+    const data = await send({
+      action: 'save',
+      id: document.getElementById('subscriberId').value || undefined,
+      name: document.getElementById('name').value.trim(),
+      url: document.getElementById('url').value.trim(),
+      repos: splitList(document.getElementById('repos').value),
+      events: [...document.querySelectorAll('input[name="event"]:checked')].map(el => el.value),
+      enabled: document.getElementById('enabled').checked
+    });
+    showMessage(data.message, true, data.secret);
+    resetForm();
+    loadSubscribers();
+  } catch (err) {
+    showMessage(err.message, false);
+  } finally {
+    btn.disabled = false;
+  }
+});
+
+document.getElementById('cancelBtn').addEventListener('click', resetForm);
+
+document.getElementById('subscriberRows').addEventListener('click', async (e) => {
+  const { id, action } = e.target.dataset;
+  const subscriber = subscribers.find(s => s.id === id);
+  if (!subscriber) return;
+  if (action === 'edit') return editSubscriber(subscriber);
+  if (action === 'recent') return document.getElementById('recent-' + id).classList.toggle('hidden');
+  if (action === 'rotate' && !confirm('Generate a new signing secret for ' + subscriber.name + '? The old one stops working immediately.')) return;
+  if (action === 'remove' && !confirm('Remove ' + subscriber.name + '? It will stop getting events.')) return;
+  try {
+    const data = await send({ action, id });
+    showMessage(data.message, !data.delivery || data.delivery === 'delivered', data.secret);
+    if (action === 'remove' && document.getElementById('subscriberId').value === id) resetForm();
+    loadSubscribers();
+  } catch (err) {
+    showMessage(err.message, false);
+  }
+});
+
+loadSubscribers();
+loadRepoOptions();
+</script>
+</body>
+</html>`;
+}
+
 export {
   getRegistrationPage,
   getUnregisterPage,
   getEditPage,
-  getLandingPage
+  getLandingPage,
+  getChannelsPage,
+  getGroupsPage,
+  getRepoSecretsPage,
+  getCodeownersPage,
+  getEventSubscribersPage
 };
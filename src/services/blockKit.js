@@ -0,0 +1,95 @@
+import _ from 'lodash';
+
+// Slack's per-block limits; anything longer is rejected outright, so text is cut to fit
+const MAX_HEADER_LENGTH = 150;
+const MAX_SECTION_LENGTH = 3000;
+const MAX_FIELD_LENGTH = 2000;
+const MAX_FIELDS_PER_SECTION = 10;
+const MAX_BUTTON_LENGTH = 75;
+const MAX_BUTTONS = 25;
+const MAX_BLOCKS = 50;
+
+function truncate(text, max) {
+  const str = String(text ?? '');
+  return str.length > max ? str.substring(0, max - 1) + '…' : str;
+}
+
+// Adaptive Card markdown uses **bold** and [text](url); Slack mrkdwn uses
+// *bold* and <url|text>, and needs &, < and > escaped.
+function toMrkdwn(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\[([^\]]*)\]\(([^)\s]+)\)/g, (match, label, url) => `<${url}|${label.replace(/\|/g, '/')}>`)
+    .replace(/\*\*(.+?)\*\*/g, '*$1*');
+}
+
+function plainText(text, max) {
+  return { type: 'plain_text', text: truncate(text, max) || ' ', emoji: true };
+}
+
+function mrkdwn(text, max) {
+  return { type: 'mrkdwn', text: truncate(toMrkdwn(text), max) || ' ' };
+}
+
+function richText(element) {
+  return (element.inlines || []).map(inline => inline.text).join('');
+}
+
+function convertTextBlock(block, isTitle) {
+  if (isTitle) return [{ type: 'header', text: plainText(block.text, MAX_HEADER_LENGTH) }];
+  if (block.isSubtle) return [{ type: 'context', elements: [mrkdwn(block.text, MAX_SECTION_LENGTH)] }];
+  return [{ type: 'section', text: mrkdwn(block.text, MAX_SECTION_LENGTH) }];
+}
+
+function convertFactSet(block) {
+  return _.chunk(block.facts, MAX_FIELDS_PER_SECTION).map(facts => ({
+    type: 'section',
+    fields: facts.map(fact => mrkdwn(`**${fact.title.replace(/:$/, '')}**\n${fact.value ?? ''}`, MAX_FIELD_LENGTH))
+  }));
+}
+
+// Code snippets are a Container of monospace RichTextBlocks, one per line
+function convertContainer(block) {
+  const lines = (block.items || []).filter(item => item.type === 'RichTextBlock').map(richText);
+  if (lines.length === 0) return [];
+  const code = truncate(lines.join('\n'), MAX_SECTION_LENGTH - 8);
+  return [{ type: 'section', text: { type: 'mrkdwn', text: '```' + code + '```' } }];
+}
+
+function convertElement(block, isTitle) {
+  const converted = block.type === 'TextBlock' ? convertTextBlock(block, isTitle)
+    : block.type === 'FactSet' ? convertFactSet(block)
+    : block.type === 'Container' ? convertContainer(block)
+    : block.type === 'RichTextBlock' ? [{ type: 'section', text: mrkdwn(richText(block), MAX_SECTION_LENGTH) }]
+    : [];
+  return block.separator && converted.length > 0 ? [{ type: 'divider' }, ...converted] : converted;
+}
+
+function convertActions(actions = []) {
+  const buttons = actions
+    .filter(action => action.type === 'Action.OpenUrl' && action.url)
+    .slice(0, MAX_BUTTONS)
+    .map(action => ({
+      type: 'button',
+      text: plainText(action.title, MAX_BUTTON_LENGTH),
+      url: action.url
+    }));
+  return buttons.length > 0 ? [{ type: 'actions', elements: buttons }] : [];
+}
+
+// Renders the Adaptive Cards built in cards.js as a Slack incoming-webhook
+// payload. The title doubles as the notification text Slack shows in alerts.
+function adaptiveCardToBlockKit(card) {
+  const content = card.attachments[0].content;
+  const body = content.body || [];
+  const blocks = body.flatMap((block, index) => convertElement(block, index === 0));
+  const actions = convertActions(content.actions);
+  return {
+    text: truncate(body[0]?.text || 'PR Comment Notifier', MAX_HEADER_LENGTH),
+    blocks: [...blocks.slice(0, MAX_BLOCKS - actions.length), ...actions]
+  };
+}
+
+export { toMrkdwn, adaptiveCardToBlockKit };
@@ -1,9 +1,12 @@
+import _ from 'lodash';
 import { humanizeRequester } from '../lib/helpers.js';
 
 let editSettingsUrl = '';
+let channelSettingsUrl = '';
 
 function setBaseUrl(baseUrl) {
   editSettingsUrl = `${baseUrl}/edit`;
+  channelSettingsUrl = `${baseUrl}/channels`;
 }
 
 function appendSettingsLink(card) {
@@ -18,8 +21,36 @@ function appendSettingsLink(card) {
   return card;
 }
 
+function formatLineRef({ line, startLine, lineSide }) {
+  const range = startLine ? `${startLine}–${line}` : String(line);
+  return lineSide === 'old' ? `${range} (old)` : range;
+}
+
+// RichTextBlock runs aren't parsed as markdown, so code shows up verbatim
+function createSnippetContainer(snippet) {
+  const colors = { '+': 'Good', '-': 'Attention' };
+  return {
+    type: 'Container',
+    style: 'emphasis',
+    separator: true,
+    items: snippet.map(line => ({
+      type: 'RichTextBlock',
+      spacing: 'None',
+      inlines: [
+        {
+          type: 'TextRun',
+          text: line.length > 200 ? line.substring(0, 200) + '…' : line || ' ',
+          fontType: 'Monospace',
+          size: 'Small',
+          color: colors[line[0]] || 'Default'
+        }
+      ]
+    }))
+  };
+}
+
 function createAdaptiveCard(data) {
-  const { source, prTitle, prUrl, commentAuthor, commentBody, commentUrl, repoName, filePath } = data;
+  const { source, prTitle, prUrl, commentAuthor, commentBody, commentUrl, repoName, filePath, line, snippet } = data;
   const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
   const prLabel = source === 'github' ? 'PR' : 'MR';
 
@@ -71,6 +102,17 @@ function createAdaptiveCard(data) {
     });
   }
 
+  if (line) {
+    card.attachments[0].content.body[1].facts.push({
+      title: 'Line:',
+      value: formatLineRef(data)
+    });
+  }
+
+  if (snippet && snippet.length > 0) {
+    card.attachments[0].content.body.push(createSnippetContainer(snippet));
+  }
+
   card.attachments[0].content.body.push({
     type: 'TextBlock',
     text: truncatedBody,
@@ -94,7 +136,90 @@ function createAdaptiveCard(data) {
   return appendSettingsLink(card);
 }
 
-function createMentionCard(data, mentionedAs) {
+// One card for a burst of comments from the same author on the same PR/MR
+function createCommentBatchCard(comments, skipped = 0) {
+  const { source, prTitle, prUrl, commentAuthor, repoName } = comments[0];
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+  const total = comments.length + skipped;
+
+  const body = [
+    {
+      type: 'TextBlock',
+      text: `💬 ${commentAuthor} left ${total} comments on your ${prLabel}`,
+      weight: 'Bolder',
+      size: 'Medium',
+      color: 'Accent'
+    },
+    {
+      type: 'FactSet',
+      facts: [
+        { title: 'Source:', value: sourceLabel },
+        { title: 'Repository:', value: repoName },
+        { title: `${prLabel}:`, value: prTitle },
+        { title: 'Comments by:', value: commentAuthor }
+      ]
+    }
+  ];
+
+  for (const comment of comments) {
+    const location = comment.filePath
+      ? `**${comment.filePath}${comment.line ? `:${formatLineRef(comment)}` : ''}**`
+      : '**General comment**';
+    const truncatedBody = comment.commentBody.length > 300
+      ? comment.commentBody.substring(0, 300) + '...'
+      : comment.commentBody;
+    body.push({
+      type: 'TextBlock',
+      text: comment.commentUrl ? `${location} · [View](${comment.commentUrl})` : location,
+      wrap: true,
+      separator: true
+    });
+    body.push({
+      type: 'TextBlock',
+      text: truncatedBody,
+      wrap: true,
+      spacing: 'Small'
+    });
+  }
+
+  if (skipped > 0) {
+    body.push({
+      type: 'TextBlock',
+      text: `…and ${skipped} more comment${skipped === 1 ? '' : 's'}`,
+      isSubtle: true,
+      wrap: true,
+      separator: true
+    });
+  }
+
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body,
+          actions: [
+            {
+              type: 'Action.OpenUrl',
+              title: `View ${prLabel}`,
+              url: prUrl
+            }
+          ]
+        }
+      }
+    ]
+  };
+
+  return appendSettingsLink(card);
+}
+
+function createMentionCard(data, mentionedAs, group) {
   const { source, prTitle, prUrl, commentAuthor, commentBody, commentUrl, repoName } = data;
   const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
   const prLabel = source === 'github' ? 'PR' : 'MR';
@@ -116,7 +241,9 @@ function createMentionCard(data, mentionedAs) {
           body: [
             {
               type: 'TextBlock',
-              text: `📢 ${commentAuthor} mentioned you (@${mentionedAs})`,
+              text: group
+                ? `📢 ${commentAuthor} mentioned your group @${mentionedAs}`
+                : `📢 ${commentAuthor} mentioned you (@${mentionedAs})`,
               weight: 'Bolder',
               size: 'Medium',
               color: 'Attention'
@@ -127,7 +254,8 @@ function createMentionCard(data, mentionedAs) {
                 { title: 'Source:', value: sourceLabel },
                 { title: 'Repository:', value: repoName },
                 { title: `${prLabel}:`, value: prTitle },
-                { title: 'Mentioned by:', value: commentAuthor }
+                { title: 'Mentioned by:', value: commentAuthor },
+                ...(group ? [{ title: 'Group:', value: group }] : [])
               ]
             },
             {
@@ -157,11 +285,26 @@ function createMentionCard(data, mentionedAs) {
   return appendSettingsLink(card);
 }
 
-function createMergeCard(data) {
-  const { source, prTitle, prUrl, mergedBy, repoName } = data;
+function createThreadReplyCard(data) {
+  const { source, prTitle, prUrl, commentAuthor, commentBody, commentUrl, repoName, filePath, line } = data;
   const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
   const prLabel = source === 'github' ? 'PR' : 'MR';
 
+  const truncatedBody = commentBody.length > 500
+    ? commentBody.substring(0, 500) + '...'
+    : commentBody;
+
+  const facts = [
+    { title: 'Source:', value: sourceLabel },
+    { title: 'Repository:', value: repoName },
+    { title: `${prLabel}:`, value: prTitle },
+    { title: 'Reply by:', value: commentAuthor }
+  ];
+
+  if (filePath) {
+    facts.push({ title: 'File:', value: line ? `${filePath}:${formatLineRef(data)}` : filePath });
+  }
+
   const card = {
     type: 'message',
     attachments: [
@@ -175,22 +318,28 @@ function createMergeCard(data) {
           body: [
             {
               type: 'TextBlock',
-              text: `🎉 ${mergedBy} merged your ${prLabel}`,
+              text: `🧵 ${commentAuthor} replied in a thread you're part of`,
               weight: 'Bolder',
               size: 'Medium',
-              color: 'Good'
+              color: 'Accent'
             },
             {
               type: 'FactSet',
-              facts: [
-                { title: 'Source:', value: sourceLabel },
-                { title: 'Repository:', value: repoName },
-                { title: `${prLabel}:`, value: prTitle },
-                { title: 'Merged by:', value: mergedBy }
-              ]
+              facts
+            },
+            {
+              type: 'TextBlock',
+              text: truncatedBody,
+              wrap: true,
+              separator: true
             }
           ],
           actions: [
+            {
+              type: 'Action.OpenUrl',
+              title: 'View Thread',
+              url: commentUrl
+            },
             {
               type: 'Action.OpenUrl',
               title: `View ${prLabel}`,
@@ -205,16 +354,77 @@ function createMergeCard(data) {
   return appendSettingsLink(card);
 }
 
-function createApprovalCard(data) {
-  const { source, state, prTitle, prUrl, reviewedBy, repoName, reviewBody } = data;
-  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
-  const prLabel = source === 'github' ? 'PR' : 'MR';
+function createThreadResolvedCard(data) {
+  const { prTitle, prUrl, resolvedBy, commentBody, commentUrl, repoName, filePath, line } = data;
+
+  const facts = [
+    { title: 'Source:', value: 'GitLab' },
+    { title: 'Repository:', value: repoName },
+    { title: 'MR:', value: prTitle },
+    { title: 'Resolved by:', value: resolvedBy }
+  ];
+
+  if (filePath) {
+    facts.push({ title: 'File:', value: line ? `${filePath}:${formatLineRef(data)}` : filePath });
+  }
+
+  const body = [
+    {
+      type: 'TextBlock',
+      text: `☑️ ${resolvedBy} resolved a thread you're part of`,
+      weight: 'Bolder',
+      size: 'Medium',
+      color: 'Good'
+    },
+    {
+      type: 'FactSet',
+      facts
+    }
+  ];
+
+  if (commentBody) {
+    body.push({
+      type: 'TextBlock',
+      text: commentBody.length > 300 ? commentBody.substring(0, 300) + '...' : commentBody,
+      wrap: true,
+      isSubtle: true,
+      separator: true
+    });
+  }
+
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body,
+          actions: [
+            {
+              type: 'Action.OpenUrl',
+              title: 'View Thread',
+              url: commentUrl
+            },
+            {
+              type: 'Action.OpenUrl',
+              title: 'View MR',
+              url: prUrl
+            }
+          ]
+        }
+      }
+    ]
+  };
 
-  const isApproved = state === 'approved';
-  const title = isApproved
-    ? `✅ ${reviewedBy} approved your ${prLabel}`
-    : `⚠️ ${reviewedBy} requested changes on your ${prLabel}`;
-  const color = isApproved ? 'Good' : 'Warning';
+  return appendSettingsLink(card);
+}
+
+function createDiscussionsResolvedCard(data) {
+  const { prTitle, prUrl, resolvedBy, repoName } = data;
 
   const card = {
     type: 'message',
@@ -229,25 +439,25 @@ function createApprovalCard(data) {
           body: [
             {
               type: 'TextBlock',
-              text: title,
+              text: '🏁 MR ready: all discussions resolved',
               weight: 'Bolder',
               size: 'Medium',
-              color: color
+              color: 'Good'
             },
             {
               type: 'FactSet',
               facts: [
-                { title: 'Source:', value: sourceLabel },
+                { title: 'Source:', value: 'GitLab' },
                 { title: 'Repository:', value: repoName },
-                { title: `${prLabel}:`, value: prTitle },
-                { title: 'Reviewed by:', value: reviewedBy }
+                { title: 'MR:', value: prTitle },
+                { title: 'Last resolved by:', value: resolvedBy }
               ]
             }
           ],
           actions: [
             {
               type: 'Action.OpenUrl',
-              title: `View ${prLabel}`,
+              title: 'View MR',
               url: prUrl
             }
           ]
@@ -256,80 +466,50 @@ function createApprovalCard(data) {
     ]
   };
 
-  if (reviewBody) {
-    const truncatedBody = reviewBody.length > 500
-      ? reviewBody.substring(0, 500) + '...'
-      : reviewBody;
-    card.attachments[0].content.body.push({
-      type: 'TextBlock',
-      text: truncatedBody,
-      wrap: true,
-      separator: true
-    });
-  }
-
   return appendSettingsLink(card);
 }
 
-function createReviewRequestedCard(data) {
-  const { source, prTitle, prUrl, requestedBy, repoName } = data;
+function createNewCommitsCard(data) {
+  const { source, prTitle, prUrl, pushedBy, repoName, before, after, totalCommits, commitTitles = [] } = data;
   const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
   const prLabel = source === 'github' ? 'PR' : 'MR';
-  const displayRequester = humanizeRequester(requestedBy);
-
-  const card = {
-    type: 'message',
-    attachments: [{
-      contentType: 'application/vnd.microsoft.card.adaptive',
-      contentUrl: null,
-      content: {
-        type: 'AdaptiveCard',
-        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
-        version: '1.4',
-        body: [
-          {
-            type: 'TextBlock',
-            text: `👀 ${displayRequester} requested your review`,
-            weight: 'Bolder',
-            size: 'Medium',
-            color: 'Accent'
-          },
-          {
-            type: 'FactSet',
-            facts: [
-              { title: 'Source:', value: sourceLabel },
-              { title: 'Repository:', value: repoName },
-              { title: `${prLabel}:`, value: prTitle },
-              { title: 'Requested by:', value: displayRequester }
-            ]
-          }
-        ],
-        actions: [
-          {
-            type: 'Action.OpenUrl',
-            title: `View ${prLabel}`,
-            url: prUrl
-          }
-        ]
-      }
-    }]
-  };
 
-  return appendSettingsLink(card);
-}
-
-function createPipelineFailureCard(data) {
-  const { prTitle, prUrl, branch, pipelineUrl, repoName, failedJobs } = data;
+  const commitLabel = totalCommits
+    ? `${totalCommits} new commit${totalCommits === 1 ? '' : 's'}`
+    : 'new commits';
+  const changesUrl = source === 'github'
+    ? `${prUrl}/files/${before}..${after}`
+    : `${prUrl}/diffs?start_sha=${before}`;
 
-  const facts = [
-    { title: 'Source:', value: 'GitLab' },
-    { title: 'Repository:', value: repoName },
-    { title: 'MR:', value: prTitle },
-    { title: 'Branch:', value: branch }
+  const body = [
+    {
+      type: 'TextBlock',
+      text: `🔄 ${pushedBy} pushed ${commitLabel} to a ${prLabel} you reviewed`,
+      weight: 'Bolder',
+      size: 'Medium',
+      color: 'Accent',
+      wrap: true
+    },
+    {
+      type: 'FactSet',
+      facts: [
+        { title: 'Source:', value: sourceLabel },
+        { title: 'Repository:', value: repoName },
+        { title: `${prLabel}:`, value: prTitle },
+        { title: 'Pushed by:', value: pushedBy }
+      ]
+    }
   ];
 
-  if (failedJobs.length > 0) {
-    facts.push({ title: 'Failed jobs:', value: failedJobs.join(', ') });
+  if (commitTitles.length > 0) {
+    const shown = commitTitles.slice(0, 10).map(title => `- ${title}`);
+    if (commitTitles.length > 10) shown.push(`- …and ${commitTitles.length - 10} more`);
+    body.push({
+      type: 'TextBlock',
+      text: shown.join('\n'),
+      wrap: true,
+      separator: true
+    });
   }
 
   const card = {
@@ -342,28 +522,16 @@ function createPipelineFailureCard(data) {
           type: 'AdaptiveCard',
           $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
           version: '1.4',
-          body: [
-            {
-              type: 'TextBlock',
-              text: '🔴 Pipeline Failed on your MR',
-              weight: 'Bolder',
-              size: 'Medium',
-              color: 'Attention'
-            },
-            {
-              type: 'FactSet',
-              facts
-            }
-          ],
+          body,
           actions: [
             {
               type: 'Action.OpenUrl',
-              title: 'View Pipeline',
-              url: pipelineUrl
+              title: 'View New Changes',
+              url: before && after ? changesUrl : prUrl
             },
             {
               type: 'Action.OpenUrl',
-              title: 'View MR',
+              title: `View ${prLabel}`,
               url: prUrl
             }
           ]
@@ -375,8 +543,10 @@ function createPipelineFailureCard(data) {
   return appendSettingsLink(card);
 }
 
-function createPipelineRecoveryCard(data) {
-  const { prTitle, prUrl, branch, pipelineUrl, repoName } = data;
+function createMergeCard(data) {
+  const { source, prTitle, prUrl, mergedBy, repoName } = data;
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
 
   const card = {
     type: 'message',
@@ -391,7 +561,7 @@ function createPipelineRecoveryCard(data) {
           body: [
             {
               type: 'TextBlock',
-              text: '🟢 Pipeline Fixed! Previously failing pipeline now passes',
+              text: `🎉 ${mergedBy} merged your ${prLabel}`,
               weight: 'Bolder',
               size: 'Medium',
               color: 'Good'
@@ -399,22 +569,180 @@ function createPipelineRecoveryCard(data) {
             {
               type: 'FactSet',
               facts: [
-                { title: 'Source:', value: 'GitLab' },
+                { title: 'Source:', value: sourceLabel },
                 { title: 'Repository:', value: repoName },
-                { title: 'MR:', value: prTitle },
-                { title: 'Branch:', value: branch }
+                { title: `${prLabel}:`, value: prTitle },
+                { title: 'Merged by:', value: mergedBy }
               ]
             }
           ],
           actions: [
             {
               type: 'Action.OpenUrl',
-              title: 'View Pipeline',
-              url: pipelineUrl
+              title: `View ${prLabel}`,
+              url: prUrl
+            }
+          ]
+        }
+      }
+    ]
+  };
+
+  return appendSettingsLink(card);
+}
+
+function createClosedCard(data) {
+  const { source, prTitle, prUrl, actor, repoName, closingComment } = data;
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: `🚫 ${actor} closed your ${prLabel} without merging`,
+              weight: 'Bolder',
+              size: 'Medium',
+              color: 'Warning'
             },
+            {
+              type: 'FactSet',
+              facts: [
+                { title: 'Source:', value: sourceLabel },
+                { title: 'Repository:', value: repoName },
+                { title: `${prLabel}:`, value: prTitle },
+                { title: 'Closed by:', value: actor }
+              ]
+            }
+          ],
+          actions: [
             {
               type: 'Action.OpenUrl',
-              title: 'View MR',
+              title: `View ${prLabel}`,
+              url: prUrl
+            }
+          ]
+        }
+      }
+    ]
+  };
+
+  if (closingComment) {
+    const truncatedComment = closingComment.length > 500
+      ? closingComment.substring(0, 500) + '...'
+      : closingComment;
+    card.attachments[0].content.body.push({
+      type: 'TextBlock',
+      text: truncatedComment,
+      wrap: true,
+      separator: true
+    });
+  }
+
+  return appendSettingsLink(card);
+}
+
+function createReopenedCard(data) {
+  const { source, prTitle, prUrl, actor, repoName } = data;
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: `🔁 ${actor} reopened your ${prLabel}`,
+              weight: 'Bolder',
+              size: 'Medium',
+              color: 'Accent'
+            },
+            {
+              type: 'FactSet',
+              facts: [
+                { title: 'Source:', value: sourceLabel },
+                { title: 'Repository:', value: repoName },
+                { title: `${prLabel}:`, value: prTitle },
+                { title: 'Reopened by:', value: actor }
+              ]
+            }
+          ],
+          actions: [
+            {
+              type: 'Action.OpenUrl',
+              title: `View ${prLabel}`,
+              url: prUrl
+            }
+          ]
+        }
+      }
+    ]
+  };
+
+  return appendSettingsLink(card);
+}
+
+function createApprovalCard(data) {
+  const { source, state, prTitle, prUrl, reviewedBy, repoName, reviewBody } = data;
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+
+  const styles = {
+    approved: { title: `✅ ${reviewedBy} approved your ${prLabel}`, color: 'Good' },
+    revoked: { title: `↩️ ${reviewedBy} revoked their approval of your ${prLabel}`, color: 'Attention' },
+    changes_requested: { title: `⚠️ ${reviewedBy} requested changes on your ${prLabel}`, color: 'Warning' }
+  };
+  const { title, color } = styles[state] || styles.changes_requested;
+
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: title,
+              weight: 'Bolder',
+              size: 'Medium',
+              color: color
+            },
+            {
+              type: 'FactSet',
+              facts: [
+                { title: 'Source:', value: sourceLabel },
+                { title: 'Repository:', value: repoName },
+                { title: `${prLabel}:`, value: prTitle },
+                { title: state === 'revoked' ? 'Revoked by:' : 'Reviewed by:', value: reviewedBy }
+              ]
+            }
+          ],
+          actions: [
+            {
+              type: 'Action.OpenUrl',
+              title: `View ${prLabel}`,
               url: prUrl
             }
           ]
@@ -423,44 +751,528 @@ function createPipelineRecoveryCard(data) {
     ]
   };
 
+  if (reviewBody) {
+    const truncatedBody = reviewBody.length > 500
+      ? reviewBody.substring(0, 500) + '...'
+      : reviewBody;
+    card.attachments[0].content.body.push({
+      type: 'TextBlock',
+      text: truncatedBody,
+      wrap: true,
+      separator: true
+    });
+  }
+
   return appendSettingsLink(card);
 }
 
-async function sendToTeams(card, webhookUrl) {
-  if (!webhookUrl) {
-    console.error('Teams webhook URL not provided');
-    return false;
+function createReviewRequestedCard(data) {
+  const { source, prTitle, prUrl, requestedBy, repoName, ownedFiles = [] } = data;
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+  const displayRequester = humanizeRequester(requestedBy);
+
+  const card = {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        type: 'AdaptiveCard',
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        version: '1.4',
+        body: [
+          {
+            type: 'TextBlock',
+            text: `👀 ${displayRequester} requested your review`,
+            weight: 'Bolder',
+            size: 'Medium',
+            color: 'Accent'
+          },
+          {
+            type: 'FactSet',
+            facts: [
+              { title: 'Source:', value: sourceLabel },
+              { title: 'Repository:', value: repoName },
+              { title: `${prLabel}:`, value: prTitle },
+              { title: 'Requested by:', value: displayRequester }
+            ]
+          }
+        ],
+        actions: [
+          {
+            type: 'Action.OpenUrl',
+            title: `View ${prLabel}`,
+            url: prUrl
+          }
+        ]
+      }
+    }]
+  };
+
+  if (ownedFiles.length > 0) {
+    const shown = ownedFiles.slice(0, 10).map(({ path, pattern }) => `- ${path} (rule ${pattern})`);
+    if (ownedFiles.length > 10) shown.push(`- …and ${ownedFiles.length - 10} more`);
+    card.attachments[0].content.body.push({
+      type: 'TextBlock',
+      text: `**You own ${ownedFiles.length} changed file${ownedFiles.length === 1 ? '' : 's'}:**\n${shown.join('\n')}`,
+      wrap: true,
+      separator: true
+    });
   }
 
-  try {
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(card)
+  return appendSettingsLink(card);
+}
+
+function pipelineFacts(data) {
+  const { source, prTitle, branch, repoName, workflowName } = data;
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+
+  const facts = [
+    { title: 'Source:', value: sourceLabel },
+    { title: 'Repository:', value: repoName },
+    { title: `${prLabel}:`, value: prTitle },
+    { title: 'Branch:', value: branch }
+  ];
+
+  if (workflowName) {
+    facts.push({ title: 'Workflow:', value: workflowName });
+  }
+
+  return facts;
+}
+
+function pipelineActions(data) {
+  const { source, prUrl, pipelineUrl } = data;
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+  const pipelineLabel = source === 'github' ? 'Workflow' : 'Pipeline';
+
+  const actions = [
+    {
+      type: 'Action.OpenUrl',
+      title: `View ${pipelineLabel}`,
+      url: pipelineUrl
+    }
+  ];
+
+  if (prUrl) {
+    actions.push({
+      type: 'Action.OpenUrl',
+      title: `View ${prLabel}`,
+      url: prUrl
     });
+  }
+
+  return actions;
+}
+
+function createReadyForReviewCard(data) {
+  const { source, prTitle, prUrl, readyBy, repoName } = data;
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+
+  const card = {
+    type: 'message',
+    attachments: [{
+      contentType: 'application/vnd.microsoft.card.adaptive',
+      contentUrl: null,
+      content: {
+        type: 'AdaptiveCard',
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        version: '1.4',
+        body: [
+          {
+            type: 'TextBlock',
+            text: `🚀 ${prLabel} now ready for your review`,
+            weight: 'Bolder',
+            size: 'Medium',
+            color: 'Accent'
+          },
+          {
+            type: 'FactSet',
+            facts: [
+              { title: 'Source:', value: sourceLabel },
+              { title: 'Repository:', value: repoName },
+              { title: `${prLabel}:`, value: prTitle },
+              { title: 'Marked ready by:', value: readyBy }
+            ]
+          }
+        ],
+        actions: [
+          {
+            type: 'Action.OpenUrl',
+            title: `View ${prLabel}`,
+            url: prUrl
+          }
+        ]
+      }
+    }]
+  };
+
+  return appendSettingsLink(card);
+}
+
+function mergeabilityFacts(data) {
+  const { source, prTitle, repoName, sourceBranch, targetBranch } = data;
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+
+  return [
+    { title: 'Source:', value: sourceLabel },
+    { title: 'Repository:', value: repoName },
+    { title: `${prLabel}:`, value: prTitle },
+    { title: 'Branch:', value: targetBranch ? `${sourceBranch} → ${targetBranch}` : sourceBranch }
+  ];
+}
+
+function createMergeConflictCard(data) {
+  const { source, prUrl, needsRebase } = data;
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+  const title = needsRebase
+    ? `🔀 Your ${prLabel} needs a rebase before it can be merged`
+    : `⛔ Your ${prLabel} has merge conflicts`;
+
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: title,
+              weight: 'Bolder',
+              size: 'Medium',
+              color: 'Attention'
+            },
+            {
+              type: 'FactSet',
+              facts: mergeabilityFacts(data)
+            }
+          ],
+          actions: [
+            {
+              type: 'Action.OpenUrl',
+              title: `View ${prLabel}`,
+              url: prUrl
+            }
+          ]
+        }
+      }
+    ]
+  };
+
+  return appendSettingsLink(card);
+}
+
+function createMergeableAgainCard(data) {
+  const { source, prUrl } = data;
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: `🟢 Conflicts resolved! Your ${prLabel} can be merged again`,
+              weight: 'Bolder',
+              size: 'Medium',
+              color: 'Good'
+            },
+            {
+              type: 'FactSet',
+              facts: mergeabilityFacts(data)
+            }
+          ],
+          actions: [
+            {
+              type: 'Action.OpenUrl',
+              title: `View ${prLabel}`,
+              url: prUrl
+            }
+          ]
+        }
+      }
+    ]
+  };
+
+  return appendSettingsLink(card);
+}
+
+function createPipelineFailureCard(data) {
+  const { source, failedJobs = [], workflowName } = data;
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+  const pipelineLabel = source === 'github' ? 'Workflow' : 'Pipeline';
+
+  const facts = pipelineFacts(data);
+
+  if (failedJobs.length > 0 && !workflowName) {
+    facts.push({ title: 'Failed jobs:', value: failedJobs.join(', ') });
+  }
+
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: `🔴 ${pipelineLabel} Failed on your ${prLabel}`,
+              weight: 'Bolder',
+              size: 'Medium',
+              color: 'Attention'
+            },
+            {
+              type: 'FactSet',
+              facts
+            }
+          ],
+          actions: pipelineActions(data)
+        }
+      }
+    ]
+  };
+
+  return appendSettingsLink(card);
+}
+
+function createPipelineRecoveryCard(data) {
+  const pipelineLabel = data.source === 'github' ? 'workflow' : 'pipeline';
+  const titleLabel = data.source === 'github' ? 'Workflow' : 'Pipeline';
 
-    if (!response.ok) {
-      const text = await response.text();
-      console.error('Failed to send to Teams:', response.status, text);
-      return false;
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: `🟢 ${titleLabel} Fixed! Previously failing ${pipelineLabel} now passes`,
+              weight: 'Bolder',
+              size: 'Medium',
+              color: 'Good'
+            },
+            {
+              type: 'FactSet',
+              facts: pipelineFacts(data)
+            }
+          ],
+          actions: pipelineActions(data)
+        }
+      }
+    ]
+  };
+
+  return appendSettingsLink(card);
+}
+
+// ── Channel subscriptions ──
+
+// Channel cards go to a shared squad channel, so they name who did what instead
+// of addressing "you"
+function createChannelCard(kind, data) {
+  const { source, prTitle, prUrl, repoName, authorName } = data;
+  const sourceLabel = source === 'github' ? 'GitHub' : 'GitLab';
+  const prLabel = source === 'github' ? 'PR' : 'MR';
+  const pipelineLabel = source === 'github' ? 'Workflow' : 'Pipeline';
+  const isPipeline = kind === 'pipeline_failed' || kind === 'pipeline_recovered';
+
+  const titles = {
+    merge: [`🎉 ${prLabel} merged by ${data.mergedBy}`, 'Good'],
+    closed: [`🚫 ${prLabel} closed without merging by ${data.actor}`, 'Attention'],
+    reopened: [`🔁 ${prLabel} reopened by ${data.actor}`, 'Accent'],
+    approval: [`✅ ${prLabel} approved by ${data.reviewedBy}`, 'Good'],
+    changes_requested: [`📝 Changes requested by ${data.reviewedBy}`, 'Warning'],
+    review_requested: [`👀 Review requested from ${(data.reviewers || []).join(', ')}`, 'Accent'],
+    ready_for_review: [`🚀 ${prLabel} ready for review`, 'Accent'],
+    pipeline_failed: [`🔴 ${pipelineLabel} failed`, 'Attention'],
+    pipeline_recovered: [`🟢 ${pipelineLabel} fixed`, 'Good']
+  };
+  const [title, color] = titles[kind];
+
+  const facts = isPipeline
+    ? pipelineFacts(data)
+    : [
+      { title: 'Source:', value: sourceLabel },
+      { title: 'Repository:', value: repoName },
+      { title: `${prLabel}:`, value: prTitle }
+    ];
+  if (authorName) {
+    facts.push({ title: 'Author:', value: authorName });
+  }
+  if (kind === 'review_requested' && data.requestedBy) {
+    facts.push({ title: 'Requested by:', value: humanizeRequester(data.requestedBy) });
+  }
+
+  const actions = isPipeline
+    ? pipelineActions(data)
+    : [{ type: 'Action.OpenUrl', title: `View ${prLabel}`, url: prUrl }];
+  actions.push({ type: 'Action.OpenUrl', title: 'Subscription', url: channelSettingsUrl });
+
+  return {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body: [
+            {
+              type: 'TextBlock',
+              text: title,
+              weight: 'Bolder',
+              size: 'Medium',
+              color,
+              wrap: true
+            },
+            {
+              type: 'FactSet',
+              facts
+            }
+          ],
+          actions
+        }
+      }
+    ]
+  };
+}
+
+// ── Held notification summaries ──
+
+// Reduces a card to what a summary line needs, so held notifications don't store whole cards
+function summarizeCard(card) {
+  const content = card.attachments[0].content;
+  const facts = content.body.find(block => block.type === 'FactSet')?.facts || [];
+  const factValue = (...titles) => facts.find(fact => titles.includes(fact.title))?.value;
+  const link = (content.actions || []).find(action => action.type === 'Action.OpenUrl' && action.url !== editSettingsUrl);
+  return {
+    title: content.body[0].text,
+    repoName: factValue('Repository:'),
+    prTitle: factValue('PR:', 'MR:'),
+    url: link?.url
+  };
+}
+
+function formatHeldTime(at, timezone) {
+  return new Date(at).toLocaleString('en-US', {
+    timeZone: timezone || 'UTC',
+    weekday: 'short',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+}
+
+function createHeldSummaryCard(items, { heading, timezone, dropped = 0 }) {
+  const groups = _.groupBy(items, item => item.prKey || `${item.repoName || ''}:${item.prTitle || ''}`);
+  const body = [
+    {
+      type: 'TextBlock',
+      text: heading,
+      weight: 'Bolder',
+      size: 'Medium',
+      color: 'Accent',
+      wrap: true
+    }
+  ];
+
+  for (const group of Object.values(groups)) {
+    const { prTitle, repoName } = group[0];
+    body.push({
+      type: 'TextBlock',
+      text: prTitle ? `**${prTitle}**${repoName ? ` · ${repoName}` : ''}` : `**${repoName || 'Other'}**`,
+      wrap: true,
+      separator: true
+    });
+    for (const item of group) {
+      const title = item.url ? `[${item.title.replace(/[[\]]/g, '')}](${item.url})` : item.title;
+      body.push({
+        type: 'TextBlock',
+        text: `${title} · ${formatHeldTime(item.at, timezone)}`,
+        wrap: true,
+        spacing: 'Small',
+        size: 'Small'
+      });
     }
+  }
 
-    console.log('Successfully sent notification to Teams');
-    return true;
-  } catch (error) {
-    console.error('Error sending to Teams:', error.message);
-    return false;
+  if (dropped > 0) {
+    body.push({
+      type: 'TextBlock',
+      text: `…and ${dropped} older notification${dropped === 1 ? '' : 's'} not shown`,
+      isSubtle: true,
+      wrap: true,
+      separator: true
+    });
   }
+
+  const card = {
+    type: 'message',
+    attachments: [
+      {
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: {
+          type: 'AdaptiveCard',
+          $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+          version: '1.4',
+          body
+        }
+      }
+    ]
+  };
+
+  return appendSettingsLink(card);
 }
 
 export {
   setBaseUrl,
   createAdaptiveCard,
+  createCommentBatchCard,
   createMentionCard,
+  createThreadReplyCard,
+  createThreadResolvedCard,
+  createDiscussionsResolvedCard,
+  createNewCommitsCard,
   createMergeCard,
+  createClosedCard,
+  createReopenedCard,
   createApprovalCard,
   createReviewRequestedCard,
+  createReadyForReviewCard,
+  createMergeConflictCard,
+  createMergeableAgainCard,
   createPipelineFailureCard,
   createPipelineRecoveryCard,
-  sendToTeams
+  createChannelCard,
+  summarizeCard,
+  createHeldSummaryCard
 };
@@ -0,0 +1,71 @@
+import { appendCommentBatch, getDueCommentBatches, takeCommentBatch } from '../lib/db.js';
+import { DEFAULT_COMMENT_BATCH_SECONDS } from '../lib/helpers.js';
+import { createAdaptiveCard, createCommentBatchCard } from './cards.js';
+import { notifyUser } from './quietHours.js';
+
+const BATCHED = 'batched';
+
+// Enough to list a whole review without pushing the card past Teams' size limit
+const MAX_BATCHED_COMMENTS = 25;
+
+let flushing = false;
+
+// On Lambda nothing would ever flush a batch without an EventBridge rule running
+// the scheduler, so batching stays off there until SCHEDULER_ENABLED says one exists.
+function schedulerRuns() {
+  return !process.env.AWS_LAMBDA_FUNCTION_NAME || process.env.SCHEDULER_ENABLED === 'true';
+}
+
+function commentBatchWindowMs(user) {
+  if (!schedulerRuns()) return 0;
+  return (user.commentBatchSeconds ?? DEFAULT_COMMENT_BATCH_SECONDS) * 1000;
+}
+
+// The window is fixed from the first comment, so a chatty reviewer can't keep
+// pushing the card back.
+async function queueBatchedComment(user, comment, { prKey }, now = Date.now()) {
+  const batchKey = `${user.name}|${prKey}|${comment.commentAuthor}`;
+  try {
+    await appendCommentBatch(batchKey, {
+      recipient: user.name,
+      prKey,
+      flushAt: now + commentBatchWindowMs(user)
+    }, comment, MAX_BATCHED_COMMENTS);
+    return BATCHED;
+  } catch (err) {
+    console.error(`Failed to batch comment for ${user.name}, sending now:`, err.message);
+    return notifyUser(user, createAdaptiveCard(comment), { prKey, kind: 'comment' });
+  }
+}
+
+async function flushCommentBatches(users, now = Date.now()) {
+  const summary = { sent: 0, comments: 0 };
+  if (flushing) return summary;
+  flushing = true;
+
+  try {
+    for (const { batchKey } of await getDueCommentBatches(now)) {
+      // Taken before sending so comments that arrive meanwhile start a new batch
+      const batch = await takeCommentBatch(batchKey);
+      const user = batch && users.find(u => u.name === batch.recipient);
+      if (!user) continue;
+
+      const { comments, skipped, prKey } = batch;
+      const card = comments.length === 1 && !skipped
+        ? createAdaptiveCard(comments[0])
+        : createCommentBatchCard(comments, skipped);
+      const delivery = await notifyUser(user, card, { prKey, kind: 'comment' });
+      console.log(`Flushed ${comments.length + skipped} batched comment(s) from ${comments[0].commentAuthor} to ${user.name} (${delivery})`);
+      summary.sent++;
+      summary.comments += comments.length + skipped;
+    }
+  } catch (err) {
+    console.error('Failed to flush comment batches:', err.message);
+  } finally {
+    flushing = false;
+  }
+
+  return summary;
+}
+
+export { BATCHED, commentBatchWindowMs, queueBatchedComment, flushCommentBatches };
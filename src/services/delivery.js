@@ -0,0 +1,228 @@
+import crypto from 'crypto';
+import {
+  putQueuedDelivery,
+  getDueDeliveries,
+  deleteQueuedDelivery,
+  putDeadLetter,
+  getDeadLetters,
+  getDeadLetter,
+  deleteDeadLetter
+} from '../lib/db.js';
+import { sendAdminAlert } from '../lib/alerts.js';
+import { notifyProviders, webhookUrlField, PROVIDER_LABELS } from '../lib/helpers.js';
+import { postCard } from './notifiers.js';
+
+const DELIVERED = 'delivered';
+const QUEUED = 'queued';
+const FAILED = 'failed';
+
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const CONSECUTIVE_FAILURE_ALERT_THRESHOLD = 3;
+
+let draining = false;
+let attemptListener = null;
+
+// The listener records every attempt, including queue retries, in the recipient's
+// persisted delivery health and returns their consecutive failure count.
+function onDeliveryAttempt(listener) {
+  attemptListener = listener;
+}
+
+// Driven by the persisted count, so it survives restarts and Lambda cold starts
+async function alertOnRepeatedFailures(webhookUrl, recipient, result, provider, failures) {
+  if (result.ok || !(failures >= CONSECUTIVE_FAILURE_ALERT_THRESHOLD)) return;
+  await sendAdminAlert(`${provider}-webhook:${webhookUrl}`, `⚠️ ${PROVIDER_LABELS[provider]} webhook for ${recipient} keeps failing`, [
+    { title: 'Recipient:', value: recipient },
+    { title: 'Consecutive failures:', value: String(failures) },
+    { title: 'Last status:', value: String(result.status || 'network error') },
+    { title: 'Last error:', value: (result.error || '').substring(0, 200) }
+  ]);
+}
+
+// Entries queued before Slack support have no provider and were all Teams
+async function attemptDelivery(card, webhookUrl, recipient, provider = 'teams') {
+  const result = await postCard(card, webhookUrl, provider);
+  if (attemptListener && recipient) {
+    try {
+      const failures = await attemptListener(recipient, result, provider);
+      await alertOnRepeatedFailures(webhookUrl, recipient, result, provider, failures);
+    } catch (err) {
+      console.error(`Delivery listener failed for ${recipient}:`, err.message);
+    }
+  }
+  return result;
+}
+
+function isRetryable(result) {
+  if (!result.status) return true;
+  return result.status === 408 || result.status === 429 || result.status >= 500;
+}
+
+function parseRetryAfter(header) {
+  if (!header) return 0;
+  const seconds = Number(header);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return isNaN(date) ? 0 : Math.max(date - Date.now(), 0);
+}
+
+function nextAttemptDelay(attempts, retryAfter) {
+  const backoff = Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+  return Math.max(backoff, parseRetryAfter(retryAfter));
+}
+
+function cardTitle(card) {
+  return card?.attachments?.[0]?.content?.body?.[0]?.text || '';
+}
+
+function recordFailure(entry, result) {
+  return {
+    ...entry,
+    lastStatus: result.status || null,
+    lastError: result.error || null,
+    lastAttemptAt: Date.now()
+  };
+}
+
+async function moveToDeadLetters(entry) {
+  console.error(`Dead-lettering delivery ${entry.id} to ${entry.recipient || 'unknown'} after ${entry.attempts} attempt(s) (status ${entry.lastStatus || 'n/a'})`);
+  await putDeadLetter({ ...entry, timestamp: Date.now() });
+}
+
+async function scheduleRetry(entry, retryAfter) {
+  const delay = nextAttemptDelay(entry.attempts, retryAfter);
+  console.log(`Queued delivery ${entry.id} to ${entry.recipient || 'unknown'} for retry in ${Math.round(delay / 1000)}s (attempt ${entry.attempts}/${MAX_ATTEMPTS})`);
+  await putQueuedDelivery({ ...entry, nextAttemptAt: Date.now() + delay });
+}
+
+// Sends immediately; a 429/5xx/network failure is queued for retry instead of being dropped.
+async function deliverCard(card, webhookUrl, { recipient, provider = 'teams' } = {}) {
+  const result = await attemptDelivery(card, webhookUrl, recipient, provider);
+  if (result.ok) return DELIVERED;
+
+  const entry = recordFailure({
+    id: crypto.randomUUID(),
+    recipient,
+    provider,
+    webhookUrl,
+    card,
+    attempts: 1,
+    createdAt: Date.now()
+  }, result);
+
+  try {
+    if (!webhookUrl || !isRetryable(result)) {
+      await moveToDeadLetters(entry);
+      return FAILED;
+    }
+    await scheduleRetry(entry, result.retryAfter);
+    return QUEUED;
+  } catch (err) {
+    console.error(`Failed to store undelivered notification for ${recipient || 'unknown'}:`, err.message);
+    return FAILED;
+  }
+}
+
+// Sends to each provider the user picked. The result is the best of the
+// attempts, so a card that reached Slack isn't reported as failed because Teams was down.
+async function deliverToUser(user, card) {
+  const deliveries = [];
+  for (const provider of notifyProviders(user)) {
+    deliveries.push(await deliverCard(card, user[webhookUrlField(provider)], { recipient: user.name, provider }));
+  }
+  return [DELIVERED, QUEUED].find(status => deliveries.includes(status)) || FAILED;
+}
+
+// Returns which summary count the entry adds to. The dead letter is written
+// before the queue entry is removed, so a failed write can't lose the card.
+async function processQueuedEntry(queued) {
+  const result = await attemptDelivery(queued.card, queued.webhookUrl, queued.recipient, queued.provider);
+  const entry = { ...queued, attempts: queued.attempts + 1 };
+
+  if (result.ok) {
+    await deleteQueuedDelivery(entry.id);
+    console.log(`Delivered queued notification ${entry.id} to ${entry.recipient || 'unknown'} on attempt ${entry.attempts}`);
+    return 'delivered';
+  }
+
+  const failed = recordFailure(entry, result);
+  if (!isRetryable(result) || failed.attempts >= MAX_ATTEMPTS) {
+    await moveToDeadLetters(failed);
+    await deleteQueuedDelivery(failed.id);
+    return 'deadLettered';
+  }
+  await scheduleRetry(failed, result.retryAfter);
+  return 'retried';
+}
+
+// Only one drain runs per process; separate processes sharing a table may
+// each pick up the same due entry.
+async function processDeliveryQueue() {
+  const summary = { delivered: 0, retried: 0, deadLettered: 0, errors: 0 };
+  if (draining) return summary;
+  draining = true;
+
+  try {
+    const due = await getDueDeliveries(Date.now());
+    for (const queued of due) {
+      try {
+        summary[await processQueuedEntry(queued)]++;
+      } catch (err) {
+        console.error(`Failed to process queued delivery ${queued.id}:`, err.message);
+        summary.errors++;
+      }
+    }
+  } catch (err) {
+    console.error('Failed to process delivery queue:', err.message);
+  } finally {
+    draining = false;
+  }
+
+  return summary;
+}
+
+async function listDeadLetters() {
+  const deadLetters = await getDeadLetters();
+  return deadLetters
+    .sort((a, b) => b.timestamp - a.timestamp)
+    .map(({ card, webhookUrl, ...entry }) => ({ ...entry, title: cardTitle(card) }));
+}
+
+async function replayDeadLetter(id) {
+  const entry = await getDeadLetter(id);
+  if (!entry) return null;
+
+  const result = await attemptDelivery(entry.card, entry.webhookUrl, entry.recipient, entry.provider);
+  if (result.ok) {
+    await deleteDeadLetter(id);
+    console.log(`Replayed dead letter ${id} to ${entry.recipient || 'unknown'}`);
+    return DELIVERED;
+  }
+
+  const failed = recordFailure({ ...entry, attempts: entry.attempts + 1 }, result);
+  if (isRetryable(result)) {
+    await scheduleRetry({ ...failed, attempts: 1 }, result.retryAfter);
+    await deleteDeadLetter(id);
+    return QUEUED;
+  }
+
+  await putDeadLetter({ ...failed, timestamp: Date.now() });
+  return FAILED;
+}
+
+export {
+  DELIVERED,
+  QUEUED,
+  FAILED,
+  deliverCard,
+  deliverToUser,
+  onDeliveryAttempt,
+  processDeliveryQueue,
+  listDeadLetters,
+  replayDeadLetter,
+  isRetryable,
+  parseRetryAfter,
+  nextAttemptDelay
+};
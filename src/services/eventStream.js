@@ -0,0 +1,216 @@
+import crypto from 'crypto';
+import _ from 'lodash';
+import { getEventDeliveryStatus, putEventDeliveryStatus } from '../lib/db.js';
+import { sendAdminAlert } from '../lib/alerts.js';
+import { findPROwner, subscriberMatches } from '../lib/helpers.js';
+import { DELIVERED, FAILED } from './delivery.js';
+
+// Bump when a field is removed or changes meaning; new fields are added
+// within a version. The schema is documented in the README under "Event Stream".
+const EVENT_SCHEMA_VERSION = 1;
+
+const EVENT_HEADER = 'X-PR-Notifier-Event';
+const DELIVERY_HEADER = 'X-PR-Notifier-Delivery';
+const TIMESTAMP_HEADER = 'X-PR-Notifier-Timestamp';
+const SIGNATURE_HEADER = 'X-PR-Notifier-Signature';
+
+const DELIVERY_TIMEOUT_MS = 5000;
+const RECENT_DELIVERIES = 20;
+const FAILURE_ALERT_THRESHOLD = 3;
+
+// Who did it, per event type
+const EVENT_ACTORS = {
+  merge: 'mergedBy',
+  approval: 'reviewedBy',
+  review_requested: 'requestedBy',
+  comment: 'commentAuthor'
+};
+
+// The type-specific `data` block, built from the parser output
+const EVENT_DATA = {
+  merge: event => ({
+    sourceBranch: event.sourceBranch || null
+  }),
+  approval: event => ({
+    state: event.state,
+    body: event.reviewBody || null
+  }),
+  review_requested: event => ({
+    reviewers: event.reviewers || [],
+    isDraft: !!event.isDraft
+  }),
+  pipeline_failed: event => ({
+    branch: event.branch || null,
+    pipelineUrl: event.pipelineUrl || null,
+    workflowName: event.workflowName || null,
+    failedJobs: event.failedJobs || []
+  }),
+  comment: event => ({
+    body: event.commentBody,
+    url: event.commentUrl || null,
+    filePath: event.filePath || null,
+    line: event.line ?? null,
+    threadId: event.threadId || null
+  })
+};
+
+// Not every parser event carries the number, but every PR/MR URL ends with it
+function pullRequestNumber(prUrl) {
+  const match = String(prUrl || '').match(/\/(?:pull|merge_requests)\/(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+// GitLab events only carry the author's numeric id, so the username is only
+// known when the author is registered.
+function buildStreamEvent(type, event, { repoKey, authorName } = {}, now = Date.now()) {
+  return {
+    schemaVersion: EVENT_SCHEMA_VERSION,
+    id: crypto.randomUUID(),
+    type,
+    occurredAt: new Date(now).toISOString(),
+    source: event.source,
+    repository: event.repoName || (repoKey ? repoKey.slice(repoKey.indexOf(':') + 1) : null),
+    pullRequest: {
+      number: event.prNumber ?? pullRequestNumber(event.prUrl),
+      title: event.prTitle || null,
+      url: event.prUrl || null,
+      author: authorName || null,
+      ...(event.source === 'gitlab' ? { authorId: event.prAuthor ?? null } : {})
+    },
+    actor: event[EVENT_ACTORS[type]] || null,
+    data: EVENT_DATA[type](event)
+  };
+}
+
+// Sent from the admin page so a subscriber can check its signature handling
+function buildPingEvent(subscriber, now = Date.now()) {
+  return {
+    schemaVersion: EVENT_SCHEMA_VERSION,
+    id: crypto.randomUUID(),
+    type: 'ping',
+    occurredAt: new Date(now).toISOString(),
+    data: { subscriber: subscriber.name, events: subscriber.events }
+  };
+}
+
+// The timestamp is signed along with the body so a captured delivery can't be replayed later
+function signEventPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+function nextEventDeliveryStatus(status, attempt) {
+  const previous = status || { delivered: 0, failed: 0, consecutiveFailures: 0, recent: [] };
+  return {
+    delivered: previous.delivered + (attempt.ok ? 1 : 0),
+    failed: previous.failed + (attempt.ok ? 0 : 1),
+    consecutiveFailures: attempt.ok ? 0 : previous.consecutiveFailures + 1,
+    lastAttemptAt: attempt.at,
+    lastSuccessAt: attempt.ok ? attempt.at : previous.lastSuccessAt || null,
+    lastErrorAt: attempt.ok ? previous.lastErrorAt || null : attempt.at,
+    lastError: attempt.ok ? previous.lastError || null : attempt.error,
+    recent: [attempt, ...previous.recent].slice(0, RECENT_DELIVERIES)
+  };
+}
+
+async function postEvent(subscriber, streamEvent) {
+  const body = JSON.stringify(streamEvent);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    const response = await fetch(subscriber.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [EVENT_HEADER]: streamEvent.type,
+        [DELIVERY_HEADER]: streamEvent.id,
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signEventPayload(subscriber.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      return { ok: false, status: response.status, error: text.substring(0, 200) || `HTTP ${response.status}` };
+    }
+    return { ok: true, status: response.status };
+  } catch (error) {
+    return { ok: false, status: null, error: error.message };
+  }
+}
+
+// Events are sent once; a subscriber that was down misses them. Status is
+// best-effort, so a storage failure never fails the webhook.
+async function deliverEvent(subscriber, streamEvent) {
+  const result = await postEvent(subscriber, streamEvent);
+  if (result.ok) {
+    console.log(`Sent ${streamEvent.type} event to subscriber "${subscriber.name}"`);
+  } else {
+    console.error(`Failed to send ${streamEvent.type} event to subscriber "${subscriber.name}":`, result.status || '', result.error);
+  }
+
+  const attempt = {
+    eventId: streamEvent.id,
+    type: streamEvent.type,
+    at: new Date().toISOString(),
+    ok: result.ok,
+    status: result.status,
+    error: result.ok ? null : result.error
+  };
+  try {
+    const status = nextEventDeliveryStatus(await getEventDeliveryStatus(subscriber.id), attempt);
+    await putEventDeliveryStatus(subscriber.id, status);
+    if (status.consecutiveFailures >= FAILURE_ALERT_THRESHOLD) {
+      await sendAdminAlert(`event-subscriber:${subscriber.id}`, `⚠️ Event subscriber "${subscriber.name}" keeps failing`, [
+        { title: 'Consecutive failures:', value: String(status.consecutiveFailures) },
+        { title: 'Last status:', value: String(result.status || 'network error') },
+        { title: 'Error:', value: String(result.error || '').substring(0, 300) }
+      ]);
+    }
+  } catch (err) {
+    console.error(`Failed to record event delivery for "${subscriber.name}":`, err.message);
+  }
+
+  return result.ok ? DELIVERED : FAILED;
+}
+
+// Like channel subscriptions, subscribers are sent every matching event whether
+// or not anyone involved is registered. Events are only collected here and sent
+// by sendEvents once the webhook is handled, so a slow subscriber can't hold up
+// the cards or the response.
+function publishEvent(context, type, event, repoKey) {
+  const { eventSubscribers = [], users, pendingEvents } = context;
+  if (!pendingEvents) return;
+  const matching = eventSubscribers.filter(subscriber => subscriberMatches(subscriber, { type, repoKey }));
+  if (matching.length === 0) return;
+
+  const authorName = event.source === 'github'
+    ? event.prAuthor
+    : _.get(findPROwner(users, event.source, event.prAuthor), 'gitlab.username');
+  const streamEvent = buildStreamEvent(type, event, { repoKey, authorName });
+
+  for (const subscriber of matching) {
+    pendingEvents.push({ subscriber, streamEvent });
+  }
+}
+
+async function sendEvents(pendingEvents) {
+  await Promise.allSettled(pendingEvents.map(({ subscriber, streamEvent }) => deliverEvent(subscriber, streamEvent)));
+}
+
+export {
+  EVENT_SCHEMA_VERSION,
+  EVENT_HEADER,
+  DELIVERY_HEADER,
+  TIMESTAMP_HEADER,
+  SIGNATURE_HEADER,
+  buildStreamEvent,
+  buildPingEvent,
+  signEventPayload,
+  nextEventDeliveryStatus,
+  deliverEvent,
+  publishEvent,
+  sendEvents
+};
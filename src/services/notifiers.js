@@ -0,0 +1,55 @@
+import { PROVIDER_LABELS } from '../lib/helpers.js';
+import { adaptiveCardToBlockKit } from './blockKit.js';
+
+// Every card is built once as an Adaptive Card; a notifier renders it for its
+// provider and posts it to an incoming-webhook URL. Adding a provider means
+// adding an entry here plus its URL check in webhookUrlError.
+const NOTIFIERS = {
+  teams: { render: card => card },
+  slack: { render: adaptiveCardToBlockKit }
+};
+
+async function postWebhook(payload, webhookUrl, label) {
+  if (!webhookUrl) {
+    console.error(`${label} webhook URL not provided`);
+    return { ok: false, error: `${label} webhook URL not provided` };
+  }
+
+  try {
+    const response = await fetch(webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      const text = await response.text();
+      console.error(`Failed to send to ${label}:`, response.status, text);
+      return {
+        ok: false,
+        status: response.status,
+        retryAfter: response.headers.get('retry-after'),
+        error: text.substring(0, 500)
+      };
+    }
+
+    console.log(`Successfully sent notification to ${label}`);
+    return { ok: true, status: response.status };
+  } catch (error) {
+    console.error(`Error sending to ${label}:`, error.message);
+    return { ok: false, error: error.message };
+  }
+}
+
+async function postCard(card, webhookUrl, provider = 'teams') {
+  const notifier = NOTIFIERS[provider];
+  if (!notifier) return { ok: false, error: `Unknown notification provider "${provider}"` };
+  return postWebhook(notifier.render(card), webhookUrl, PROVIDER_LABELS[provider]);
+}
+
+async function sendCard(card, webhookUrl, provider = 'teams') {
+  const result = await postCard(card, webhookUrl, provider);
+  return result.ok;
+}
+
+export { NOTIFIERS, postCard, sendCard };
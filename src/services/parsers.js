@@ -1,39 +1,84 @@
 import crypto from 'crypto';
 import _ from 'lodash';
-import { getPipelineState, setPipelineState, deletePipelineState } from '../lib/db.js';
+import {
+  getPipelineState,
+  setPipelineState,
+  deletePipelineState,
+  swapPullRequestMergeability
+} from '../lib/db.js';
+import { extractDiffSnippet } from '../lib/helpers.js';
 
 const GITHUB_SIGNATURE_HEADER = 'x-hub-signature-256';
+const GITHUB_LEGACY_SIGNATURE_HEADER = 'x-hub-signature';
 const GITLAB_TOKEN_HEADER = 'x-gitlab-token';
+const GITHUB_DELIVERY_HEADER = 'x-github-delivery';
+const GITLAB_EVENT_UUID_HEADER = 'x-gitlab-event-uuid';
 const COMMENT_CREATED_ACTION = 'created';
 const NOTE_OBJECT_KIND = 'note';
 const MERGE_REQUEST_OBJECT_KIND = 'merge_request';
 const MERGE_REQUEST_TYPE = 'MergeRequest';
 const MERGE_ACTION = 'merge';
+const CLOSE_ACTION = 'close';
+const REOPEN_ACTION = 'reopen';
 const APPROVED_ACTION = 'approved';
+// GitLab also sends `unapproval` for every reviewer who un-approves; like `approved`,
+// `unapproved` only fires when the MR itself changes state, so one revoke is one event
+const UNAPPROVED_ACTION = 'unapproved';
 const PR_CLOSED_ACTION = 'closed';
+const PR_REOPENED_ACTION = 'reopened';
 const PR_REVIEW_SUBMITTED_ACTION = 'submitted';
 const PR_REVIEW_APPROVED_STATE = 'approved';
 const PR_REVIEW_CHANGES_REQUESTED_STATE = 'changes_requested';
 const REVIEW_REQUESTED_ACTION = 'review_requested';
+const PR_SYNCHRONIZE_ACTION = 'synchronize';
+const READY_FOR_REVIEW_ACTION = 'ready_for_review';
+const GITLAB_CONFLICT_STATUSES = ['conflict', 'need_rebase'];
+const GITHUB_CONFLICT_STATE = 'dirty';
+const GITHUB_MERGEABLE_STATES = ['clean', 'unstable', 'has_hooks', 'blocked', 'behind'];
+// Events after which GitHub recomputes mergeability
+const GITHUB_MERGEABILITY_ACTIONS = ['opened', 'reopened', 'synchronize'];
 const PIPELINE_OBJECT_KIND = 'pipeline';
 const PIPELINE_FAILED_STATUS = 'failed';
 const PIPELINE_SUCCESS_STATUS = 'success';
+const WORKFLOW_COMPLETED_ACTION = 'completed';
+const GITHUB_FAILED_CONCLUSIONS = ['failure', 'timed_out', 'startup_failure'];
+const GITHUB_SUCCESS_CONCLUSION = 'success';
+const GITHUB_ACTIONS_APP_SLUG = 'github-actions';
+
+// GitHub signs the exact bytes it sent, so this must be given the raw request
+// body, not a re-serialized copy of the parsed JSON. The SHA-256 header is
+// preferred; the legacy SHA-1 header is only checked when it is the only one sent.
+function verifyGitHubSignature(rawBody, signatures, secrets) {
+  const secretList = [].concat(secrets || []).filter(Boolean);
+  if (secretList.length === 0) return true;
+
+  const { sha256, sha1 } = signatures || {};
+  const algorithm = sha256 ? 'sha256' : 'sha1';
+  const signature = sha256 || sha1;
+  if (!signature || !rawBody) return false;
 
-function verifyGitHubSignature(payload, signature, secret) {
-  if (!secret) return true;
-  if (!signature) return false;
-
-  const hmac = crypto.createHmac('sha256', secret);
-  const digest = 'sha256=' + hmac.update(JSON.stringify(payload)).digest('hex');
   const sigBuffer = Buffer.from(signature);
-  const digestBuffer = Buffer.from(digest);
-  if (sigBuffer.length !== digestBuffer.length) return false;
-  return crypto.timingSafeEqual(sigBuffer, digestBuffer);
+  return secretList.some(secret => {
+    const hmac = crypto.createHmac(algorithm, secret);
+    const digest = `${algorithm}=` + hmac.update(rawBody).digest('hex');
+    const digestBuffer = Buffer.from(digest);
+    if (sigBuffer.length !== digestBuffer.length) return false;
+    return crypto.timingSafeEqual(sigBuffer, digestBuffer);
+  });
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
 }
 
-function verifyGitLabToken(token, configuredToken) {
-  if (!configuredToken) return true;
-  return token === configuredToken;
+// Hashed first so tokens of any length compare in constant time
+function verifyGitLabToken(token, configuredTokens) {
+  const tokenList = [].concat(configuredTokens || []).filter(Boolean);
+  if (tokenList.length === 0) return true;
+  if (typeof token !== 'string' || !token) return false;
+
+  const tokenHash = sha256(token);
+  return tokenList.some(configured => crypto.timingSafeEqual(tokenHash, sha256(configured)));
 }
 
 function parseGitLabMergeEvent(body) {
@@ -94,12 +139,55 @@ function parseGitHubMergeEvent(body) {
   };
 }
 
+// Returns a `closed` (without merging) or `reopened` event
+function parseGitLabCloseEvent(body) {
+  const objectKind = _.get(body, 'object_kind');
+  if (objectKind !== MERGE_REQUEST_OBJECT_KIND) return;
+
+  const action = _.get(body, 'object_attributes.action');
+  if (action !== CLOSE_ACTION && action !== REOPEN_ACTION) return;
+
+  const mergeRequest = _.get(body, 'object_attributes');
+
+  return {
+    type: action === CLOSE_ACTION ? 'closed' : 'reopened',
+    source: 'gitlab',
+    prAuthor: _.get(mergeRequest, 'author_id'),
+    prTitle: _.get(mergeRequest, 'title', ''),
+    prUrl: _.get(mergeRequest, 'url', ''),
+    actor: _.get(body, 'user.username', ''),
+    repoName: _.get(body, 'project.path_with_namespace', ''),
+    sourceBranch: _.get(mergeRequest, 'source_branch', '')
+  };
+}
+
+function parseGitHubCloseEvent(body) {
+  const action = _.get(body, 'action');
+  if (action !== PR_CLOSED_ACTION && action !== PR_REOPENED_ACTION) return;
+
+  const pullRequest = _.get(body, 'pull_request');
+  if (!pullRequest) return;
+  if (action === PR_CLOSED_ACTION && _.get(pullRequest, 'merged', false)) return;
+
+  return {
+    type: action === PR_CLOSED_ACTION ? 'closed' : 'reopened',
+    source: 'github',
+    prAuthor: _.get(pullRequest, 'user.login', ''),
+    prTitle: _.get(pullRequest, 'title', ''),
+    prUrl: _.get(pullRequest, 'html_url', ''),
+    actor: _.get(body, 'sender.login', ''),
+    repoName: _.get(body, 'repository.full_name', ''),
+    sourceBranch: _.get(pullRequest, 'head.ref', '')
+  };
+}
+
 function parseGitLabApprovalEvent(body) {
   const objectKind = _.get(body, 'object_kind');
   if (objectKind !== MERGE_REQUEST_OBJECT_KIND) return;
 
   const action = _.get(body, 'object_attributes.action');
-  if (action !== APPROVED_ACTION) return;
+  const isRevoked = action === UNAPPROVED_ACTION;
+  if (action !== APPROVED_ACTION && !isRevoked) return;
 
   const mergeRequest = _.get(body, 'object_attributes');
   if (!mergeRequest) return;
@@ -113,7 +201,7 @@ function parseGitLabApprovalEvent(body) {
   return {
     type: 'approval',
     source: 'gitlab',
-    state: 'approved',
+    state: isRevoked ? 'revoked' : 'approved',
     prAuthor,
     prTitle,
     prUrl,
@@ -138,7 +226,9 @@ function parseGitHubReviewRequestedEvent(body) {
     prAuthor: _.get(pullRequest, 'user.login', ''),
     prTitle: _.get(pullRequest, 'title', ''),
     prUrl: _.get(pullRequest, 'html_url', ''),
-    repoName: _.get(body, 'repository.full_name', '')
+    prNumber: _.get(pullRequest, 'number'),
+    repoName: _.get(body, 'repository.full_name', ''),
+    isDraft: _.get(pullRequest, 'draft') === true
   };
 }
 
@@ -167,10 +257,247 @@ function parseGitLabReviewRequestedEvent(body) {
     prAuthor: _.get(mergeRequest, 'author_id'),
     prTitle: _.get(mergeRequest, 'title', ''),
     prUrl: _.get(mergeRequest, 'url', ''),
+    prNumber: _.get(mergeRequest, 'iid'),
+    repoName: _.get(body, 'project.path_with_namespace', ''),
+    projectId: _.get(body, 'project.id'),
+    isDraft: _.get(mergeRequest, 'draft') === true || _.get(mergeRequest, 'work_in_progress') === true
+  };
+}
+
+function parseGitHubReadyForReviewEvent(body) {
+  if (_.get(body, 'action') !== READY_FOR_REVIEW_ACTION) return;
+
+  const pullRequest = _.get(body, 'pull_request');
+  if (!pullRequest) return;
+
+  return {
+    type: 'ready_for_review',
+    source: 'github',
+    readyBy: _.get(body, 'sender.login', ''),
+    reviewers: _.get(pullRequest, 'requested_reviewers', []).map(r => r.login),
+    prAuthor: _.get(pullRequest, 'user.login', ''),
+    prTitle: _.get(pullRequest, 'title', ''),
+    prUrl: _.get(pullRequest, 'html_url', ''),
+    repoName: _.get(body, 'repository.full_name', '')
+  };
+}
+
+// Newer GitLab versions report `draft`, older ones `work_in_progress`
+function parseGitLabReadyForReviewEvent(body) {
+  const objectKind = _.get(body, 'object_kind');
+  if (objectKind !== MERGE_REQUEST_OBJECT_KIND) return;
+  if (_.get(body, 'object_attributes.action') !== 'update') return;
+
+  const change = _.get(body, 'changes.draft') || _.get(body, 'changes.work_in_progress');
+  if (!change || change.previous !== true || change.current !== false) return;
+
+  const mergeRequest = _.get(body, 'object_attributes');
+
+  return {
+    type: 'ready_for_review',
+    source: 'gitlab',
+    readyBy: _.get(body, 'user.username', ''),
+    reviewers: _.get(body, 'reviewers', []).map(r => r.username),
+    prAuthor: _.get(mergeRequest, 'author_id'),
+    prTitle: _.get(mergeRequest, 'title', ''),
+    prUrl: _.get(mergeRequest, 'url', ''),
     repoName: _.get(body, 'project.path_with_namespace', '')
   };
 }
 
+function parseGitLabThreadResolvedEvent(body) {
+  const objectKind = _.get(body, 'object_kind');
+  if (objectKind !== NOTE_OBJECT_KIND) return;
+
+  const attributes = _.get(body, 'object_attributes');
+  if (_.get(attributes, 'noteable_type') !== MERGE_REQUEST_TYPE) return;
+  if (_.get(attributes, 'action') !== 'update') return;
+  if (!_.has(attributes, 'resolved') && !_.has(attributes, 'resolved_at')) return;
+
+  const threadId = _.get(attributes, 'discussion_id');
+  if (!threadId) return;
+
+  const mergeRequest = _.get(body, 'merge_request');
+
+  return {
+    type: 'thread_resolved',
+    source: 'gitlab',
+    resolved: _.get(attributes, 'resolved') === true || !!_.get(attributes, 'resolved_at'),
+    threadId,
+    resolvedBy: _.get(body, 'user.username', ''),
+    noteAuthorId: _.get(attributes, 'author_id'),
+    prAuthor: _.get(mergeRequest, 'author_id'),
+    prTitle: _.get(mergeRequest, 'title', ''),
+    prUrl: _.get(mergeRequest, 'url', ''),
+    commentBody: _.get(attributes, 'note', ''),
+    commentUrl: _.get(attributes, 'url', ''),
+    repoName: _.get(body, 'project.path_with_namespace', ''),
+    ...parseGitLabDiffPosition(attributes)
+  };
+}
+
+function parseGitLabDiscussionsResolvedEvent(body) {
+  const objectKind = _.get(body, 'object_kind');
+  if (objectKind !== MERGE_REQUEST_OBJECT_KIND) return;
+
+  const action = _.get(body, 'object_attributes.action');
+  if (action !== 'update') return;
+
+  const change = _.get(body, 'changes.blocking_discussions_resolved');
+  if (!change || change.current !== true || change.previous !== false) return;
+
+  const mergeRequest = _.get(body, 'object_attributes');
+
+  return {
+    type: 'discussions_resolved',
+    source: 'gitlab',
+    resolvedBy: _.get(body, 'user.username', ''),
+    prAuthor: _.get(mergeRequest, 'author_id'),
+    prTitle: _.get(mergeRequest, 'title', ''),
+    prUrl: _.get(mergeRequest, 'url', ''),
+    repoName: _.get(body, 'project.path_with_namespace', '')
+  };
+}
+
+function pullRequestKey(source, body) {
+  if (source === 'github') {
+    const number = _.get(body, 'pull_request.number') || (_.has(body, 'issue.pull_request') && _.get(body, 'issue.number'));
+    const repoName = _.get(body, 'repository.full_name');
+    return number && repoName ? `github:${repoName}:${number}` : undefined;
+  }
+  const iid = _.get(body, 'merge_request.iid') ||
+    (_.get(body, 'object_kind') === MERGE_REQUEST_OBJECT_KIND && _.get(body, 'object_attributes.iid'));
+  const repoName = _.get(body, 'project.path_with_namespace');
+  return iid && repoName ? `gitlab:${repoName}:${iid}` : undefined;
+}
+
+function parseGitHubPushToPullRequestEvent(body) {
+  if (_.get(body, 'action') !== PR_SYNCHRONIZE_ACTION) return;
+
+  const pullRequest = _.get(body, 'pull_request');
+  if (!pullRequest) return;
+
+  return {
+    type: 'new_commits',
+    source: 'github',
+    pushedBy: _.get(body, 'sender.login', ''),
+    prAuthor: _.get(pullRequest, 'user.login', ''),
+    prTitle: _.get(pullRequest, 'title', ''),
+    prUrl: _.get(pullRequest, 'html_url', ''),
+    repoName: _.get(body, 'repository.full_name', ''),
+    before: _.get(body, 'before'),
+    after: _.get(body, 'after') || _.get(pullRequest, 'head.sha')
+  };
+}
+
+function parseGitLabPushToMergeRequestEvent(body) {
+  const objectKind = _.get(body, 'object_kind');
+  if (objectKind !== MERGE_REQUEST_OBJECT_KIND) return;
+
+  const mergeRequest = _.get(body, 'object_attributes');
+  if (_.get(mergeRequest, 'action') !== 'update' || !_.get(mergeRequest, 'oldrev')) return;
+
+  const lastCommit = _.get(mergeRequest, 'last_commit', {});
+
+  return {
+    type: 'new_commits',
+    source: 'gitlab',
+    pushedBy: _.get(body, 'user.username', ''),
+    prAuthor: _.get(mergeRequest, 'author_id'),
+    prTitle: _.get(mergeRequest, 'title', ''),
+    prUrl: _.get(mergeRequest, 'url', ''),
+    repoName: _.get(body, 'project.path_with_namespace', ''),
+    before: _.get(mergeRequest, 'oldrev'),
+    after: _.get(lastCommit, 'id'),
+    latestCommitTitle: _.get(lastCommit, 'title') || String(_.get(lastCommit, 'message', '')).split('\n')[0],
+    projectId: _.get(body, 'project.id')
+  };
+}
+
+// `detailed_merge_status` only reports the first blocker, so anything that isn't a
+// conflict falls back to the git-level `merge_status`.
+function parseGitLabMergeabilityEvent(body) {
+  const objectKind = _.get(body, 'object_kind');
+  if (objectKind !== MERGE_REQUEST_OBJECT_KIND) return;
+
+  const mergeRequest = _.get(body, 'object_attributes');
+  if (_.get(mergeRequest, 'state') !== 'opened') return;
+
+  const detailedStatus = _.get(mergeRequest, 'detailed_merge_status');
+  const mergeStatus = _.get(mergeRequest, 'merge_status');
+
+  let mergeability;
+  if (GITLAB_CONFLICT_STATUSES.includes(detailedStatus) || mergeStatus === 'cannot_be_merged') {
+    mergeability = 'conflict';
+  } else if (detailedStatus === 'mergeable' || mergeStatus === 'can_be_merged') {
+    mergeability = 'mergeable';
+  }
+  if (!mergeability) return;
+
+  return {
+    type: 'mergeability',
+    source: 'gitlab',
+    mergeability,
+    needsRebase: detailedStatus === 'need_rebase',
+    prAuthor: _.get(mergeRequest, 'author_id'),
+    prTitle: _.get(mergeRequest, 'title', ''),
+    prUrl: _.get(mergeRequest, 'url', ''),
+    repoName: _.get(body, 'project.path_with_namespace', ''),
+    sourceBranch: _.get(mergeRequest, 'source_branch', ''),
+    targetBranch: _.get(mergeRequest, 'target_branch', '')
+  };
+}
+
+function parseGitHubMergeabilityEvent(body) {
+  const pullRequest = _.get(body, 'pull_request');
+  if (!pullRequest || _.get(pullRequest, 'state') !== 'open') return;
+
+  const mergeableState = _.get(pullRequest, 'mergeable_state');
+  let mergeability;
+  if (mergeableState === GITHUB_CONFLICT_STATE) {
+    mergeability = 'conflict';
+  } else if (GITHUB_MERGEABLE_STATES.includes(mergeableState)) {
+    mergeability = 'mergeable';
+  }
+  if (!mergeability) return;
+
+  return {
+    type: 'mergeability',
+    source: 'github',
+    mergeability,
+    needsRebase: false,
+    prAuthor: _.get(pullRequest, 'user.login', ''),
+    prTitle: _.get(pullRequest, 'title', ''),
+    prUrl: _.get(pullRequest, 'html_url', ''),
+    repoName: _.get(body, 'repository.full_name', ''),
+    sourceBranch: _.get(pullRequest, 'head.ref', ''),
+    targetBranch: _.get(pullRequest, 'base.ref', '')
+  };
+}
+
+// GitHub computes mergeability lazily, so pull_request payloads almost always
+// carry `unknown`. After a push or a base change it has to be read from the API.
+function needsGitHubMergeabilityLookup(body) {
+  const pullRequest = _.get(body, 'pull_request');
+  if (!pullRequest || _.get(pullRequest, 'state') !== 'open') return false;
+  const mergeableState = _.get(pullRequest, 'mergeable_state');
+  if (mergeableState === GITHUB_CONFLICT_STATE || GITHUB_MERGEABLE_STATES.includes(mergeableState)) return false;
+  const action = _.get(body, 'action');
+  return GITHUB_MERGEABILITY_ACTIONS.includes(action) || (action === 'edited' && _.has(body, 'changes.base'));
+}
+
+// Same idea as pipelines: one card when a PR/MR starts conflicting, none while it
+// stays that way, and one more when it can be merged again.
+async function checkMergeabilityDedup(prKey, mergeabilityEvent) {
+  const { mergeability } = mergeabilityEvent;
+  const prevMergeability = await swapPullRequestMergeability(prKey, mergeability);
+  if (prevMergeability === mergeability) return 'suppress';
+
+  if (mergeability === 'conflict') return 'notify_conflict';
+  if (prevMergeability === 'conflict') return 'notify_mergeable';
+  return 'suppress';
+}
+
 function parseGitLabPipelineEvent(body) {
   const objectKind = _.get(body, 'object_kind');
   if (objectKind !== PIPELINE_OBJECT_KIND) return;
@@ -223,9 +550,137 @@ function parseGitLabPipelineEvent(body) {
   return result;
 }
 
+function githubPipelineType(conclusion) {
+  if (GITHUB_FAILED_CONCLUSIONS.includes(conclusion)) return 'pipeline_failed';
+  if (conclusion === GITHUB_SUCCESS_CONCLUSION) return 'pipeline_success';
+}
+
+function githubPullRequestUrl(body, prNumber) {
+  return `${_.get(body, 'repository.html_url', '')}/pull/${prNumber}`;
+}
+
+function parseGitHubWorkflowRunEvent(body) {
+  const run = _.get(body, 'workflow_run');
+  if (!run || _.get(body, 'action') !== WORKFLOW_COMPLETED_ACTION) return;
+
+  const conclusion = _.get(run, 'conclusion');
+  const branch = _.get(run, 'head_branch', '');
+  console.log(`Workflow run event: conclusion=${conclusion}, workflow=${_.get(run, 'name')}, branch=${branch}`);
+
+  const type = githubPipelineType(conclusion);
+  if (!type) {
+    console.log(`Ignoring workflow run with conclusion: ${conclusion}`);
+    return;
+  }
+
+  // Runs on main, schedules and manual runs aren't anyone's PR
+  const prNumber = _.get(run, 'pull_requests[0].number');
+  if (!prNumber) {
+    console.log('Ignoring workflow run - not tied to a pull request');
+    return;
+  }
+
+  const prAuthor = _.get(run, 'actor.login') || _.get(body, 'sender.login');
+  if (!prAuthor) {
+    console.log('Ignoring workflow run - could not determine actor');
+    return;
+  }
+
+  const workflowName = _.get(run, 'name', '');
+  return {
+    type,
+    source: 'github',
+    prAuthor,
+    prTitle: _.get(run, 'display_title', '') || _.get(run, 'head_commit.message', '').split('\n')[0],
+    prNumber,
+    prUrl: githubPullRequestUrl(body, prNumber),
+    branch,
+    pipelineUrl: _.get(run, 'html_url', ''),
+    repoName: _.get(body, 'repository.full_name', ''),
+    workflowName,
+    failedJobs: type === 'pipeline_failed' ? [workflowName] : []
+  };
+}
+
+// Check suites from GitHub Actions are skipped: workflow_run already covers them
+function parseGitHubCheckSuiteEvent(body) {
+  const suite = _.get(body, 'check_suite');
+  if (!suite || _.get(body, 'action') !== WORKFLOW_COMPLETED_ACTION) return;
+
+  const appSlug = _.get(suite, 'app.slug');
+  if (appSlug === GITHUB_ACTIONS_APP_SLUG) {
+    console.log('Ignoring check suite from GitHub Actions - handled by workflow_run');
+    return;
+  }
+
+  const conclusion = _.get(suite, 'conclusion');
+  const branch = _.get(suite, 'head_branch', '') || '';
+  console.log(`Check suite event: conclusion=${conclusion}, app=${appSlug}, branch=${branch}`);
+
+  const type = githubPipelineType(conclusion);
+  if (!type) {
+    console.log(`Ignoring check suite with conclusion: ${conclusion}`);
+    return;
+  }
+
+  const prNumber = _.get(suite, 'pull_requests[0].number');
+  if (!prNumber) {
+    console.log('Ignoring check suite - not tied to a pull request');
+    return;
+  }
+
+  const prAuthor = _.get(body, 'sender.type') === 'Bot' ? undefined : _.get(body, 'sender.login');
+  if (!prAuthor) {
+    console.log('Ignoring check suite - could not determine author');
+    return;
+  }
+
+  const workflowName = _.get(suite, 'app.name', '') || appSlug || 'Checks';
+  const repoUrl = _.get(body, 'repository.html_url', '');
+  const headSha = _.get(suite, 'head_sha', '');
+  return {
+    type,
+    source: 'github',
+    prAuthor,
+    prTitle: _.get(suite, 'head_commit.message', '').split('\n')[0],
+    prNumber,
+    prUrl: githubPullRequestUrl(body, prNumber),
+    branch,
+    pipelineUrl: `${repoUrl}/commit/${headSha}/checks`,
+    repoName: _.get(body, 'repository.full_name', ''),
+    workflowName,
+    failedJobs: type === 'pipeline_failed' ? [workflowName] : []
+  };
+}
+
+// GitHub reports each workflow separately, so a branch's state tracks which
+// workflows are currently failing rather than a single pipeline status.
+async function checkWorkflowDedup(pipelineEvent, prev) {
+  const { type, repoName, branch, workflowName } = pipelineEvent;
+  const failing = prev?.status === 'failed' ? prev.failedJobs || [] : [];
+  const wasFailing = failing.includes(workflowName);
+
+  if (type === 'pipeline_failed') {
+    if (wasFailing) return 'suppress';
+    const failedJobs = [...failing, workflowName].sort();
+    await setPipelineState(repoName, branch, { status: 'failed', failedJobs, timestamp: Date.now() });
+    return 'notify_failure';
+  }
+
+  if (!wasFailing) return 'suppress';
+  const stillFailing = failing.filter(name => name !== workflowName);
+  if (stillFailing.length === 0) {
+    await deletePipelineState(repoName, branch);
+  } else {
+    await setPipelineState(repoName, branch, { status: 'failed', failedJobs: stillFailing, timestamp: Date.now() });
+  }
+  return 'notify_recovery';
+}
+
 async function checkPipelineDedup(pipelineEvent) {
   const { type, repoName, branch, failedJobs } = pipelineEvent;
   const prev = await getPipelineState(repoName, branch);
+  if (pipelineEvent.workflowName) return checkWorkflowDedup(pipelineEvent, prev);
   const isFailed = type === 'pipeline_failed';
 
   if (isFailed) {
@@ -328,6 +783,12 @@ function parseGitHubReviewPayload(body) {
   const commentUrl = _.get(comment, 'html_url', '');
   const repoName = _.get(body, 'repository.full_name', '');
   const filePath = _.get(comment, 'path', '');
+  const line = _.get(comment, 'line') || _.get(comment, 'original_line');
+  const startLine = _.get(comment, 'start_line') || _.get(comment, 'original_start_line');
+  const lineSide = _.get(comment, 'side') === 'LEFT' ? 'old' : 'new';
+  const lineRef = lineSide === 'old' ? { oldLine: line } : { newLine: line };
+  const snippet = extractDiffSnippet(_.get(comment, 'diff_hunk', ''), lineRef);
+  const threadId = _.get(comment, 'in_reply_to_id') || _.get(comment, 'id');
 
   return {
     source: 'github',
@@ -338,7 +799,39 @@ function parseGitHubReviewPayload(body) {
     commentBody,
     commentUrl,
     repoName,
-    filePath
+    filePath,
+    line,
+    startLine: startLine !== line ? startLine : undefined,
+    lineSide,
+    snippet,
+    threadId: threadId ? String(threadId) : undefined
+  };
+}
+
+// DiffNotes carry a position; older GitLab versions also include the hunk as
+// st_diff. Without it, `diffRefs` names the diff version so the caller can
+// fetch the hunk from the API.
+function parseGitLabDiffPosition(attributes) {
+  const position = _.get(attributes, 'position');
+  const stDiff = _.get(attributes, 'st_diff');
+  if (!position && !stDiff) return {};
+
+  const newLine = _.get(position, 'new_line');
+  const oldLine = _.get(position, 'old_line');
+  const line = newLine || oldLine;
+  const rangeStart = _.get(position, 'line_range.start');
+  const startLine = newLine ? _.get(rangeStart, 'new_line') : _.get(rangeStart, 'old_line');
+
+  const snippet = extractDiffSnippet(_.get(stDiff, 'diff', ''), { oldLine, newLine });
+  const baseSha = _.get(position, 'base_sha');
+  const headSha = _.get(position, 'head_sha');
+  return {
+    filePath: _.get(position, 'new_path') || _.get(position, 'old_path') || _.get(stDiff, 'new_path', ''),
+    line,
+    startLine: startLine && startLine !== line ? startLine : undefined,
+    lineSide: newLine ? 'new' : 'old',
+    snippet,
+    ...(snippet.length === 0 && line && baseSha && headSha ? { diffRefs: { baseSha, headSha } } : {})
   };
 }
 
@@ -374,21 +867,42 @@ function parseGitLabPayload(body) {
     commentAuthor,
     commentBody,
     commentUrl,
-    repoName
+    repoName,
+    threadId: _.get(body, 'object_attributes.discussion_id'),
+    projectId: _.get(body, 'project.id'),
+    ...parseGitLabDiffPosition(_.get(body, 'object_attributes'))
   };
 }
 
 export {
   GITHUB_SIGNATURE_HEADER,
+  GITHUB_LEGACY_SIGNATURE_HEADER,
   GITLAB_TOKEN_HEADER,
+  GITHUB_DELIVERY_HEADER,
+  GITLAB_EVENT_UUID_HEADER,
   verifyGitHubSignature,
   verifyGitLabToken,
   parseGitLabMergeEvent,
   parseGitHubMergeEvent,
+  parseGitLabCloseEvent,
+  parseGitHubCloseEvent,
   parseGitLabApprovalEvent,
   parseGitHubReviewRequestedEvent,
   parseGitLabReviewRequestedEvent,
+  parseGitHubReadyForReviewEvent,
+  parseGitLabReadyForReviewEvent,
+  parseGitLabThreadResolvedEvent,
+  parseGitLabDiscussionsResolvedEvent,
+  pullRequestKey,
+  parseGitHubPushToPullRequestEvent,
+  parseGitLabPushToMergeRequestEvent,
+  parseGitLabMergeabilityEvent,
+  parseGitHubMergeabilityEvent,
+  needsGitHubMergeabilityLookup,
+  checkMergeabilityDedup,
   parseGitLabPipelineEvent,
+  parseGitHubWorkflowRunEvent,
+  parseGitHubCheckSuiteEvent,
   checkPipelineDedup,
   parseGitHubReviewEvent,
   parseGitHubPayload,
@@ -0,0 +1,97 @@
+import { getAllHeldNotifications, appendHeldNotification, takeHeldNotifications } from '../lib/db.js';
+import { isInQuietHours, isDigestMode, nextDigestAt, describeHeldItems } from '../lib/helpers.js';
+import { summarizeCard, createHeldSummaryCard } from './cards.js';
+import { deliverToUser } from './delivery.js';
+
+const HELD = 'held';
+
+// Teams rejects cards much past ~28KB, so only the newest items make the summary
+const MAX_HELD_ITEMS = 50;
+
+let flushing = false;
+
+// Digest users never get cards one by one; everyone else only during quiet hours
+function shouldHold(user, { urgent } = {}, now = Date.now()) {
+  if (isDigestMode(user)) return true;
+  if (!isInQuietHours(user, now)) return false;
+  return !(urgent && user.quietHours.urgentBypass);
+}
+
+async function holdNotification(user, card, { prKey, kind } = {}, now = Date.now()) {
+  const releaseAt = nextDigestAt(user, now);
+  const count = await appendHeldNotification(user.name, { ...summarizeCard(card), prKey, kind, at: now }, {
+    releaseAt,
+    maxItems: MAX_HELD_ITEMS
+  });
+  const until = releaseAt ? `the ${user.deliveryMode} digest` : 'quiet hours end';
+  console.log(`Holding notification for ${user.name} until ${until} (${count} held)`);
+  return HELD;
+}
+
+// A digest is due once its release time has passed; if the user has since gone
+// back to instant delivery it goes out on the next run. Either way nothing is
+// sent during quiet hours.
+function isDue(user, held, now) {
+  if (isInQuietHours(user, now)) return false;
+  return !(isDigestMode(user) && held.releaseAt && now < held.releaseAt);
+}
+
+function summaryHeading(user, held) {
+  const description = describeHeldItems(held.items);
+  if (held.releaseAt) {
+    const period = user.deliveryMode === 'hourly' ? 'hourly' : 'daily';
+    return `📬 Your ${period} digest: ${description}`;
+  }
+  return `🌙 During your quiet hours: ${description}`;
+}
+
+// Every card goes through here so digests and quiet hours can hold it; if holding
+// fails the card is sent right away rather than lost.
+async function notifyUser(user, card, options = {}) {
+  if (shouldHold(user, options)) {
+    try {
+      return await holdNotification(user, card, options);
+    } catch (err) {
+      console.error(`Failed to hold notification for ${user.name}, sending now:`, err.message);
+    }
+  }
+  return deliverToUser(user, card);
+}
+
+// Sends one summary card per user whose digest is due or whose quiet hours have ended
+async function flushHeldNotifications(users, now = Date.now()) {
+  const summary = { flushed: 0, waiting: 0 };
+  if (flushing) return summary;
+  flushing = true;
+
+  try {
+    for (const { userName, ...pending } of await getAllHeldNotifications()) {
+      const user = users.find(u => u.name === userName);
+      if (user && !isDue(user, pending, now)) {
+        summary.waiting++;
+        continue;
+      }
+
+      // Taken before sending so cards held meanwhile start a new summary
+      const held = await takeHeldNotifications(userName);
+      if (!held || !user) continue;
+
+      const card = createHeldSummaryCard(held.items, {
+        heading: summaryHeading(user, held),
+        timezone: user.timezone,
+        dropped: held.dropped
+      });
+      await deliverToUser(user, card);
+      console.log(`Sent summary of ${held.items.length + (held.dropped || 0)} held notification(s) to ${user.name}`);
+      summary.flushed++;
+    }
+  } catch (err) {
+    console.error('Failed to flush held notifications:', err.message);
+  } finally {
+    flushing = false;
+  }
+
+  return summary;
+}
+
+export { HELD, notifyUser, flushHeldNotifications };
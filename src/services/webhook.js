@@ -1,5 +1,27 @@
 import _ from 'lodash';
-import { deletePipelineState } from '../lib/db.js';
+import {
+  deletePipelineState,
+  recordDelivery,
+  forgetDelivery,
+  getThread,
+  putThread,
+  getPullRequestState,
+  updatePullRequestState,
+  getRecentComment,
+  putRecentComment,
+  deletePullRequestState
+} from '../lib/db.js';
+import {
+  compareGitHubCommits,
+  compareGitLabCommits,
+  getGitHubPullRequest,
+  getGitHubPullRequestMergeability,
+  getGitLabFileDiff,
+  listGitHubPullRequestFiles,
+  listGitLabMergeRequestFiles
+} from '../lib/gitApi.js';
+import { loadCodeownersRules, filesOwnedBy, ownerHandlesFor, pathMatchesGlob } from '../lib/codeowners.js';
+import { recordSignatureFailure } from '../lib/alerts.js';
 import {
   findPROwner,
   findUserByUsername,
@@ -7,20 +29,40 @@ import {
   classifyBotComment,
   isCodeownerBot,
   userWantsNotification,
+  channelMatches,
   findMentionedUsers,
+  extractDiffSnippet,
   DISABLED_BY_PREFS
 } from '../lib/helpers.js';
 import {
   GITHUB_SIGNATURE_HEADER,
+  GITHUB_LEGACY_SIGNATURE_HEADER,
   GITLAB_TOKEN_HEADER,
+  GITHUB_DELIVERY_HEADER,
+  GITLAB_EVENT_UUID_HEADER,
   verifyGitHubSignature,
   verifyGitLabToken,
   parseGitLabMergeEvent,
   parseGitHubMergeEvent,
+  parseGitLabCloseEvent,
+  parseGitHubCloseEvent,
   parseGitLabApprovalEvent,
   parseGitHubReviewRequestedEvent,
   parseGitLabReviewRequestedEvent,
+  parseGitHubReadyForReviewEvent,
+  parseGitLabReadyForReviewEvent,
+  parseGitLabThreadResolvedEvent,
+  parseGitLabDiscussionsResolvedEvent,
+  pullRequestKey,
+  parseGitHubPushToPullRequestEvent,
+  parseGitLabPushToMergeRequestEvent,
+  parseGitLabMergeabilityEvent,
+  parseGitHubMergeabilityEvent,
+  needsGitHubMergeabilityLookup,
+  checkMergeabilityDedup,
   parseGitLabPipelineEvent,
+  parseGitHubWorkflowRunEvent,
+  parseGitHubCheckSuiteEvent,
   checkPipelineDedup,
   parseGitHubReviewEvent,
   parseGitHubPayload,
@@ -30,17 +72,191 @@ import {
 import {
   createAdaptiveCard,
   createMentionCard,
+  createThreadReplyCard,
+  createThreadResolvedCard,
+  createDiscussionsResolvedCard,
+  createNewCommitsCard,
   createMergeCard,
+  createClosedCard,
+  createReopenedCard,
   createApprovalCard,
   createReviewRequestedCard,
+  createReadyForReviewCard,
+  createMergeConflictCard,
+  createMergeableAgainCard,
   createPipelineFailureCard,
   createPipelineRecoveryCard,
-  sendToTeams
+  createChannelCard
 } from './cards.js';
+import { FAILED, deliverCard } from './delivery.js';
+import { notifyUser } from './quietHours.js';
+import { commentBatchWindowMs, queueBatchedComment } from './commentBatches.js';
+import { publishEvent, sendEvents } from './eventStream.js';
+
+const CLOSING_COMMENT_WINDOW_MS = 2 * 60 * 1000;
+// Closed cards show at most this much of the comment
+const CLOSING_COMMENT_EXCERPT = 500;
+
+// Cards are recorded before they go out, so handleWebhook knows whether a
+// webhook that failed partway already reached someone.
+function notify(context, user, card, options) {
+  context.notified?.push(user.name);
+  return notifyUser(user, card, options);
+}
+
+function repoKeyFor(source, data) {
+  const repoName = source === 'github'
+    ? _.get(data, 'repository.full_name')
+    : _.get(data, 'project.path_with_namespace');
+  return repoName ? `${source}:${repoName}` : undefined;
+}
+
+// Mergeability rides along on whatever PR/MR event carries it, so it is checked
+// after the event's own notifications and reported alongside their result.
+// Event stream events are collected into context.pendingEvents, and slow
+// lookups into context.pendingWork, when the caller passes them; both are left
+// for the caller to run.
+async function processWebhook(source, data, context) {
+  const channelDeliveries = [];
+  const result = await processEvent(source, data, { ...context, channelDeliveries });
+  const mergeability = await processMergeability(source, data, context);
+  const events = (context.pendingEvents || []).map(({ subscriber, streamEvent }) => ({ subscriber: subscriber.name, type: streamEvent.type }));
+  return {
+    ...result,
+    ...(mergeability ? { mergeability } : {}),
+    ...(channelDeliveries.length > 0 ? { channels: channelDeliveries } : {}),
+    ...(events.length > 0 ? { events } : {})
+  };
+}
+
+// Channel subscriptions are routed before the per-user checks, so a squad channel
+// hears about PRs/MRs whose author isn't registered.
+async function notifyChannels(context, kind, event, repoKey) {
+  const { channels = [], users, channelDeliveries } = context;
+  if (channels.length === 0) return;
+
+  const owner = findPROwner(users, event.source, event.prAuthor);
+  const authorName = event.source === 'github'
+    ? event.prAuthor
+    : _.get(owner, 'gitlab.username');
+  const matching = channels.filter(channel => channelMatches(channel, { kind, repoKey, authorName }));
+
+  for (const channel of matching) {
+    console.log(`Processing ${event.source} ${kind} for channel "${channel.name}"`);
+    const card = createChannelCard(kind, { ...event, authorName });
+    context.notified?.push(`channel:${channel.name}`);
+    const delivery = await deliverCard(card, channel.webhookUrl, { recipient: `channel:${channel.name}` });
+    channelDeliveries.push({ channel: channel.name, kind, delivery });
+  }
+}
+
+// Changed files and CODEOWNERS rules are only fetched once a reviewer needs
+// them, and then at most once per event.
+function changedFileLookup(event, codeownersEntry) {
+  let pending;
+  return () => {
+    pending ??= Promise.all([
+      loadCodeownersRules(codeownersEntry),
+      event.source === 'github'
+        ? listGitHubPullRequestFiles(event.repoName, event.prNumber)
+        : listGitLabMergeRequestFiles(event.projectId, event.prNumber)
+    ]).then(([rules, paths]) => ({ rules, paths }));
+    return pending;
+  };
+}
+
+// Current GitLab note hooks don't include the diff, so the commented hunk is read
+// from the API, only once someone gets a card and then at most once per comment.
+function commentWithSnippet(parsed) {
+  let pending;
+  return () => {
+    pending ??= parsed.diffRefs ? withGitLabSnippet(parsed) : Promise.resolve(parsed);
+    return pending;
+  };
+}
+
+async function withGitLabSnippet(parsed) {
+  const { projectId, diffRefs, filePath, line, lineSide } = parsed;
+  const diff = projectId ? await getGitLabFileDiff(projectId, diffRefs.baseSha, diffRefs.headSha, filePath) : null;
+  const snippet = extractDiffSnippet(diff, lineSide === 'old' ? { oldLine: line } : { newLine: line });
+  return { ..._.omit(parsed, 'diffRefs'), snippet };
+}
+
+// Run payloads only name who triggered the run. The PR's author is read from the
+// API, falling back to the trigger when the PR can't be read. Only failures and
+// recoveries that get past dedup are looked up.
+async function withGitHubPullRequestAuthor(pipelineEvent) {
+  const pullRequest = await getGitHubPullRequest(pipelineEvent.repoName, pipelineEvent.prNumber);
+  const prAuthor = _.get(pullRequest, 'user.login');
+  return prAuthor ? { ...pipelineEvent, prAuthor } : pipelineEvent;
+}
+
+// The API is only asked when the PR's author is registered, since nobody else gets these cards
+function shouldLookUpGitHubMergeability(data, users) {
+  if (parseGitHubMergeabilityEvent(data) || !needsGitHubMergeabilityLookup(data)) return false;
+  return !!findPROwner(users, 'github', _.get(data, 'pull_request.user.login'));
+}
+
+// Lambda runs deferred work before answering, so there GitHub only gets one read
+async function lookUpGitHubMergeability(data) {
+  const pullRequest = await getGitHubPullRequestMergeability(_.get(data, 'repository.full_name'), _.get(data, 'pull_request.number'), {
+    retry: !process.env.AWS_LAMBDA_FUNCTION_NAME
+  });
+  return pullRequest ? parseGitHubMergeabilityEvent({ ...data, pull_request: pullRequest }) : undefined;
+}
+
+// A GitHub lookup can take two reads and a wait, so when the caller passes
+// context.pendingWork it runs after the webhook is answered.
+async function processMergeability(source, data, context) {
+  const { users, pendingWork } = context;
+  if (source === 'github' && shouldLookUpGitHubMergeability(data, users)) {
+    const lookUp = async () => notifyMergeability(source, data, context, await lookUpGitHubMergeability(data));
+    if (!pendingWork) return lookUp();
+    pendingWork.push(lookUp);
+    return;
+  }
+  const mergeabilityEvent = source === 'github'
+    ? parseGitHubMergeabilityEvent(data)
+    : parseGitLabMergeabilityEvent(data);
+  return notifyMergeability(source, data, context, mergeabilityEvent);
+}
+
+async function notifyMergeability(source, data, context, mergeabilityEvent) {
+  const { users } = context;
+  const prKey = pullRequestKey(source, data);
+  const repoKey = repoKeyFor(source, data);
+  if (!mergeabilityEvent || !prKey) return;
+
+  const prOwner = findPROwner(users, source, mergeabilityEvent.prAuthor);
+  if (!prOwner) return;
 
-async function processWebhook(source, data, { users }) {
+  let dedupResult;
+  try {
+    dedupResult = await checkMergeabilityDedup(prKey, mergeabilityEvent);
+  } catch (err) {
+    console.error(`Failed to check mergeability for ${prKey}:`, err.message);
+    return;
+  }
+  if (dedupResult === 'suppress') return;
+
+  const isConflict = dedupResult === 'notify_conflict';
+  if (!userWantsNotification(prOwner, 'mergeConflicts', repoKey)) {
+    console.log(`Skipping mergeability notification for ${prOwner.name} (disabled by preferences)`);
+    return { processed: false, reason: DISABLED_BY_PREFS };
+  }
+  const type = isConflict ? 'merge_conflict' : 'mergeable_again';
+  console.log(`Processing ${source} ${type} for ${prOwner.name}'s "${mergeabilityEvent.prTitle}"`);
+  const card = isConflict ? createMergeConflictCard(mergeabilityEvent) : createMergeableAgainCard(mergeabilityEvent);
+  const delivery = await notify(context, prOwner, card, { prKey, kind: type });
+  return { processed: delivery !== FAILED, delivery, type, user: prOwner.name };
+}
+
+async function processEvent(source, data, context) {
+  const { users, groups } = context;
   const results = [];
   const prLabel = source === 'github' ? 'PR' : 'MR';
+  const prKey = pullRequestKey(source, data);
+  const repoKey = repoKeyFor(source, data);
 
   let mergeEvent;
   if (source === 'github') {
@@ -51,37 +267,75 @@ async function processWebhook(source, data, { users }) {
 
   if (mergeEvent) {
     const { prAuthor, repoName: mergeRepo, sourceBranch } = mergeEvent;
-    if (mergeRepo && sourceBranch) {
+    await clearPipelineState(mergeRepo, sourceBranch, 'merged');
+    if (prKey) {
       try {
-        const cleared = await deletePipelineState(mergeRepo, sourceBranch);
-        if (cleared) console.log(`Cleared pipeline state for merged branch ${mergeRepo}:${sourceBranch}`);
+        await deletePullRequestState(prKey);
       } catch (err) {
-        console.error(`Failed to clear pipeline state for ${mergeRepo}:${sourceBranch}:`, err.message);
+        console.error(`Failed to clear state for ${prKey}:`, err.message);
       }
     }
+    await notifyChannels(context, 'merge', mergeEvent, repoKey);
+    publishEvent(context, 'merge', mergeEvent, repoKey);
     const prOwner = findPROwner(users, source, prAuthor);
 
     if (prOwner) {
       const { mergedBy } = mergeEvent;
       const isSelfMerge = isCommentAuthor(prOwner, source, mergedBy);
-      if (isSelfMerge && !userWantsNotification(prOwner, 'selfMerges')) {
+      if (isSelfMerge && !userWantsNotification(prOwner, 'selfMerges', repoKey)) {
         console.log(`Ignoring self-merge by ${mergedBy} on their own ${prLabel}`);
         return { processed: false, reason: 'self-merge' };
       }
-      if (!userWantsNotification(prOwner, 'merges')) {
+      if (!userWantsNotification(prOwner, 'merges', repoKey)) {
         console.log(`Skipping merge notification for ${prOwner.name} (disabled by preferences)`);
         return { processed: false, reason: DISABLED_BY_PREFS };
       }
       console.log(`Processing ${source} merge event for ${prOwner.name}'s "${mergeEvent.prTitle}"`);
       const card = createMergeCard(mergeEvent);
-      const sent = await sendToTeams(card, prOwner.teamsWebhookUrl);
-      return { processed: sent, type: 'merge', user: prOwner.name, data: mergeEvent };
+      const delivery = await notify(context, prOwner, card, { prKey, kind: 'merge' });
+      return { processed: delivery !== FAILED, delivery, type: 'merge', user: prOwner.name, data: mergeEvent };
     }
 
     console.log(`Ignoring merge event - ${prLabel} author not in configured users`);
     return { processed: false, reason: `${prLabel} author not configured` };
   }
 
+  let closeEvent;
+  if (source === 'github') {
+    closeEvent = parseGitHubCloseEvent(data);
+  } else if (source === 'gitlab') {
+    closeEvent = parseGitLabCloseEvent(data);
+  }
+
+  if (closeEvent) {
+    const { prAuthor, actor, type: closeType } = closeEvent;
+    const isClosed = closeType === 'closed';
+    if (isClosed) {
+      await clearPipelineState(closeEvent.repoName, closeEvent.sourceBranch, 'closed');
+    }
+    await notifyChannels(context, closeType, closeEvent, repoKey);
+
+    const prOwner = findPROwner(users, source, prAuthor);
+    if (!prOwner) {
+      console.log(`Ignoring ${closeType} event - ${prLabel} author not in configured users`);
+      return { processed: false, reason: `${prLabel} author not configured` };
+    }
+    if (isCommentAuthor(prOwner, source, actor)) {
+      console.log(`Ignoring ${closeType} event by ${actor} on their own ${prLabel}`);
+      return { processed: false, reason: `${closeType} by author` };
+    }
+    if (!userWantsNotification(prOwner, isClosed ? 'closedPRs' : 'reopenedPRs', repoKey)) {
+      console.log(`Skipping ${closeType} notification for ${prOwner.name} (disabled by preferences)`);
+      return { processed: false, reason: DISABLED_BY_PREFS };
+    }
+
+    const cardData = isClosed ? { ...closeEvent, closingComment: await findClosingComment(prKey, actor) } : closeEvent;
+    console.log(`Processing ${source} ${closeType} event by ${actor} for ${prOwner.name}'s "${closeEvent.prTitle}"`);
+    const card = isClosed ? createClosedCard(cardData) : createReopenedCard(cardData);
+    const delivery = await notify(context, prOwner, card, { prKey, kind: closeType });
+    return { processed: delivery !== FAILED, delivery, type: closeType, user: prOwner.name, data: cardData };
+  }
+
   let approvalEvent;
   if (source === 'github') {
     approvalEvent = parseGitHubReviewEvent(data);
@@ -91,18 +345,28 @@ async function processWebhook(source, data, { users }) {
 
   if (approvalEvent) {
     const { prAuthor, state, reviewedBy } = approvalEvent;
+    await addPullRequestUsers(prKey, 'reviewers', [reviewedBy]);
+    await notifyChannels(context, state === 'approved' ? 'approval' : state, approvalEvent, repoKey);
+    publishEvent(context, 'approval', approvalEvent, repoKey);
     const prOwner = findPROwner(users, source, prAuthor);
 
     if (prOwner) {
-      if (!userWantsNotification(prOwner, 'approvals')) {
-        console.log(`Skipping approval notification for ${prOwner.name} (disabled by preferences)`);
+      const isRevoked = state === 'revoked';
+      if (!userWantsNotification(prOwner, isRevoked ? 'approvalRevocations' : 'approvals', repoKey)) {
+        const label = isRevoked ? 'approval revocation' : 'approval';
+        console.log(`Skipping ${label} notification for ${prOwner.name} (disabled by preferences)`);
         return { processed: false, reason: DISABLED_BY_PREFS };
       }
-      const stateLabel = state === 'approved' ? 'approval' : 'changes requested';
+      const stateLabels = { approved: 'approval', revoked: 'approval revocation' };
+      const stateLabel = stateLabels[state] || 'changes requested';
       console.log(`Processing ${source} ${stateLabel} from ${reviewedBy} for ${prOwner.name}'s "${approvalEvent.prTitle}"`);
       const card = createApprovalCard(approvalEvent);
-      const sent = await sendToTeams(card, prOwner.teamsWebhookUrl);
-      return { processed: sent, type: 'approval', state, user: prOwner.name, data: approvalEvent };
+      const delivery = await notify(context, prOwner, card, {
+        prKey,
+        kind: state === 'approved' ? 'approval' : state,
+        urgent: state === 'changes_requested'
+      });
+      return { processed: delivery !== FAILED, delivery, type: 'approval', state, user: prOwner.name, data: approvalEvent };
     }
 
     console.log(`Ignoring approval event - ${prLabel} author not in configured users`);
@@ -116,73 +380,136 @@ async function processWebhook(source, data, { users }) {
     reviewRequestedEvent = parseGitLabReviewRequestedEvent(data);
   }
 
-  if (reviewRequestedEvent) {
-    const { requestedBy, reviewers } = reviewRequestedEvent;
-    const isCodeowner = isCodeownerBot(requestedBy);
-    const notifications = [];
+  let readyEvent;
+  if (source === 'github') {
+    readyEvent = parseGitHubReadyForReviewEvent(data);
+  } else if (source === 'gitlab') {
+    readyEvent = parseGitLabReadyForReviewEvent(data);
+  }
 
-    for (const reviewerUsername of reviewers) {
-      const reviewer = findUserByUsername(users, source, reviewerUsername);
-      if (!reviewer) continue;
-      if (isCodeowner && !userWantsNotification(reviewer, 'codeownerReviewRequests')) {
-        console.log(`Skipping CODEOWNERS review-request notification for ${reviewer.name} (disabled by preferences)`);
-        continue;
+  // GitLab sends one hook when Draft is cleared and reviewers are added in the
+  // same edit: the existing reviewers get the ready card, the new ones their request.
+  if (readyEvent && reviewRequestedEvent) {
+    const ready = await notifyReadyForReview(readyEvent, context, { prKey, repoKey, skip: reviewRequestedEvent.reviewers });
+    const requested = await notifyReviewRequested(reviewRequestedEvent, context, { prKey, repoKey, prLabel });
+    const notifications = [
+      ...(ready.notifications || []).map(n => ({ type: 'ready_for_review', ...n })),
+      ...(requested.notifications || []).map(n => ({ type: 'review_requested', ...n }))
+    ];
+    if (notifications.length === 0) return requested;
+    return { processed: true, notifications, ...(requested.held ? { held: requested.held } : {}) };
+  }
+  if (reviewRequestedEvent) return notifyReviewRequested(reviewRequestedEvent, context, { prKey, repoKey, prLabel });
+  if (readyEvent) return notifyReadyForReview(readyEvent, context, { prKey, repoKey });
+
+  if (source === 'gitlab') {
+    const resolvedEvent = parseGitLabThreadResolvedEvent(data);
+    if (resolvedEvent) return notifyThreadResolved(resolvedEvent, context, prKey);
+
+    const discussionsEvent = parseGitLabDiscussionsResolvedEvent(data);
+    if (discussionsEvent) {
+      const prOwner = findPROwner(users, source, discussionsEvent.prAuthor);
+      if (!prOwner) {
+        console.log(`Ignoring discussions-resolved event - ${prLabel} author not in configured users`);
+        return { processed: false, reason: `${prLabel} author not configured` };
       }
-      const isSelfRequest = isCommentAuthor(reviewer, source, requestedBy);
-      if (isSelfRequest && !userWantsNotification(reviewer, 'selfReviewRequests')) continue;
-      if (!userWantsNotification(reviewer, 'reviewRequests')) {
-        console.log(`Skipping review-request notification for ${reviewer.name} (disabled by preferences)`);
-        continue;
+      if (isCommentAuthor(prOwner, source, discussionsEvent.resolvedBy)) {
+        console.log(`Ignoring discussions resolved by ${prOwner.name} on their own ${prLabel}`);
+        return { processed: false, reason: 'resolved by author' };
       }
+      if (!userWantsNotification(prOwner, 'allDiscussionsResolved', repoKey)) {
+        console.log(`Skipping discussions-resolved notification for ${prOwner.name} (disabled by preferences)`);
+        return { processed: false, reason: DISABLED_BY_PREFS };
+      }
+      console.log(`Processing all discussions resolved on ${prOwner.name}'s "${discussionsEvent.prTitle}"`);
+      const card = createDiscussionsResolvedCard(discussionsEvent);
+      const delivery = await notify(context, prOwner, card, { prKey, kind: 'discussions_resolved' });
+      return { processed: delivery !== FAILED, delivery, type: 'discussions_resolved', user: prOwner.name, data: discussionsEvent };
+    }
+  }
 
-      console.log(`Processing ${source} review request from ${requestedBy} to ${reviewer.name} on "${reviewRequestedEvent.prTitle}"`);
-      const card = createReviewRequestedCard(reviewRequestedEvent);
-      const sent = await sendToTeams(card, reviewer.teamsWebhookUrl);
-      notifications.push({ user: reviewer.name, sent });
+  let pushEvent;
+  if (source === 'github') {
+    pushEvent = parseGitHubPushToPullRequestEvent(data);
+  } else if (source === 'gitlab') {
+    pushEvent = parseGitLabPushToMergeRequestEvent(data);
+  }
+
+  if (pushEvent) {
+    const { pushedBy } = pushEvent;
+    const prState = await loadPullRequestState(prKey);
+    const recipients = _.get(prState, 'reviewers', [])
+      .filter(reviewer => reviewer.toLowerCase() !== String(pushedBy).toLowerCase())
+      .map(reviewer => findUserByUsername(users, source, reviewer))
+      .filter(Boolean);
+
+    if (recipients.length === 0) {
+      console.log(`Ignoring push to ${prKey} - no configured reviewers to notify`);
+      return { processed: false, reason: 'no reviewers to notify' };
     }
 
-    if (notifications.length === 0) {
-      console.log(`Ignoring review-requested event - no configured reviewers matched`);
-      return { processed: false, reason: 'no configured reviewers matched' };
+    const commits = await fetchPushedCommits(pushEvent);
+    const cardData = { ...pushEvent, ...commits };
+    const notifications = [];
+
+    for (const reviewer of recipients) {
+      if (!userWantsNotification(reviewer, 'newCommitsOnReviewedPRs', repoKey)) {
+        console.log(`Skipping new-commits notification for ${reviewer.name} (disabled by preferences)`);
+        continue;
+      }
+      console.log(`Processing ${source} push by ${pushedBy} for reviewer ${reviewer.name} on "${pushEvent.prTitle}"`);
+      const card = createNewCommitsCard(cardData);
+      const delivery = await notify(context, reviewer, card, { prKey, kind: 'new_commits' });
+      notifications.push({ user: reviewer.name, delivery });
     }
 
-    return { processed: true, type: 'review_requested', notifications };
+    if (notifications.length === 0) {
+      return { processed: false, reason: DISABLED_BY_PREFS };
+    }
+    return { processed: true, type: 'new_commits', notifications };
   }
 
-  if (source === 'gitlab') {
-    const pipelineEvent = parseGitLabPipelineEvent(data);
+  let pipelineEvent;
+  if (source === 'github') {
+    pipelineEvent = parseGitHubWorkflowRunEvent(data) || parseGitHubCheckSuiteEvent(data);
+  } else if (source === 'gitlab') {
+    pipelineEvent = parseGitLabPipelineEvent(data);
+  }
 
-    if (pipelineEvent) {
-      const { prAuthor, type: pipelineType } = pipelineEvent;
-      const prOwner = findPROwner(users, source, prAuthor);
+  if (pipelineEvent) {
+    const { type: pipelineType } = pipelineEvent;
+    const dedupResult = await checkPipelineDedup(pipelineEvent);
 
-      if (!prOwner) {
-        console.log('Ignoring pipeline event - pipeline owner not in configured users');
-        return { processed: false, reason: 'pipeline owner not configured' };
-      }
+    if (dedupResult === 'suppress') {
+      const label = pipelineType === 'pipeline_failed' ? 'failure (duplicate)' : 'success (no prior failure)';
+      console.log(`Suppressing pipeline ${label} for ${pipelineEvent.repoName}:${pipelineEvent.branch}`);
+      return { processed: false, reason: `pipeline ${label} suppressed` };
+    }
 
-      const dedupResult = await checkPipelineDedup(pipelineEvent);
+    const isRecovery = dedupResult === 'notify_recovery';
+    if (source === 'github') pipelineEvent = await withGitHubPullRequestAuthor(pipelineEvent);
+    const { prAuthor } = pipelineEvent;
+    await notifyChannels(context, isRecovery ? 'pipeline_recovered' : 'pipeline_failed', pipelineEvent, repoKey);
+    if (!isRecovery) publishEvent(context, 'pipeline_failed', pipelineEvent, repoKey);
 
-      if (dedupResult === 'suppress') {
-        const label = pipelineType === 'pipeline_failed' ? 'failure (duplicate)' : 'success (no prior failure)';
-        console.log(`Suppressing pipeline ${label} for ${pipelineEvent.repoName}:${pipelineEvent.branch}`);
-        return { processed: false, reason: `pipeline ${label} suppressed` };
-      }
+    const prOwner = findPROwner(users, source, prAuthor);
+    if (!prOwner) {
+      console.log('Ignoring pipeline event - pipeline owner not in configured users');
+      return { processed: false, reason: 'pipeline owner not configured' };
+    }
 
-      const isRecovery = dedupResult === 'notify_recovery';
-      const prefKey = isRecovery ? 'pipelineRecoveries' : 'pipelineFailures';
-      if (!userWantsNotification(prOwner, prefKey)) {
-        const label = isRecovery ? 'recovery' : 'failure';
-        console.log(`Skipping pipeline ${label} notification for ${prOwner.name} (disabled by preferences)`);
-        return { processed: false, reason: DISABLED_BY_PREFS };
-      }
+    const prefKey = isRecovery ? 'pipelineRecoveries' : 'pipelineFailures';
+    if (!userWantsNotification(prOwner, prefKey, repoKey)) {
       const label = isRecovery ? 'recovery' : 'failure';
-      console.log(`Processing ${source} pipeline ${label} for ${prOwner.name}'s "${pipelineEvent.prTitle}"`);
-      const card = isRecovery ? createPipelineRecoveryCard(pipelineEvent) : createPipelineFailureCard(pipelineEvent);
-      const resultType = isRecovery ? 'pipeline_recovered' : pipelineType;
-      const sent = await sendToTeams(card, prOwner.teamsWebhookUrl);
-      return { processed: sent, type: resultType, user: prOwner.name, data: pipelineEvent };
+      console.log(`Skipping pipeline ${label} notification for ${prOwner.name} (disabled by preferences)`);
+      return { processed: false, reason: DISABLED_BY_PREFS };
     }
+    const label = isRecovery ? 'recovery' : 'failure';
+    console.log(`Processing ${source} pipeline ${label} for ${prOwner.name}'s "${pipelineEvent.prTitle}"`);
+    const card = isRecovery ? createPipelineRecoveryCard(pipelineEvent) : createPipelineFailureCard(pipelineEvent);
+    const resultType = isRecovery ? 'pipeline_recovered' : pipelineType;
+    const delivery = await notify(context, prOwner, card, { prKey, kind: resultType });
+    return { processed: delivery !== FAILED, delivery, type: resultType, user: prOwner.name, data: pipelineEvent };
   }
 
   let parsed;
@@ -205,27 +532,41 @@ async function processWebhook(source, data, { users }) {
     return { processed: false, reason: 'comment from bot user' };
   }
 
+  const loadComment = commentWithSnippet(parsed);
+
   const botPrefKey = botType === 'sonar' ? 'sonarComments'
     : botType === 'projectBot' ? 'aiReviewComments'
     : null;
 
+  if (parsed.filePath) {
+    await addPullRequestUsers(prKey, 'reviewers', [commentAuthor]);
+  }
+  publishEvent(context, 'comment', parsed, repoKey);
+
   const prOwner = findPROwner(users, source, prAuthor);
-  const mentionedUsers = findMentionedUsers(users, commentBody, source);
+  if (prOwner && !parsed.filePath && !isCommentAuthor(prOwner, source, commentAuthor)
+    && userWantsNotification(prOwner, 'closedPRs', repoKey)) {
+    await rememberLastComment(prKey, commentAuthor, commentBody);
+  }
+  const mentionedUsers = findMentionedUsers(users, commentBody, source, groups);
   const notifiedUsers = new Set();
 
   if (prOwner) {
     const isSelfComment = isCommentAuthor(prOwner, source, commentAuthor);
-    if (isSelfComment && !userWantsNotification(prOwner, 'selfComments')) {
+    if (isSelfComment && !userWantsNotification(prOwner, 'selfComments', repoKey)) {
       console.log(`Ignoring self-comment by ${commentAuthor} on their own ${prLabel}`);
     } else {
-      const wantsComments = userWantsNotification(prOwner, 'comments');
-      const wantsBotType = botPrefKey ? userWantsNotification(prOwner, botPrefKey) : true;
+      const wantsComments = userWantsNotification(prOwner, 'comments', repoKey);
+      const wantsBotType = botPrefKey ? userWantsNotification(prOwner, botPrefKey, repoKey) : true;
 
       if (wantsComments && wantsBotType) {
         console.log(`Processing ${source} comment from ${commentAuthor} on ${prOwner.name}'s "${parsed.prTitle}"`);
-        const card = createAdaptiveCard(parsed);
-        const sent = await sendToTeams(card, prOwner.teamsWebhookUrl);
-        results.push({ type: 'comment', user: prOwner.name, sent });
+        // A batched comment would be added again on a retry too
+        context.notified?.push(prOwner.name);
+        const delivery = commentBatchWindowMs(prOwner) > 0
+          ? await queueBatchedComment(prOwner, await loadComment(), { prKey })
+          : await notifyUser(prOwner, createAdaptiveCard(await loadComment()), { prKey, kind: 'comment' });
+        results.push({ type: 'comment', user: prOwner.name, delivery });
         notifiedUsers.add(prOwner.name);
       } else {
         console.log(`Skipping comment notification for ${prOwner.name} (disabled by preferences)`);
@@ -233,35 +574,376 @@ async function processWebhook(source, data, { users }) {
     }
   }
 
-  for (const { user, mentionedAs } of mentionedUsers) {
+  for (const { user, mentionedAs, group } of mentionedUsers) {
     const isSelfMention = isCommentAuthor(user, source, commentAuthor);
-    if (isSelfMention && !userWantsNotification(user, 'selfComments')) continue;
+    if (isSelfMention && !userWantsNotification(user, 'selfComments', repoKey)) continue;
     if (notifiedUsers.has(user.name)) continue;
 
-    const wantsMentions = userWantsNotification(user, 'mentions');
-    const wantsBotType = botPrefKey ? userWantsNotification(user, botPrefKey) : true;
+    const wantsMentions = userWantsNotification(user, 'mentions', repoKey);
+    const wantsBotType = botPrefKey ? userWantsNotification(user, botPrefKey, repoKey) : true;
 
     if (!wantsMentions || !wantsBotType) {
       console.log(`Skipping mention notification for ${user.name} (disabled by preferences)`);
       continue;
     }
 
-    console.log(`Processing ${source} mention for ${user.name} (@${mentionedAs}) from ${commentAuthor}`);
-    const card = createMentionCard(parsed, mentionedAs);
-    const sent = await sendToTeams(card, user.teamsWebhookUrl);
-    results.push({ type: 'mention', user: user.name, mentionedAs, sent });
+    console.log(`Processing ${source} mention for ${user.name} (@${mentionedAs}${group ? `, group ${group}` : ''}) from ${commentAuthor}`);
+    const card = createMentionCard(await loadComment(), mentionedAs, group);
+    const delivery = await notify(context, user, card, { prKey, kind: 'mention', urgent: true });
+    results.push({ type: 'mention', user: user.name, mentionedAs, ...(group ? { group } : {}), delivery });
     notifiedUsers.add(user.name);
   }
 
+  if (parsed.threadId) {
+    const threadKey = `${source}:${parsed.repoName}:${parsed.threadId}`;
+    const thread = await loadThread(threadKey);
+    const participants = _.get(thread, 'participants', []);
+
+    for (const participant of participants) {
+      if (participant.toLowerCase() === String(commentAuthor).toLowerCase()) continue;
+      const user = findUserByUsername(users, source, participant);
+      if (!user || notifiedUsers.has(user.name)) continue;
+
+      const wantsReplies = userWantsNotification(user, 'threadReplies', repoKey);
+      const wantsBotType = botPrefKey ? userWantsNotification(user, botPrefKey, repoKey) : true;
+
+      if (!wantsReplies || !wantsBotType) {
+        console.log(`Skipping thread reply notification for ${user.name} (disabled by preferences)`);
+        continue;
+      }
+
+      console.log(`Processing ${source} thread reply for ${user.name} from ${commentAuthor}`);
+      const card = createThreadReplyCard(await loadComment());
+      const delivery = await notify(context, user, card, { prKey, kind: 'thread_reply' });
+      results.push({ type: 'thread_reply', user: user.name, delivery });
+      notifiedUsers.add(user.name);
+    }
+
+    if (!botType) {
+      await addThreadParticipant(threadKey, thread, commentAuthor);
+    }
+  }
+
   if (results.length === 0) {
-    console.log(`Ignoring - ${prLabel} author and mentioned users not in configured users`);
+    console.log(`Ignoring - ${prLabel} author, mentioned users and thread participants not in configured users`);
     return { processed: false, reason: 'no configured users to notify' };
   }
 
   return { processed: true, notifications: results };
 }
 
-async function handleWebhook(req, res, { users, addRepoIfNew, githubSecret, gitlabToken }) {
+// Thread tracking is best-effort: a storage failure only costs the reply notifications.
+async function loadThread(threadKey) {
+  try {
+    return await getThread(threadKey);
+  } catch (err) {
+    console.error(`Failed to load thread ${threadKey}:`, err.message);
+    return null;
+  }
+}
+
+// Keeps the rest of the record, such as the resolved flag notifyThreadResolved sets
+async function addThreadParticipant(threadKey, thread, author) {
+  const participants = _.get(thread, 'participants', []);
+  const known = participants.some(p => p.toLowerCase() === String(author).toLowerCase());
+  await saveThread(threadKey, {
+    ...thread,
+    participants: known ? participants : [...participants, author],
+    timestamp: Date.now()
+  });
+}
+
+// PR state only enriches notifications, so storage errors are logged and ignored.
+async function loadPullRequestState(prKey) {
+  if (!prKey) return null;
+  try {
+    return await getPullRequestState(prKey);
+  } catch (err) {
+    console.error(`Failed to load state for ${prKey}:`, err.message);
+    return null;
+  }
+}
+
+// Only the given fields are written; undefined removes a field
+async function savePullRequestState(prKey, fields) {
+  try {
+    await updatePullRequestState(prKey, fields);
+  } catch (err) {
+    console.error(`Failed to save state for ${prKey}:`, err.message);
+  }
+}
+
+// Adds usernames to one of the PR's username lists (`reviewers`, `heldReviewers`)
+async function addPullRequestUsers(prKey, field, usernames) {
+  if (!prKey) return;
+  const prState = await loadPullRequestState(prKey) || {};
+  const existing = prState[field] || [];
+  const added = usernames.filter(name => name && !existing.some(e => e.toLowerCase() === name.toLowerCase()));
+  if (added.length === 0) return;
+  await savePullRequestState(prKey, { [field]: [...existing, ...added] });
+}
+
+// "Close with comment" posts the comment just before the close event, so the
+// latest comment that could end up on a closed card is kept for a few minutes.
+// Only the excerpt the card shows is stored.
+async function rememberLastComment(prKey, author, body) {
+  if (!prKey) return;
+  const excerpt = body.length > CLOSING_COMMENT_EXCERPT ? `${body.substring(0, CLOSING_COMMENT_EXCERPT)}...` : body;
+  try {
+    await putRecentComment(prKey, { author, body: excerpt, timestamp: Date.now() });
+  } catch (err) {
+    console.error(`Failed to remember last comment on ${prKey}:`, err.message);
+  }
+}
+
+async function findClosingComment(prKey, actor) {
+  let lastComment;
+  try {
+    lastComment = await getRecentComment(prKey);
+  } catch (err) {
+    console.error(`Failed to load last comment on ${prKey}:`, err.message);
+  }
+  if (!lastComment || Date.now() - lastComment.timestamp > CLOSING_COMMENT_WINDOW_MS) return;
+  if (String(lastComment.author).toLowerCase() !== String(actor).toLowerCase()) return;
+  return lastComment.body;
+}
+
+async function clearPipelineState(repoName, branch, reason) {
+  if (!repoName || !branch) return;
+  try {
+    const cleared = await deletePipelineState(repoName, branch);
+    if (cleared) console.log(`Cleared pipeline state for ${reason} branch ${repoName}:${branch}`);
+  } catch (err) {
+    console.error(`Failed to clear pipeline state for ${repoName}:${branch}:`, err.message);
+  }
+}
+
+async function fetchPushedCommits(pushEvent) {
+  const { source, before, after } = pushEvent;
+  if (before && after) {
+    const compared = source === 'github'
+      ? await compareGitHubCommits(pushEvent.repoName, before, after)
+      : await compareGitLabCommits(pushEvent.projectId, before, after);
+    if (compared) return compared;
+  }
+  return pushEvent.latestCommitTitle ? { commitTitles: [pushEvent.latestCommitTitle] } : {};
+}
+
+async function notifyReviewRequested(reviewRequestedEvent, context, { prKey, repoKey, prLabel }) {
+  const { users, groups, codeowners = {} } = context;
+  const { source, requestedBy, reviewers } = reviewRequestedEvent;
+  await addPullRequestUsers(prKey, 'reviewers', reviewers);
+  await notifyChannels(context, 'review_requested', reviewRequestedEvent, repoKey);
+  publishEvent(context, 'review_requested', reviewRequestedEvent, repoKey);
+  const isCodeowner = isCodeownerBot(requestedBy);
+  const codeownersEntry = codeowners[repoKey];
+  const changedFiles = changedFileLookup(reviewRequestedEvent, codeownersEntry);
+  const notifications = [];
+  const held = [];
+
+  for (const reviewerUsername of reviewers) {
+    const reviewer = findUserByUsername(users, source, reviewerUsername);
+    if (!reviewer) continue;
+    if (isCodeowner && !userWantsNotification(reviewer, 'codeownerReviewRequests', repoKey)) {
+      console.log(`Skipping CODEOWNERS review-request notification for ${reviewer.name} (disabled by preferences)`);
+      continue;
+    }
+    const isSelfRequest = isCommentAuthor(reviewer, source, requestedBy);
+    if (isSelfRequest && !userWantsNotification(reviewer, 'selfReviewRequests', repoKey)) continue;
+    if (!userWantsNotification(reviewer, 'reviewRequests', repoKey)) {
+      console.log(`Skipping review-request notification for ${reviewer.name} (disabled by preferences)`);
+      continue;
+    }
+
+    let ownedFiles = [];
+    const wantsPathFilter = isCodeowner && reviewer.codeownerPaths?.length > 0;
+    if (codeownersEntry || wantsPathFilter) {
+      const { rules, paths } = await changedFiles();
+      if (rules && paths) ownedFiles = filesOwnedBy(rules, paths, ownerHandlesFor(reviewer, source, groups));
+      // Without a CODEOWNERS file, or if it doesn't name the reviewer, any changed file counts
+      const candidates = ownedFiles.length > 0 ? ownedFiles.map(f => f.path) : paths;
+      if (wantsPathFilter && candidates && !candidates.some(path => reviewer.codeownerPaths.some(glob => pathMatchesGlob(glob, path)))) {
+        console.log(`Skipping CODEOWNERS review-request notification for ${reviewer.name} (no changes under their CODEOWNERS paths)`);
+        continue;
+      }
+    }
+
+    if (reviewRequestedEvent.isDraft && userWantsNotification(reviewer, 'holdDraftReviewRequests', repoKey)) {
+      console.log(`Holding review request for ${reviewer.name} until draft ${prLabel} is ready`);
+      held.push(reviewerUsername);
+      continue;
+    }
+
+    console.log(`Processing ${source} review request from ${requestedBy} to ${reviewer.name} on "${reviewRequestedEvent.prTitle}"`);
+    const card = createReviewRequestedCard({ ...reviewRequestedEvent, ownedFiles });
+    const delivery = await notify(context, reviewer, card, { prKey, kind: 'review_requested' });
+    notifications.push({ user: reviewer.name, delivery });
+  }
+
+  if (held.length > 0) {
+    await addPullRequestUsers(prKey, 'heldReviewers', held);
+  }
+
+  if (notifications.length === 0) {
+    if (held.length > 0) return { processed: false, reason: 'held until ready for review', held };
+    console.log(`Ignoring review-requested event - no configured reviewers matched`);
+    return { processed: false, reason: 'no configured reviewers matched' };
+  }
+
+  return { processed: true, type: 'review_requested', notifications, ...(held.length > 0 ? { held } : {}) };
+}
+
+// Usernames in `skip` are left out, for reviewers getting a review request in the same hook
+async function notifyReadyForReview(readyEvent, context, { prKey, repoKey, skip = [] }) {
+  const { users } = context;
+  const { source, readyBy } = readyEvent;
+  await notifyChannels(context, 'ready_for_review', readyEvent, repoKey);
+  const prState = await loadPullRequestState(prKey) || {};
+  const heldReviewers = (prState.heldReviewers || []).map(name => name.toLowerCase());
+  const skipped = skip.map(name => name.toLowerCase());
+  const usernames = _.uniqBy([...readyEvent.reviewers, ...(prState.reviewers || []), ...(prState.heldReviewers || [])], name => name.toLowerCase())
+    .filter(name => !skipped.includes(name.toLowerCase()));
+  const notifications = [];
+
+  for (const username of usernames) {
+    const reviewer = findUserByUsername(users, source, username);
+    if (!reviewer || isCommentAuthor(reviewer, source, readyBy)) continue;
+    // A held review request is delivered now, so it follows the review-request preference
+    const prefKey = heldReviewers.includes(username.toLowerCase()) ? 'reviewRequests' : 'readyForReview';
+    if (!userWantsNotification(reviewer, prefKey, repoKey)) {
+      console.log(`Skipping ready-for-review notification for ${reviewer.name} (disabled by preferences)`);
+      continue;
+    }
+    console.log(`Processing ${source} ready-for-review for ${reviewer.name} on "${readyEvent.prTitle}"`);
+    const card = createReadyForReviewCard(readyEvent);
+    const delivery = await notify(context, reviewer, card, { prKey, kind: 'ready_for_review' });
+    notifications.push({ user: reviewer.name, delivery });
+  }
+
+  if (heldReviewers.length > 0) {
+    await savePullRequestState(prKey, { heldReviewers: undefined });
+  }
+
+  if (notifications.length === 0) {
+    console.log(`Ignoring ready-for-review event - no configured reviewers to notify`);
+    return { processed: false, reason: 'no configured reviewers matched' };
+  }
+  return { processed: true, type: 'ready_for_review', notifications };
+}
+
+// GitLab sends a note update for every note in a discussion when it is resolved,
+// so the thread record remembers the resolution and only the first one notifies.
+async function notifyThreadResolved(event, context, prKey) {
+  const { users } = context;
+  const { source, resolvedBy } = event;
+  const repoKey = `${source}:${event.repoName}`;
+  const threadKey = `${repoKey}:${event.threadId}`;
+
+  const thread = await loadThread(threadKey);
+  const participants = _.get(thread, 'participants', []);
+  const wasResolved = _.get(thread, 'resolved') === true;
+
+  if (!event.resolved) {
+    if (wasResolved) await saveThread(threadKey, { ...thread, resolved: false, timestamp: Date.now() });
+    return { processed: false, reason: 'thread not resolved' };
+  }
+  if (wasResolved) {
+    console.log(`Ignoring repeat resolution of thread ${threadKey}`);
+    return { processed: false, reason: 'thread already resolved' };
+  }
+  await saveThread(threadKey, { ...thread, participants, resolved: true, timestamp: Date.now() });
+
+  const recipients = new Map();
+  for (const participant of participants) {
+    const user = findUserByUsername(users, source, participant);
+    if (user) recipients.set(user.name, user);
+  }
+  const noteAuthor = event.noteAuthorId && findPROwner(users, source, event.noteAuthorId);
+  if (noteAuthor) recipients.set(noteAuthor.name, noteAuthor);
+
+  const results = [];
+  for (const user of recipients.values()) {
+    if (isCommentAuthor(user, source, resolvedBy)) continue;
+    if (!userWantsNotification(user, 'threadResolved', repoKey)) {
+      console.log(`Skipping thread-resolved notification for ${user.name} (disabled by preferences)`);
+      continue;
+    }
+    console.log(`Processing thread resolved by ${resolvedBy} for ${user.name}`);
+    const card = createThreadResolvedCard(event);
+    const delivery = await notify(context, user, card, { prKey, kind: 'thread_resolved' });
+    results.push({ type: 'thread_resolved', user: user.name, delivery });
+  }
+
+  if (results.length === 0) {
+    return { processed: false, reason: 'no thread participants to notify' };
+  }
+  return { processed: true, notifications: results };
+}
+
+async function saveThread(threadKey, thread) {
+  try {
+    await putThread(threadKey, thread);
+  } catch (err) {
+    console.error(`Failed to save thread ${threadKey}:`, err.message);
+  }
+}
+
+// Both platforms resend the same delivery ID when they retry after a timeout.
+// Storage errors fail open: a possible duplicate card beats a dropped one.
+async function isDuplicateDelivery(source, deliveryId) {
+  if (!deliveryId) return false;
+  try {
+    const isNew = await recordDelivery(`${source}:${deliveryId}`);
+    if (!isNew) console.log(`Ignoring duplicate ${source} delivery ${deliveryId}`);
+    return !isNew;
+  } catch (err) {
+    console.error(`Failed to record ${source} delivery ${deliveryId}:`, err.message);
+    return false;
+  }
+}
+
+// Called when processing fails, so the platform's retry isn't dropped as a duplicate.
+// Once a card has gone out the retry would send it again, so the delivery stays claimed.
+async function releaseDelivery({ source, deliveryId, notified }) {
+  if (!deliveryId) return;
+  if (notified.length > 0) {
+    console.error(`Keeping ${source} delivery ${deliveryId} after a failure; already notified ${_.uniq(notified).join(', ')}`);
+    return;
+  }
+  try {
+    await forgetDelivery(`${source}:${deliveryId}`);
+  } catch (err) {
+    console.error(`Failed to release ${source} delivery ${deliveryId}:`, err.message);
+  }
+}
+
+// Events and deferred work go out in parallel once the webhook is answered. Lambda
+// freezes as soon as the response is sent, so there they run just before it instead.
+async function respondAndRunPendingWork(res, result, { pendingEvents, pendingWork }) {
+  if (pendingEvents.length === 0 && pendingWork.length === 0) return res.json(result);
+  if (process.env.AWS_LAMBDA_FUNCTION_NAME) {
+    await runPendingWork(pendingEvents, pendingWork);
+    return res.json(result);
+  }
+  res.json(result);
+  await runPendingWork(pendingEvents, pendingWork);
+}
+
+async function runPendingWork(pendingEvents, pendingWork) {
+  await Promise.all([
+    sendEvents(pendingEvents),
+    ...pendingWork.map(work => work().catch(err => console.error('Deferred webhook work failed:', err.message)))
+  ]);
+}
+
+function secretsForRepo(repoSecrets, repoKey, fallback) {
+  const entry = _.get(repoSecrets, [repoKey]);
+  if (!entry) return fallback;
+  return [entry.secret, entry.previousSecret].filter(Boolean);
+}
+
+async function handleWebhook(req, res, { users, channels, groups, codeowners, eventSubscribers, addRepoIfNew, quarantineRepo, repoSecrets, githubSecrets, gitlabTokens }) {
+  let claimed = null;
   try {
     const isGitLab = req.headers['x-gitlab-event'] || req.headers[GITLAB_TOKEN_HEADER] || _.has(req.body, 'object_kind');
     const source = isGitLab ? 'gitlab' : 'github';
@@ -271,33 +953,63 @@ async function handleWebhook(req, res, { users, addRepoIfNew, githubSecret, gitl
       console.log(`Received GitLab webhook: object_kind=${objectKind}`);
 
       const repoName = _.get(req.body, 'project.path_with_namespace', '');
-      if (repoName) addRepoIfNew(`gitlab:${repoName}`);
+      const repoKey = `gitlab:${repoName}`;
 
       const token = req.headers[GITLAB_TOKEN_HEADER];
-      if (!verifyGitLabToken(token, gitlabToken)) {
-        console.error('Invalid GitLab token');
+      if (!verifyGitLabToken(token, secretsForRepo(repoSecrets, repoKey, gitlabTokens))) {
+        console.error(`Invalid GitLab token for ${repoKey}`);
+        quarantineRepo(repoName ? repoKey : 'gitlab:(unknown)', 'invalid token', req.ip);
+        await recordSignatureFailure(repoKey, 'invalid GitLab token');
         return res.status(401).json({ error: 'Invalid token' });
       }
 
-      const result = await processWebhook('gitlab', req.body, { users, addRepoIfNew });
-      return res.json(result);
+      if (repoName) addRepoIfNew(repoKey);
+
+      const deliveryId = req.headers[GITLAB_EVENT_UUID_HEADER];
+      if (await isDuplicateDelivery('gitlab', deliveryId)) {
+        return res.json({ processed: false, reason: 'duplicate delivery' });
+      }
+      claimed = { source: 'gitlab', deliveryId, notified: [] };
+
+      const pendingEvents = [];
+      const pendingWork = [];
+      const result = await processWebhook('gitlab', req.body, { users, channels, groups, codeowners, eventSubscribers, addRepoIfNew, pendingEvents, pendingWork, notified: claimed.notified });
+      claimed = null;
+      return respondAndRunPendingWork(res, result, { pendingEvents, pendingWork });
     }
 
     console.log('Received GitHub webhook');
 
     const repoName = _.get(req.body, 'repository.full_name', '');
-    if (repoName) addRepoIfNew(`github:${repoName}`);
-
-    const signature = req.headers[GITHUB_SIGNATURE_HEADER];
-    if (!verifyGitHubSignature(req.body, signature, githubSecret)) {
-      console.error('Invalid GitHub signature');
+    const repoKey = `github:${repoName}`;
+
+    const signatures = {
+      sha256: req.headers[GITHUB_SIGNATURE_HEADER],
+      sha1: req.headers[GITHUB_LEGACY_SIGNATURE_HEADER]
+    };
+    if (!verifyGitHubSignature(req.rawBody, signatures, secretsForRepo(repoSecrets, repoKey, githubSecrets))) {
+      console.error(`Invalid GitHub signature for ${repoKey}`);
+      quarantineRepo(repoName ? repoKey : 'github:(unknown)', 'invalid signature', req.ip);
+      await recordSignatureFailure(repoKey, 'invalid GitHub signature');
       return res.status(401).json({ error: 'Invalid signature' });
     }
 
-    const result = await processWebhook('github', req.body, { users, addRepoIfNew });
-    return res.json(result);
+    if (repoName) addRepoIfNew(repoKey);
+
+    const deliveryId = req.headers[GITHUB_DELIVERY_HEADER];
+    if (await isDuplicateDelivery('github', deliveryId)) {
+      return res.json({ processed: false, reason: 'duplicate delivery' });
+    }
+    claimed = { source: 'github', deliveryId, notified: [] };
+
+    const pendingEvents = [];
+    const pendingWork = [];
+    const result = await processWebhook('github', req.body, { users, channels, groups, codeowners, eventSubscribers, addRepoIfNew, pendingEvents, pendingWork, notified: claimed.notified });
+    claimed = null;
+    return respondAndRunPendingWork(res, result, { pendingEvents, pendingWork });
   } catch (err) {
     console.error('Webhook handler error:', err);
+    if (claimed) await releaseDelivery(claimed);
     return res.status(500).json({ error: 'Internal server error' });
   }
 }
@@ -0,0 +1,90 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { sendAdminAlert, recordSignatureFailure } from '../src/lib/alerts.js';
+
+const start = Date.parse('2026-01-15T12:00:00Z');
+const MINUTE = 60 * 1000;
+let posted;
+let now;
+
+const factsOf = (body) => JSON.parse(body).attachments[0].content.body[1].facts;
+
+beforeEach(() => {
+  process.env.ADMIN_WEBHOOK_URL = 'https://example.webhook.office.com/admin';
+  posted = [];
+  now = start;
+  mock.method(Date, 'now', () => now);
+  mock.method(globalThis, 'fetch', async (url, { body }) => {
+    posted.push(factsOf(body));
+    return { ok: true, status: 200 };
+  });
+});
+
+afterEach(() => {
+  mock.restoreAll();
+  delete process.env.ADMIN_WEBHOOK_URL;
+});
+
+describe('sendAdminAlert', () => {
+  it('sends nothing when no admin webhook is configured', async () => {
+    delete process.env.ADMIN_WEBHOOK_URL;
+    assert.equal(await sendAdminAlert('no-webhook', 'Title'), false);
+    assert.equal(posted.length, 0);
+  });
+
+  it('sends one alert per key within the cooldown', async () => {
+    assert.equal(await sendAdminAlert('cooldown', 'Title', [{ title: 'A:', value: '1' }]), true);
+    now += 14 * MINUTE;
+    assert.equal(await sendAdminAlert('cooldown', 'Title'), false);
+    assert.equal(await sendAdminAlert('cooldown-other', 'Title'), true);
+    assert.equal(posted.length, 2);
+  });
+
+  it('reports how many alerts were suppressed once the cooldown ends', async () => {
+    await sendAdminAlert('suppressed', 'Title');
+    now += MINUTE;
+    await sendAdminAlert('suppressed', 'Title');
+    await sendAdminAlert('suppressed', 'Title');
+    now += 15 * MINUTE;
+    assert.equal(await sendAdminAlert('suppressed', 'Title', [{ title: 'A:', value: '1' }]), true);
+
+    assert.equal(posted.length, 2);
+    assert.equal(posted[0].find(f => f.title === 'Suppressed since last alert:'), undefined);
+    assert.deepEqual(posted[1].find(f => f.title === 'Suppressed since last alert:'), { title: 'Suppressed since last alert:', value: '2' });
+
+    now += 15 * MINUTE;
+    await sendAdminAlert('suppressed', 'Title');
+    assert.equal(posted[2].find(f => f.title === 'Suppressed since last alert:'), undefined);
+  });
+
+  it('returns false when the admin webhook rejects the alert', async () => {
+    mock.method(globalThis, 'fetch', async () => ({ ok: false, status: 500 }));
+    assert.equal(await sendAdminAlert('rejected', 'Title'), false);
+  });
+});
+
+describe('recordSignatureFailure', () => {
+  it('alerts once 10 failures land in one window, with counts per repo', async () => {
+    for (let i = 0; i < 9; i++) {
+      assert.equal(await recordSignatureFailure(i < 6 ? 'github:a/one' : 'github:a/two', 'bad signature', now), false);
+    }
+    assert.equal(posted.length, 0);
+
+    assert.equal(await recordSignatureFailure('github:a/two', 'bad token', now), true);
+    assert.equal(posted.length, 1);
+    const facts = Object.fromEntries(posted[0].map(f => [f.title, f.value]));
+    assert.equal(facts['Failures:'], '10 in the last 5 minutes');
+    assert.equal(facts['Repos:'], 'github:a/one (6), github:a/two (4)');
+    assert.equal(facts['Latest reason:'], 'bad token');
+  });
+
+  it('starts counting again in a new window', async () => {
+    now += 5 * MINUTE;
+    for (let i = 0; i < 9; i++) {
+      assert.equal(await recordSignatureFailure('github:a/three', 'bad signature', now), false);
+    }
+    now += 5 * MINUTE;
+    assert.equal(await recordSignatureFailure('github:a/three', 'bad signature', now), false);
+    assert.equal(posted.length, 0);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMrkdwn, adaptiveCardToBlockKit } from '../src/services/blockKit.js';
+import { createAdaptiveCard } from '../src/services/cards.js';
+
+describe('toMrkdwn', () => {
+  it('converts bold and links and escapes Slack control characters', () => {
+    assert.equal(toMrkdwn('**Fix** a < b & [PR 12](https://x.test/pr/12)'), '*Fix* a &lt; b &amp; <https://x.test/pr/12|PR 12>');
+  });
+});
+
+describe('adaptiveCardToBlockKit', () => {
+  const card = createAdaptiveCard({
+    source: 'github',
+    prTitle: 'Add caching',
+    prUrl: 'https://github.com/org/repo/pull/7',
+    commentAuthor: 'bob',
+    commentBody: 'Can we **drop** this?',
+    commentUrl: 'https://github.com/org/repo/pull/7#discussion_r1',
+    repoName: 'org/repo',
+    filePath: 'src/cache.js',
+    line: 12,
+    snippet: ['+ const ttl = 60;']
+  });
+  const payload = adaptiveCardToBlockKit(card);
+
+  it('uses the card title as the header and notification text', () => {
+    assert.equal(payload.text, '💬 Code Review Comment from bob');
+    assert.deepEqual(payload.blocks[0], { type: 'header', text: { type: 'plain_text', text: '💬 Code Review Comment from bob', emoji: true } });
+  });
+
+  it('renders facts as fields, snippets as code and actions as buttons', () => {
+    const fields = payload.blocks[1].fields.map(field => field.text);
+    assert.ok(fields.includes('*Repository*\norg/repo'));
+    assert.ok(payload.blocks.some(block => block.text?.text === '```+ const ttl = 60;```'));
+    assert.ok(payload.blocks.some(block => block.text?.text === 'Can we *drop* this?'));
+    const actions = payload.blocks.at(-1);
+    assert.equal(actions.type, 'actions');
+    assert.equal(actions.elements[0].url, 'https://github.com/org/repo/pull/7#discussion_r1');
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { pathMatchesGlob, parseCodeowners, ownersForPath, ownerHandlesFor, filesOwnedBy, resolveCodeownersPath } from '../src/lib/codeowners.js';
+
+describe('pathMatchesGlob', () => {
+  it('anchors patterns with a leading or middle slash', () => {
+    assert.equal(pathMatchesGlob('/docs/', 'docs/guide/intro.md'), true);
+    assert.equal(pathMatchesGlob('/docs/', 'src/docs/intro.md'), false);
+    assert.equal(pathMatchesGlob('src/api', 'lib/src/api/x.js'), false);
+  });
+
+  it('matches unanchored patterns at any depth', () => {
+    assert.equal(pathMatchesGlob('*.js', 'src/a/b.js'), true);
+    assert.equal(pathMatchesGlob('docs/', 'packages/web/docs/a.md'), true);
+    assert.equal(pathMatchesGlob('README.md', 'packages/web/README.md'), true);
+  });
+
+  it('keeps * within one directory and lets ** cross them', () => {
+    assert.equal(pathMatchesGlob('docs/*', 'docs/a.md'), true);
+    assert.equal(pathMatchesGlob('docs/*', 'docs/guide/a.md'), false);
+    assert.equal(pathMatchesGlob('apps/**/test', 'apps/web/src/test/a.js'), true);
+    assert.equal(pathMatchesGlob('/build/logs', 'build/logs/today.log'), true);
+    assert.equal(pathMatchesGlob('src/api', 'src/api2/x.js'), false);
+  });
+});
+
+describe('parseCodeowners', () => {
+  const text = [
+    '# Global owners',
+    '*       @lead',
+    '/src/   @alice   # backend',
+    '',
+    '[Docs] @docs-team',
+    '*.md',
+    '/src/README.md @bob'
+  ].join('\n');
+
+  it('reads rules, inline comments and GitLab section default owners', () => {
+    assert.deepEqual(parseCodeowners(text), [
+      { pattern: '*', owners: ['@lead'], section: null, line: 2 },
+      { pattern: '/src/', owners: ['@alice'], section: null, line: 3 },
+      { pattern: '*.md', owners: ['@docs-team'], section: 'Docs', line: 6 },
+      { pattern: '/src/README.md', owners: ['@bob'], section: 'Docs', line: 7 }
+    ]);
+  });
+
+  it('uses the last matching rule in each section', () => {
+    const owners = ownersForPath(parseCodeowners(text), 'src/README.md').map(rule => rule.owners);
+    assert.deepEqual(owners, [['@alice'], ['@bob']]);
+  });
+});
+
+describe('filesOwnedBy', () => {
+  const rules = parseCodeowners('* @lead\n/src/payments/ @espn/payments\n/docs/ @alice');
+  const paths = ['src/payments/a.js', 'docs/x.md', 'README.md'];
+
+  it('matches owners by username or group handle, case-insensitively', () => {
+    const user = { name: 'alice', github: { username: 'Alice' } };
+    const groups = [{ members: ['alice'], handles: { github: 'espn/payments' } }];
+    assert.deepEqual(filesOwnedBy(rules, paths, ownerHandlesFor(user, 'github', groups)), [
+      { path: 'src/payments/a.js', pattern: '/src/payments/' },
+      { path: 'docs/x.md', pattern: '/docs/' }
+    ]);
+    assert.deepEqual(filesOwnedBy(rules, paths, ownerHandlesFor(user, 'gitlab', groups)), []);
+  });
+});
+
+describe('resolveCodeownersPath', () => {
+  it('resolves paths relative to the root', () => {
+    assert.equal(resolveCodeownersPath('web/.github/CODEOWNERS', '/srv/checkouts'), '/srv/checkouts/web/.github/CODEOWNERS');
+  });
+
+  it('rejects absolute paths and paths that leave the root', () => {
+    assert.equal(resolveCodeownersPath('/etc/passwd', '/srv/checkouts'), null);
+    assert.equal(resolveCodeownersPath('../secrets/CODEOWNERS', '/srv/checkouts'), null);
+    assert.equal(resolveCodeownersPath('web/../../etc/passwd', '/srv/checkouts'), null);
+  });
+
+  it('rejects every path when no root is configured', () => {
+    assert.equal(resolveCodeownersPath('web/.github/CODEOWNERS', ''), null);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { commentBatchWindowMs } from '../src/services/commentBatches.js';
+
+describe('commentBatchWindowMs', () => {
+  afterEach(() => {
+    delete process.env.AWS_LAMBDA_FUNCTION_NAME;
+    delete process.env.SCHEDULER_ENABLED;
+  });
+
+  it('uses the user setting, or 45 seconds by default, when the scheduler runs in-process', () => {
+    assert.equal(commentBatchWindowMs({}), 45 * 1000);
+    assert.equal(commentBatchWindowMs({ commentBatchSeconds: 120 }), 120 * 1000);
+    assert.equal(commentBatchWindowMs({ commentBatchSeconds: 0 }), 0);
+  });
+
+  it('turns batching off on Lambda until a schedule rule is enabled', () => {
+    process.env.AWS_LAMBDA_FUNCTION_NAME = 'notifier';
+    assert.equal(commentBatchWindowMs({}), 0);
+    assert.equal(commentBatchWindowMs({ commentBatchSeconds: 120 }), 0);
+
+    process.env.SCHEDULER_ENABLED = 'true';
+    assert.equal(commentBatchWindowMs({}), 45 * 1000);
+    assert.equal(commentBatchWindowMs({ commentBatchSeconds: 120 }), 120 * 1000);
+  });
+});
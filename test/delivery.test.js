@@ -0,0 +1,219 @@
+import { describe, it, mock, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Local state stays in memory, and each post answers with (or throws) the next queued response
+mock.module('../src/lib/persistence.js', {
+  namedExports: {
+    BACKEND: 'local',
+    detectBackend: () => 'local',
+    loadFile: () => null,
+    writeLocal: () => {},
+    persistFile: async () => {}
+  }
+});
+
+const responses = [];
+const posts = [];
+
+mock.module('../src/services/notifiers.js', {
+  namedExports: {
+    NOTIFIERS: {},
+    sendCard: async () => ({ ok: true, status: 200 }),
+    postCard: async (card, webhookUrl, provider) => {
+      posts.push({ webhookUrl, provider });
+      const response = responses.shift() || { ok: true, status: 200 };
+      if (response instanceof Error) throw response;
+      return response;
+    }
+  }
+});
+
+const {
+  deliverCard, processDeliveryQueue, listDeadLetters, replayDeadLetter, isRetryable, parseRetryAfter, nextAttemptDelay,
+  DELIVERED, QUEUED, FAILED
+} = await import('../src/services/delivery.js');
+const { getDueDeliveries, deleteQueuedDelivery, getDeadLetters, deleteDeadLetter } = await import('../src/lib/db.js');
+
+const SECOND = 1000;
+const start = Date.parse('2026-01-15T12:00:00Z');
+const card = { attachments: [{ content: { body: [{ text: 'Review requested' }] } }] };
+const webhookUrl = 'https://example.webhook.office.com/alice';
+let now;
+
+const queued = async () => getDueDeliveries(Infinity);
+const failWith = (...results) => responses.push(...results);
+
+beforeEach(async () => {
+  now = start;
+  mock.method(Date, 'now', () => now);
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+  responses.length = 0;
+  posts.length = 0;
+  for (const entry of await queued()) await deleteQueuedDelivery(entry.id);
+  for (const entry of await getDeadLetters()) await deleteDeadLetter(entry.id);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('isRetryable', () => {
+  it('retries timeouts, throttling, server errors and network failures', () => {
+    for (const status of [408, 429, 500, 502, 503]) assert.equal(isRetryable({ ok: false, status }), true);
+    assert.equal(isRetryable({ ok: false, error: 'ECONNRESET' }), true);
+  });
+
+  it('gives up on other client errors', () => {
+    for (const status of [400, 401, 403, 404, 410]) assert.equal(isRetryable({ ok: false, status }), false);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('120'), 120 * SECOND);
+    assert.equal(parseRetryAfter(new Date(start + 90 * SECOND).toUTCString()), 90 * SECOND);
+  });
+
+  it('treats missing, unparseable and past values as no wait', () => {
+    assert.equal(parseRetryAfter(null), 0);
+    assert.equal(parseRetryAfter('soon'), 0);
+    assert.equal(parseRetryAfter(new Date(start - 60 * SECOND).toUTCString()), 0);
+  });
+});
+
+describe('nextAttemptDelay', () => {
+  it('doubles from 30 seconds and caps at an hour', () => {
+    assert.deepEqual([1, 2, 3, 4, 5].map(attempts => nextAttemptDelay(attempts)), [30, 60, 120, 240, 480].map(seconds => seconds * SECOND));
+    assert.equal(nextAttemptDelay(8), 3600 * SECOND);
+    assert.equal(nextAttemptDelay(20), 3600 * SECOND);
+  });
+
+  it('waits longer when Retry-After asks for it, never shorter', () => {
+    assert.equal(nextAttemptDelay(1, '600'), 600 * SECOND);
+    assert.equal(nextAttemptDelay(3, '5'), 120 * SECOND);
+  });
+});
+
+describe('deliverCard', () => {
+  it('reports a successful post as delivered without queueing it', async () => {
+    assert.equal(await deliverCard(card, webhookUrl, { recipient: 'alice' }), DELIVERED);
+    assert.deepEqual(await queued(), []);
+  });
+
+  for (const result of [{ ok: false, status: 429 }, { ok: false, status: 503 }, { ok: false, status: 408 }, { ok: false, error: 'ECONNRESET' }]) {
+    it(`queues a retry after ${result.status || 'a network error'}`, async () => {
+      failWith(result);
+      assert.equal(await deliverCard(card, webhookUrl, { recipient: 'alice' }), QUEUED);
+      const [entry] = await queued();
+      assert.equal(entry.attempts, 1);
+      assert.equal(entry.nextAttemptAt, start + 30 * SECOND);
+      assert.deepEqual(await getDeadLetters(), []);
+    });
+  }
+
+  it('dead-letters other 4xx responses straight away', async () => {
+    failWith({ ok: false, status: 404, error: 'Not Found' });
+    assert.equal(await deliverCard(card, webhookUrl, { recipient: 'alice' }), FAILED);
+    assert.deepEqual(await queued(), []);
+    const [deadLetter] = await listDeadLetters();
+    assert.equal(deadLetter.recipient, 'alice');
+    assert.equal(deadLetter.lastStatus, 404);
+    assert.equal(deadLetter.title, 'Review requested');
+  });
+
+  it('waits as long as a Retry-After header in seconds asks', async () => {
+    failWith({ ok: false, status: 429, retryAfter: '120' });
+    await deliverCard(card, webhookUrl, { recipient: 'alice' });
+    assert.equal((await queued())[0].nextAttemptAt, start + 120 * SECOND);
+  });
+});
+
+describe('processDeliveryQueue', () => {
+  it('doubles the backoff on each retry, then dead-letters after 6 attempts', async () => {
+    const unavailable = { ok: false, status: 503 };
+    failWith(unavailable);
+    await deliverCard(card, webhookUrl, { recipient: 'alice' });
+
+    const delays = [];
+    for (let attempt = 2; attempt <= 5; attempt++) {
+      const [entry] = await queued();
+      delays.push(entry.nextAttemptAt - now);
+      now = entry.nextAttemptAt;
+      failWith(unavailable);
+      assert.deepEqual(await processDeliveryQueue(), { delivered: 0, retried: 1, deadLettered: 0, errors: 0 });
+    }
+    delays.push((await queued())[0].nextAttemptAt - now);
+    assert.deepEqual(delays, [30, 60, 120, 240, 480].map(seconds => seconds * SECOND));
+
+    now = (await queued())[0].nextAttemptAt;
+    failWith(unavailable);
+    assert.deepEqual(await processDeliveryQueue(), { delivered: 0, retried: 0, deadLettered: 1, errors: 0 });
+    assert.deepEqual(await queued(), []);
+    const [deadLetter] = await getDeadLetters();
+    assert.equal(deadLetter.attempts, 6);
+    assert.equal(deadLetter.lastStatus, 503);
+  });
+
+  it('moves on to the next entry when one fails to process', async () => {
+    failWith({ ok: false, status: 503 }, { ok: false, status: 503 });
+    await deliverCard(card, webhookUrl, { recipient: 'alice' });
+    await deliverCard(card, webhookUrl, { recipient: 'bob' });
+
+    now = start + 30 * SECOND;
+    failWith(new Error('socket hang up'));
+    assert.deepEqual(await processDeliveryQueue(), { delivered: 1, retried: 0, deadLettered: 0, errors: 1 });
+    assert.deepEqual((await queued()).map(entry => entry.recipient), ['alice']);
+  });
+
+  it('only sends entries that are due', async () => {
+    failWith({ ok: false, status: 503 });
+    await deliverCard(card, webhookUrl, { recipient: 'alice' });
+    posts.length = 0;
+
+    now = start + 29 * SECOND;
+    assert.deepEqual(await processDeliveryQueue(), { delivered: 0, retried: 0, deadLettered: 0, errors: 0 });
+    now = start + 30 * SECOND;
+    assert.deepEqual(await processDeliveryQueue(), { delivered: 1, retried: 0, deadLettered: 0, errors: 0 });
+    assert.equal(posts.length, 1);
+    assert.deepEqual(await queued(), []);
+  });
+});
+
+describe('replayDeadLetter', () => {
+  const deadLetter = async () => {
+    failWith({ ok: false, status: 404 });
+    await deliverCard(card, webhookUrl, { recipient: 'alice' });
+    return (await getDeadLetters())[0];
+  };
+
+  it('returns null for an unknown id', async () => {
+    assert.equal(await replayDeadLetter('missing'), null);
+  });
+
+  it('removes the dead letter once it is delivered', async () => {
+    const { id } = await deadLetter();
+    assert.equal(await replayDeadLetter(id), DELIVERED);
+    assert.deepEqual(await getDeadLetters(), []);
+    assert.deepEqual(await queued(), []);
+  });
+
+  it('re-queues it with a fresh attempt count on a retryable failure', async () => {
+    const { id } = await deadLetter();
+    failWith({ ok: false, status: 503 });
+    assert.equal(await replayDeadLetter(id), QUEUED);
+    assert.deepEqual(await getDeadLetters(), []);
+    const [entry] = await queued();
+    assert.equal(entry.id, id);
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.nextAttemptAt, now + 30 * SECOND);
+  });
+
+  it('keeps it dead-lettered on another permanent failure', async () => {
+    const { id } = await deadLetter();
+    failWith({ ok: false, status: 410 });
+    assert.equal(await replayDeadLetter(id), FAILED);
+    const [entry] = await getDeadLetters();
+    assert.equal(entry.attempts, 2);
+    assert.equal(entry.lastStatus, 410);
+    assert.deepEqual(await queued(), []);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { buildStreamEvent, signEventPayload, nextEventDeliveryStatus } from '../src/services/eventStream.js';
+
+describe('buildStreamEvent', () => {
+  const now = Date.parse('2026-03-02T10:00:00Z');
+
+  it('builds a versioned event from a parsed merge', () => {
+    const merge = {
+      type: 'merge', source: 'github', prAuthor: 'alice', prTitle: 'Add caching',
+      prUrl: 'https://github.com/org/repo/pull/42', mergedBy: 'bob', repoName: 'org/repo', sourceBranch: 'cache'
+    };
+    const event = buildStreamEvent('merge', merge, { repoKey: 'github:org/repo', authorName: 'alice' }, now);
+    assert.equal(event.schemaVersion, 1);
+    assert.match(event.id, /^[0-9a-f-]{36}$/);
+    assert.deepEqual({ ...event, id: undefined }, {
+      schemaVersion: 1,
+      id: undefined,
+      type: 'merge',
+      occurredAt: '2026-03-02T10:00:00.000Z',
+      source: 'github',
+      repository: 'org/repo',
+      pullRequest: { number: 42, title: 'Add caching', url: 'https://github.com/org/repo/pull/42', author: 'alice' },
+      actor: 'bob',
+      data: { sourceBranch: 'cache' }
+    });
+  });
+
+  it('keeps the GitLab author id and reads the MR number from its URL', () => {
+    const comment = {
+      source: 'gitlab', prAuthor: 17, prTitle: 'Fix', prUrl: 'https://gitlab.example.com/g/p/-/merge_requests/8',
+      commentAuthor: 'carol', commentBody: 'nit', commentUrl: 'https://gitlab.example.com/g/p/-/merge_requests/8#note_1',
+      repoName: 'g/p', filePath: 'a.js', line: 3, threadId: 'abc'
+    };
+    const event = buildStreamEvent('comment', comment, { repoKey: 'gitlab:g/p' }, now);
+    assert.deepEqual(event.pullRequest, { number: 8, title: 'Fix', url: comment.prUrl, author: null, authorId: 17 });
+    assert.equal(event.actor, 'carol');
+    assert.deepEqual(event.data, { body: 'nit', url: comment.commentUrl, filePath: 'a.js', line: 3, threadId: 'abc' });
+  });
+});
+
+describe('signEventPayload', () => {
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const body = JSON.stringify({ type: 'ping' });
+    const expected = crypto.createHmac('sha256', 'shh').update(`1700000000.${body}`).digest('hex');
+    assert.equal(signEventPayload('shh', '1700000000', body), `sha256=${expected}`);
+  });
+});
+
+describe('nextEventDeliveryStatus', () => {
+  const failure = { eventId: 'e1', type: 'merge', at: '2026-03-02T10:00:00.000Z', ok: false, status: 503, error: 'down' };
+  const success = { eventId: 'e2', type: 'merge', at: '2026-03-02T10:05:00.000Z', ok: true, status: 200, error: null };
+
+  it('counts failures in a row and resets them on success', () => {
+    const failed = nextEventDeliveryStatus(nextEventDeliveryStatus(null, failure), failure);
+    assert.equal(failed.consecutiveFailures, 2);
+    assert.equal(failed.lastError, 'down');
+    assert.equal(failed.lastSuccessAt, null);
+
+    const recovered = nextEventDeliveryStatus(failed, success);
+    assert.equal(recovered.consecutiveFailures, 0);
+    assert.equal(recovered.delivered, 1);
+    assert.equal(recovered.failed, 2);
+    assert.equal(recovered.lastErrorAt, failure.at);
+    assert.deepEqual(recovered.recent.map(a => a.eventId), ['e2', 'e1', 'e1']);
+  });
+});
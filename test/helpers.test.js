@@ -0,0 +1,376 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  nextDeliveryHealth, extractDiffSnippet, userWantsNotification, sanitizeRepoRules, repoPatternMatches,
+  isInQuietHours, sanitizeQuietHours, nextDigestAt, describeHeldItems,
+  sanitizeCommentBatchSeconds, sanitizeChannelSubscription, channelMatches,
+  sanitizeGroup, findMentionedUsers, sanitizeEventSubscriber, subscriberMatches, notifyProviders, webhookUrlError, WEBHOOK_BROKEN_THRESHOLD
+} from '../src/lib/helpers.js';
+
+describe('nextDeliveryHealth', () => {
+  const now = Date.parse('2026-01-15T12:00:00Z');
+  const user = { name: 'alice', teamsWebhookUrl: 'https://example.com/hook' };
+
+  it('counts consecutive failures and records the last error', () => {
+    const updated = nextDeliveryHealth(user, { ok: false, status: 404 }, now);
+    assert.equal(updated.deliveryHealth.consecutiveFailures, 1);
+    assert.equal(updated.deliveryHealth.lastErrorStatus, 404);
+    assert.equal(updated.webhookBroken, undefined);
+  });
+
+  it('marks the webhook broken once the threshold is reached', () => {
+    let current = user;
+    for (let i = 0; i < WEBHOOK_BROKEN_THRESHOLD; i++) {
+      current = nextDeliveryHealth(current, { ok: false, status: 404 }, now);
+    }
+    assert.equal(current.webhookBroken, true);
+    assert.equal(current.deliveryHealth.consecutiveFailures, WEBHOOK_BROKEN_THRESHOLD);
+  });
+
+  it('does not rewrite a user that is already marked broken on further failures', () => {
+    const broken = { ...user, webhookBroken: true, deliveryHealth: { consecutiveFailures: 5 } };
+    assert.equal(nextDeliveryHealth(broken, { ok: false, status: 404 }, now), null);
+  });
+
+  it('clears the broken flag and failure count on success', () => {
+    const broken = { ...user, webhookBroken: true, deliveryHealth: { consecutiveFailures: 5, lastErrorStatus: 404 } };
+    const updated = nextDeliveryHealth(broken, { ok: true, status: 200 }, now);
+    assert.equal(updated.webhookBroken, undefined);
+    assert.equal(updated.deliveryHealth.consecutiveFailures, 0);
+    assert.equal(updated.deliveryHealth.lastSuccessAt, new Date(now).toISOString());
+  });
+
+  it('skips writes for routine successes but refreshes lastSuccessAt daily', () => {
+    const healthy = { ...user, deliveryHealth: { consecutiveFailures: 0, lastSuccessAt: new Date(now - 60 * 1000).toISOString() } };
+    assert.equal(nextDeliveryHealth(healthy, { ok: true }, now), null);
+
+    const stale = { ...user, deliveryHealth: { consecutiveFailures: 0, lastSuccessAt: new Date(now - 2 * 24 * 60 * 60 * 1000).toISOString() } };
+    assert.ok(nextDeliveryHealth(stale, { ok: true }, now));
+  });
+
+  it('tracks Slack delivery separately from Teams', () => {
+    const both = { ...user, notifyVia: 'both', slackWebhookUrl: 'https://hooks.slack.com/services/T/B/x', webhookBroken: true };
+    const updated = nextDeliveryHealth(both, { ok: false, status: 404 }, now, 'slack');
+    assert.equal(updated.slackDeliveryHealth.consecutiveFailures, 1);
+    assert.equal(updated.webhookBroken, true);
+    assert.equal(updated.deliveryHealth, undefined);
+  });
+});
+
+describe('webhookUrlError', () => {
+  const baseUrl = 'https://notifier.example.com';
+
+  it('accepts a Teams workflow URL and a Slack incoming webhook', () => {
+    assert.equal(webhookUrlError('teams', 'https://prod.westus.logic.azure.com/workflows/abc', baseUrl), null);
+    assert.equal(webhookUrlError('slack', 'https://hooks.slack.com/services/T0/B0/xyz', baseUrl), null);
+  });
+
+  it('rejects this server\'s own URL and URLs meant for the other provider', () => {
+    assert.match(webhookUrlError('slack', 'https://notifier.example.com/register', baseUrl), /this server/);
+    assert.match(webhookUrlError('slack', 'https://example.com/hook', baseUrl), /hooks\.slack\.com/);
+    assert.match(webhookUrlError('teams', 'https://hooks.slack.com/services/T0/B0/xyz', baseUrl), /Slack/);
+    assert.match(webhookUrlError('teams', 'not a url', baseUrl), /valid URL/);
+  });
+
+  it('defaults users without a choice to Teams', () => {
+    assert.deepEqual(notifyProviders({}), ['teams']);
+    assert.deepEqual(notifyProviders({ notifyVia: 'both' }), ['teams', 'slack']);
+  });
+});
+
+describe('extractDiffSnippet', () => {
+  const diff = [
+    '@@ -10,6 +10,7 @@ function load() {',
+    '   const a = 1;',
+    '   const b = 2;',
+    '-  const c = 3;',
+    '+  const c = 4;',
+    '+  const d = 5;',
+    '   const e = 6;',
+    '   return a;'
+  ].join('\n');
+
+  it('ends at the commented new line with context above it', () => {
+    assert.deepEqual(extractDiffSnippet(diff, { newLine: 13 }, 2), [
+      '-  const c = 3;',
+      '+  const c = 4;',
+      '+  const d = 5;'
+    ]);
+  });
+
+  it('finds removed lines by their old line number', () => {
+    assert.deepEqual(extractDiffSnippet(diff, { oldLine: 12 }, 1), [
+      '   const b = 2;',
+      '-  const c = 3;'
+    ]);
+  });
+
+  it('falls back to the end of the hunk when the line is unknown', () => {
+    assert.deepEqual(extractDiffSnippet(diff, {}, 1), ['   const e = 6;', '   return a;']);
+  });
+
+  it('returns nothing without a diff', () => {
+    assert.deepEqual(extractDiffSnippet(undefined, { newLine: 1 }), []);
+  });
+});
+
+describe('userWantsNotification', () => {
+  const user = {
+    notifications: { pipelineFailures: true, comments: true },
+    repoRules: [
+      { pattern: 'gitlab:dtci/webdev/legacy-*', muted: true },
+      { pattern: 'gitlab:dtci/webdev/*', notifications: { pipelineFailures: false } }
+    ]
+  };
+
+  it('uses the global setting when no rule matches', () => {
+    assert.equal(userWantsNotification(user, 'pipelineFailures', 'github:org/app'), true);
+    assert.equal(userWantsNotification(user, 'pipelineFailures'), true);
+  });
+
+  it('lets the first matching rule override a type', () => {
+    assert.equal(userWantsNotification(user, 'pipelineFailures', 'gitlab:dtci/webdev/site/app'), false);
+    assert.equal(userWantsNotification(user, 'comments', 'GITLAB:dtci/webdev/site'), true);
+  });
+
+  it('drops everything from a muted repo', () => {
+    assert.equal(userWantsNotification(user, 'comments', 'gitlab:dtci/webdev/legacy-app'), false);
+  });
+});
+
+describe('sanitizeRepoRules', () => {
+  it('keeps valid patterns and known preference keys only', () => {
+    assert.deepEqual(sanitizeRepoRules([
+      { pattern: ' gitlab:group/* ', muted: true },
+      { pattern: 'has space', muted: true },
+      { pattern: 'github:org/app', notifications: { merges: false, bogus: true } },
+      { muted: true }
+    ]), [
+      { pattern: 'gitlab:group/*', muted: true },
+      { pattern: 'github:org/app', notifications: { merges: false } }
+    ]);
+  });
+
+  it('returns undefined for non-arrays', () => {
+    assert.equal(sanitizeRepoRules('nope'), undefined);
+  });
+});
+
+describe('repoPatternMatches', () => {
+  it('matches "*" against any run of characters, case-insensitively', () => {
+    assert.equal(repoPatternMatches('gitlab:dtci/*', 'gitlab:DTCI/webdev/app'), true);
+    assert.equal(repoPatternMatches('*:org/*-api', 'github:org/payments-api'), true);
+    assert.equal(repoPatternMatches('github:org/app', 'github:org/app'), true);
+    assert.equal(repoPatternMatches('github:org/app', 'github:org/app2'), false);
+    assert.equal(repoPatternMatches('a*ab', 'ab'), false);
+    assert.equal(repoPatternMatches('a*b*b', 'abb'), true);
+  });
+
+  it('stays fast on patterns with many wildcards', () => {
+    const started = Date.now();
+    assert.equal(repoPatternMatches(`${'a*'.repeat(99)}b`, 'a'.repeat(200)), false);
+    assert.ok(Date.now() - started < 100);
+  });
+});
+
+describe('isInQuietHours', () => {
+  const user = {
+    timezone: 'America/New_York',
+    quietHours: { enabled: true, start: '22:00', end: '08:00', weekends: true }
+  };
+
+  it('holds overnight in the user\'s timezone, across midnight', () => {
+    assert.equal(isInQuietHours(user, Date.parse('2026-01-14T03:30:00Z')), true);  // Tue 22:30 EST
+    assert.equal(isInQuietHours(user, Date.parse('2026-01-14T12:00:00Z')), true);  // Wed 07:00 EST
+    assert.equal(isInQuietHours(user, Date.parse('2026-01-14T13:00:00Z')), false); // Wed 08:00 EST
+  });
+
+  it('holds all weekend when enabled', () => {
+    assert.equal(isInQuietHours(user, Date.parse('2026-01-17T17:00:00Z')), true); // Sat noon EST
+    assert.equal(isInQuietHours({ ...user, quietHours: { ...user.quietHours, weekends: false } }, Date.parse('2026-01-17T17:00:00Z')), false);
+  });
+
+  it('never holds when quiet hours are disabled', () => {
+    assert.equal(isInQuietHours({ ...user, quietHours: { ...user.quietHours, enabled: false } }, Date.parse('2026-01-14T03:30:00Z')), false);
+    assert.equal(isInQuietHours({ name: 'bob' }), false);
+  });
+});
+
+describe('sanitizeQuietHours', () => {
+  it('drops malformed times and coerces flags', () => {
+    assert.deepEqual(sanitizeQuietHours({ enabled: 'yes', start: '25:00', end: '08:00', weekends: true }), {
+      enabled: false, weekends: true, urgentBypass: false
+    });
+    assert.deepEqual(sanitizeQuietHours({ enabled: true, start: '22:00', end: '07:30' }), {
+      enabled: true, weekends: false, urgentBypass: false, start: '22:00', end: '07:30'
+    });
+  });
+});
+
+describe('nextDigestAt', () => {
+  const since = Date.parse('2026-01-14T14:20:30Z'); // 09:20 in New York
+
+  it('releases hourly digests at the top of the next hour', () => {
+    assert.equal(nextDigestAt({ deliveryMode: 'hourly' }, since), Date.parse('2026-01-14T15:00:00Z'));
+  });
+
+  it('releases daily digests at the next digest time in the user\'s timezone', () => {
+    const user = { deliveryMode: 'daily', timezone: 'America/New_York', digestTime: '09:00' };
+    assert.equal(nextDigestAt(user, since), Date.parse('2026-01-15T14:00:00Z'));
+    assert.equal(nextDigestAt({ ...user, digestTime: '17:30' }, since), Date.parse('2026-01-14T22:30:00Z'));
+  });
+
+  it('keeps daily digests at the local digest time across DST changes', () => {
+    const user = { deliveryMode: 'daily', timezone: 'America/New_York', digestTime: '09:00' };
+    // Clocks go forward at 02:00 on 8 March 2026 and back at 02:00 on 1 November 2026
+    assert.equal(nextDigestAt(user, Date.parse('2026-03-07T15:00:00Z')), Date.parse('2026-03-08T13:00:00Z'));
+    assert.equal(nextDigestAt(user, Date.parse('2026-10-31T14:00:00Z')), Date.parse('2026-11-01T14:00:00Z'));
+    assert.equal(nextDigestAt({ ...user, timezone: 'Europe/London', digestTime: '08:30' }, Date.parse('2026-03-28T09:00:00Z')),
+      Date.parse('2026-03-29T07:30:00Z'));
+  });
+
+  it('rolls daily digests over month ends and defaults to UTC', () => {
+    assert.equal(nextDigestAt({ deliveryMode: 'daily', digestTime: '09:00' }, Date.parse('2026-01-31T10:00:00Z')), Date.parse('2026-02-01T09:00:00Z'));
+    assert.equal(nextDigestAt({ deliveryMode: 'daily', digestTime: '09:00' }, Date.parse('2026-01-31T08:59:59Z')), Date.parse('2026-01-31T09:00:00Z'));
+  });
+
+  it('returns null for instant delivery', () => {
+    assert.equal(nextDigestAt({}, since), null);
+  });
+});
+
+describe('describeHeldItems', () => {
+  it('counts events by kind across PRs/MRs', () => {
+    const items = [
+      { kind: 'comment', prKey: 'gitlab:g/p:1' },
+      { kind: 'comment', prKey: 'gitlab:g/p:2' },
+      { kind: 'approval', prKey: 'gitlab:g/p:1' },
+      { kind: 'pipeline_failed', prKey: 'gitlab:g/q:7' }
+    ];
+    assert.equal(describeHeldItems(items), '2 comments, 1 approval, 1 pipeline failure across 3 MRs');
+    assert.equal(describeHeldItems([{ kind: 'merge', prKey: 'github:o/r:3' }]), '1 merge across 1 PR');
+  });
+
+  it('counts mixed kinds on one MR as a single MR', () => {
+    const items = [
+      { kind: 'comment', prKey: 'gitlab:g/p:1' },
+      { kind: 'thread_reply', prKey: 'gitlab:g/p:1' },
+      { kind: 'thread_resolved', prKey: 'gitlab:g/p:1' },
+      { kind: 'comment', prKey: 'gitlab:g/p:1' }
+    ];
+    assert.equal(describeHeldItems(items), '2 comments, 1 thread reply, 1 resolved thread across 1 MR');
+  });
+});
+
+describe('sanitizeCommentBatchSeconds', () => {
+  it('clamps to 0–300 seconds and ignores blanks', () => {
+    assert.equal(sanitizeCommentBatchSeconds('30'), 30);
+    assert.equal(sanitizeCommentBatchSeconds(0), 0);
+    assert.equal(sanitizeCommentBatchSeconds(9000), 300);
+    assert.equal(sanitizeCommentBatchSeconds(''), undefined);
+    assert.equal(sanitizeCommentBatchSeconds('soon'), undefined);
+  });
+});
+
+describe('sanitizeChannelSubscription', () => {
+  it('splits lists, drops unknown events and strips @ from authors', () => {
+    const { channel } = sanitizeChannelSubscription({
+      name: ' Payments ',
+      repos: 'gitlab:payments/*, github:acme/billing',
+      events: ['merge', 'pipeline_failed', 'coffee'],
+      authors: ['@bob', '']
+    });
+    assert.deepEqual(channel, {
+      name: 'Payments',
+      repos: ['gitlab:payments/*', 'github:acme/billing'],
+      events: ['merge', 'pipeline_failed'],
+      authors: ['bob']
+    });
+  });
+
+  it('requires a name, a repo pattern and an event', () => {
+    assert.ok(sanitizeChannelSubscription({ repos: 'a', events: ['merge'] }).error);
+    assert.ok(sanitizeChannelSubscription({ name: 'x', events: ['merge'] }).error);
+    assert.ok(sanitizeChannelSubscription({ name: 'x', repos: 'a', events: [] }).error);
+  });
+});
+
+describe('channelMatches', () => {
+  const channel = { events: ['merge'], repos: ['gitlab:payments/*'], authors: ['Bob'] };
+
+  it('needs the event, a repo pattern and (if set) the author to match', () => {
+    assert.equal(channelMatches(channel, { kind: 'merge', repoKey: 'gitlab:payments/api', authorName: 'bob' }), true);
+    assert.equal(channelMatches(channel, { kind: 'closed', repoKey: 'gitlab:payments/api', authorName: 'bob' }), false);
+    assert.equal(channelMatches(channel, { kind: 'merge', repoKey: 'gitlab:search/api', authorName: 'bob' }), false);
+    assert.equal(channelMatches(channel, { kind: 'merge', repoKey: 'gitlab:payments/api', authorName: 'carol' }), false);
+    assert.equal(channelMatches(channel, { kind: 'merge', repoKey: 'gitlab:payments/api' }), false);
+    assert.equal(channelMatches({ ...channel, authors: undefined }, { kind: 'merge', repoKey: 'gitlab:payments/api' }), true);
+  });
+});
+
+describe('findMentionedUsers with groups', () => {
+  const users = ['alice', 'bob'].map(name => ({ name, gitlab: { username: name } }));
+  const groups = [{ name: 'Betting', members: ['alice', 'bob'], handles: { gitlab: 'espn/betting-team' } }];
+
+  it('adds group members once, after anyone mentioned by name', () => {
+    const mentioned = findMentionedUsers(users, 'cc @bob and @espn/betting-team', 'gitlab', groups);
+    assert.deepEqual(mentioned.map(m => [m.user.name, m.mentionedAs, m.group]), [
+      ['bob', 'bob', undefined],
+      ['alice', 'espn/betting-team', 'Betting']
+    ]);
+  });
+
+  it('ignores longer handles and other platforms', () => {
+    assert.deepEqual(findMentionedUsers(users, '@espn/betting-team-leads', 'gitlab', groups), []);
+    assert.deepEqual(findMentionedUsers(users, '@espn/betting-team', 'github', groups), []);
+  });
+});
+
+describe('sanitizeGroup', () => {
+  const users = [{ name: 'alice' }, { name: 'bob' }];
+
+  it('lowercases members and strips @ from handles', () => {
+    const { group } = sanitizeGroup({ name: 'Betting', members: ['Alice', '@bob'], handles: { github: '@espn/betting' } }, users);
+    assert.deepEqual(group, { name: 'Betting', members: ['alice', 'bob'], handles: { github: 'espn/betting' } });
+  });
+
+  it('rejects unregistered members and groups without a handle', () => {
+    assert.match(sanitizeGroup({ name: 'x', members: 'alice, zed', handles: { gitlab: 'g' } }, users).error, /zed/);
+    assert.ok(sanitizeGroup({ name: 'x', members: 'alice', handles: {} }, users).error);
+  });
+});
+
+describe('sanitizeEventSubscriber', () => {
+  it('keeps known event types and treats repos as optional', () => {
+    const { subscriber } = sanitizeEventSubscriber({
+      name: ' Dashboard ', url: 'https://dash.example.com/hook', events: ['merge', 'comment', 'bogus'], repos: []
+    });
+    assert.deepEqual(subscriber, { name: 'Dashboard', url: 'https://dash.example.com/hook', events: ['merge', 'comment'] });
+    assert.equal(subscriberMatches(subscriber, { type: 'merge', repoKey: 'gitlab:any/repo' }), true);
+    assert.equal(subscriberMatches(subscriber, { type: 'approval', repoKey: 'gitlab:any/repo' }), false);
+    assert.equal(subscriberMatches({ ...subscriber, enabled: false }, { type: 'merge', repoKey: 'gitlab:any/repo' }), false);
+  });
+
+  it('rejects URLs that are not https', () => {
+    assert.match(sanitizeEventSubscriber({ name: 'x', url: 'ftp://x.test', events: ['merge'] }).error, /https/);
+    assert.match(sanitizeEventSubscriber({ name: 'x', url: 'http://dash.example.com/hook', events: ['merge'] }).error, /https/);
+    assert.match(sanitizeEventSubscriber({ name: 'x', url: 'nope', events: ['merge'] }).error, /valid URL/);
+  });
+
+  it('rejects loopback, link-local and private network hosts', () => {
+    for (const url of [
+      'https://localhost/hook', 'https://api.localhost/hook', 'https://127.0.0.1:8080/hook', 'https://2130706433/hook',
+      'https://10.1.2.3/hook', 'https://172.20.0.5/hook', 'https://192.168.1.10/hook', 'https://169.254.169.254/latest',
+      'https://100.64.0.1/hook', 'https://0.0.0.0/hook', 'https://[::1]/hook', 'https://[::ffff:127.0.0.1]/hook',
+      'https://[fd12::1]/hook', 'https://[fe80::1]/hook'
+    ]) {
+      assert.match(sanitizeEventSubscriber({ name: 'x', url, events: ['merge'] }).error, /private network/, url);
+    }
+  });
+
+  it('accepts public hosts', () => {
+    for (const url of ['https://dash.example.com/hook', 'https://172.32.0.1/hook', 'https://[2001:db8::1]/hook']) {
+      assert.equal(sanitizeEventSubscriber({ name: 'x', url, events: ['merge'] }).error, undefined, url);
+    }
+  });
+});
@@ -0,0 +1,433 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import {
+  verifyGitHubSignature,
+  verifyGitLabToken,
+  parseGitHubWorkflowRunEvent,
+  parseGitHubCheckSuiteEvent,
+  parseGitLabApprovalEvent,
+  parseGitLabPayload,
+  parseGitLabThreadResolvedEvent,
+  parseGitLabDiscussionsResolvedEvent,
+  pullRequestKey,
+  parseGitHubPushToPullRequestEvent,
+  parseGitLabPushToMergeRequestEvent,
+  parseGitHubReadyForReviewEvent,
+  parseGitLabReadyForReviewEvent,
+  parseGitHubCloseEvent,
+  parseGitLabCloseEvent,
+  parseGitLabMergeabilityEvent,
+  parseGitHubMergeabilityEvent,
+  needsGitHubMergeabilityLookup
+} from '../src/services/parsers.js';
+
+// Test vector published in GitHub's "Validating webhook deliveries" docs
+const GITHUB_DOCS_SECRET = "It's a Secret to Everybody";
+const GITHUB_DOCS_BODY = Buffer.from('Hello, World!');
+const GITHUB_DOCS_SHA256 = 'sha256=757107ea0eb2509fc211221cce984b8a37570b6d7586c22c46f4379c8b043e17';
+const GITHUB_DOCS_SHA1 = 'sha1=01dc10d0c83e72ed246219cdd91669667fe2ca59';
+
+describe('verifyGitHubSignature', () => {
+  it('accepts the GitHub docs SHA-256 signature', () => {
+    const ok = verifyGitHubSignature(GITHUB_DOCS_BODY, { sha256: GITHUB_DOCS_SHA256 }, [GITHUB_DOCS_SECRET]);
+    assert.equal(ok, true);
+  });
+
+  it('accepts the legacy SHA-1 header when no SHA-256 header is sent', () => {
+    const ok = verifyGitHubSignature(GITHUB_DOCS_BODY, { sha1: GITHUB_DOCS_SHA1 }, [GITHUB_DOCS_SECRET]);
+    assert.equal(ok, true);
+  });
+
+  it('prefers SHA-256 over SHA-1 when both headers are sent', () => {
+    const ok = verifyGitHubSignature(
+      GITHUB_DOCS_BODY,
+      { sha256: 'sha256=' + '0'.repeat(64), sha1: GITHUB_DOCS_SHA1 },
+      [GITHUB_DOCS_SECRET]
+    );
+    assert.equal(ok, false);
+  });
+
+  it('rejects a signature made with a different secret', () => {
+    const ok = verifyGitHubSignature(GITHUB_DOCS_BODY, { sha256: GITHUB_DOCS_SHA256 }, ['not-the-secret']);
+    assert.equal(ok, false);
+  });
+
+  it('accepts any of several configured secrets during rotation', () => {
+    const ok = verifyGitHubSignature(GITHUB_DOCS_BODY, { sha256: GITHUB_DOCS_SHA256 }, ['new-secret', GITHUB_DOCS_SECRET]);
+    assert.equal(ok, true);
+  });
+
+  it('rejects a tampered body', () => {
+    const ok = verifyGitHubSignature(Buffer.from('Hello, World?'), { sha256: GITHUB_DOCS_SHA256 }, [GITHUB_DOCS_SECRET]);
+    assert.equal(ok, false);
+  });
+
+  it('rejects missing signatures and missing bodies when a secret is configured', () => {
+    assert.equal(verifyGitHubSignature(GITHUB_DOCS_BODY, {}, [GITHUB_DOCS_SECRET]), false);
+    assert.equal(verifyGitHubSignature(undefined, { sha256: GITHUB_DOCS_SHA256 }, [GITHUB_DOCS_SECRET]), false);
+  });
+
+  it('skips verification when no secret is configured', () => {
+    assert.equal(verifyGitHubSignature(GITHUB_DOCS_BODY, {}, []), true);
+    assert.equal(verifyGitHubSignature(GITHUB_DOCS_BODY, {}, undefined), true);
+  });
+
+  it('verifies the raw bytes even when re-serializing the JSON would change them', () => {
+    const raw = Buffer.from('{"action": "created", "comment": {"body": "caf\\u00e9 \\ud83d\\ude80"}}');
+    const signature = 'sha256=' + crypto.createHmac('sha256', 'secret').update(raw).digest('hex');
+    const reserialized = Buffer.from(JSON.stringify(JSON.parse(raw)));
+
+    assert.notDeepEqual(reserialized, raw);
+    assert.equal(verifyGitHubSignature(raw, { sha256: signature }, ['secret']), true);
+    assert.equal(verifyGitHubSignature(reserialized, { sha256: signature }, ['secret']), false);
+  });
+});
+
+describe('verifyGitLabToken', () => {
+  it('accepts any of the configured tokens while rotating', () => {
+    assert.equal(verifyGitLabToken('old-token', ['new-token', 'old-token']), true);
+    assert.equal(verifyGitLabToken('new-token', ['new-token', 'old-token']), true);
+  });
+
+  it('rejects wrong, longer and missing tokens', () => {
+    assert.equal(verifyGitLabToken('other-token', ['new-token']), false);
+    assert.equal(verifyGitLabToken('new-token-and-more', ['new-token']), false);
+    assert.equal(verifyGitLabToken(undefined, ['new-token']), false);
+  });
+
+  it('skips verification when no token is configured', () => {
+    assert.equal(verifyGitLabToken(undefined, []), true);
+  });
+});
+
+describe('parseGitHubWorkflowRunEvent', () => {
+  const workflowRun = (conclusion, overrides = {}) => ({
+    action: 'completed',
+    workflow_run: {
+      name: 'CI',
+      conclusion,
+      head_branch: 'feature/login',
+      display_title: 'Add login form',
+      html_url: 'https://github.com/acme/web/actions/runs/42',
+      actor: { login: 'alice' },
+      pull_requests: [{ number: 7 }],
+      ...overrides
+    },
+    repository: { full_name: 'acme/web', html_url: 'https://github.com/acme/web' }
+  });
+
+  it('maps a failed run to the pipeline_failed shape', () => {
+    const event = parseGitHubWorkflowRunEvent(workflowRun('failure'));
+    assert.equal(event.type, 'pipeline_failed');
+    assert.equal(event.source, 'github');
+    assert.equal(event.prAuthor, 'alice');
+    assert.equal(event.prUrl, 'https://github.com/acme/web/pull/7');
+    assert.equal(event.branch, 'feature/login');
+    assert.equal(event.repoName, 'acme/web');
+    assert.equal(event.workflowName, 'CI');
+    assert.deepEqual(event.failedJobs, ['CI']);
+  });
+
+  it('maps a successful run to pipeline_success', () => {
+    assert.equal(parseGitHubWorkflowRunEvent(workflowRun('success')).type, 'pipeline_success');
+  });
+
+  it('ignores cancelled, skipped and in-progress runs', () => {
+    assert.equal(parseGitHubWorkflowRunEvent(workflowRun('cancelled')), undefined);
+    assert.equal(parseGitHubWorkflowRunEvent(workflowRun('skipped')), undefined);
+    assert.equal(parseGitHubWorkflowRunEvent({ ...workflowRun(null), action: 'in_progress' }), undefined);
+  });
+
+  it('ignores runs that are not tied to a pull request', () => {
+    assert.equal(parseGitHubWorkflowRunEvent(workflowRun('failure', { pull_requests: [] })), undefined);
+  });
+});
+
+describe('parseGitHubCheckSuiteEvent', () => {
+  const checkSuite = (slug, conclusion) => ({
+    action: 'completed',
+    check_suite: {
+      conclusion,
+      head_branch: 'main',
+      head_sha: 'abc123',
+      app: { slug, name: 'CircleCI Checks' },
+      pull_requests: [{ number: 7 }]
+    },
+    sender: { login: 'bob', type: 'User' },
+    repository: { full_name: 'acme/web', html_url: 'https://github.com/acme/web' }
+  });
+
+  it('maps a failed third-party suite to pipeline_failed', () => {
+    const event = parseGitHubCheckSuiteEvent(checkSuite('circleci-checks', 'timed_out'));
+    assert.equal(event.type, 'pipeline_failed');
+    assert.equal(event.prAuthor, 'bob');
+    assert.equal(event.workflowName, 'CircleCI Checks');
+    assert.equal(event.pipelineUrl, 'https://github.com/acme/web/commit/abc123/checks');
+  });
+
+  it('skips suites that are not tied to a pull request', () => {
+    const suite = checkSuite('circleci-checks', 'failure');
+    suite.check_suite.pull_requests = [];
+    assert.equal(parseGitHubCheckSuiteEvent(suite), undefined);
+  });
+
+  it('skips GitHub Actions suites since workflow_run covers them', () => {
+    assert.equal(parseGitHubCheckSuiteEvent(checkSuite('github-actions', 'failure')), undefined);
+  });
+});
+
+describe('parseGitLabApprovalEvent', () => {
+  const mergeRequestHook = action => ({
+    object_kind: 'merge_request',
+    object_attributes: { action, author_id: 42, title: 'Fix cache', url: 'https://gitlab.example.com/g/p/-/merge_requests/3' },
+    user: { username: 'carol' },
+    project: { path_with_namespace: 'g/p' }
+  });
+
+  it('parses approvals', () => {
+    assert.equal(parseGitLabApprovalEvent(mergeRequestHook('approved')).state, 'approved');
+  });
+
+  it('parses unapproved as a revoked approval', () => {
+    const event = parseGitLabApprovalEvent(mergeRequestHook('unapproved'));
+    assert.equal(event.type, 'approval');
+    assert.equal(event.state, 'revoked');
+    assert.equal(event.reviewedBy, 'carol');
+    assert.equal(event.prAuthor, 42);
+  });
+
+  it('yields one revoked approval for the unapproval/unapproved pair GitLab sends', () => {
+    const events = ['unapproval', 'unapproved'].map(action => parseGitLabApprovalEvent(mergeRequestHook(action))).filter(Boolean);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].state, 'revoked');
+  });
+
+  it('ignores other merge request actions', () => {
+    assert.equal(parseGitLabApprovalEvent(mergeRequestHook('update')), undefined);
+  });
+});
+
+describe('parseGitLabPayload', () => {
+  it('captures file, line and snippet from a DiffNote', () => {
+    const event = parseGitLabPayload({
+      object_kind: 'note',
+      object_attributes: {
+        noteable_type: 'MergeRequest',
+        action: 'create',
+        note: 'Should this be 4?',
+        url: 'https://gitlab.example.com/g/p/-/merge_requests/3#note_1',
+        discussion_id: 'a1b2c3',
+        position: { old_path: 'src/app.js', new_path: 'src/app.js', old_line: null, new_line: 11 },
+        st_diff: { new_path: 'src/app.js', diff: '@@ -10,2 +10,2 @@\n const a = 1;\n-const b = 2;\n+const b = 4;\n' }
+      },
+      merge_request: { author_id: 42, title: 'Fix cache', url: 'https://gitlab.example.com/g/p/-/merge_requests/3' },
+      user: { username: 'carol' },
+      project: { path_with_namespace: 'g/p' }
+    });
+    assert.equal(event.filePath, 'src/app.js');
+    assert.equal(event.line, 11);
+    assert.equal(event.lineSide, 'new');
+    assert.equal(event.threadId, 'a1b2c3');
+    assert.deepEqual(event.snippet, [' const a = 1;', '-const b = 2;', '+const b = 4;']);
+    assert.equal(event.diffRefs, undefined);
+  });
+
+  it('names the diff version when the payload has no st_diff', () => {
+    const event = parseGitLabPayload({
+      object_kind: 'note',
+      object_attributes: {
+        noteable_type: 'MergeRequest',
+        note: 'Why?',
+        position: { new_path: 'src/app.js', new_line: 11, base_sha: 'aaa', head_sha: 'bbb' }
+      },
+      merge_request: { author_id: 42 },
+      project: { id: 7, path_with_namespace: 'g/p' }
+    });
+    assert.deepEqual(event.snippet, []);
+    assert.deepEqual(event.diffRefs, { baseSha: 'aaa', headSha: 'bbb' });
+    assert.equal(event.projectId, 7);
+  });
+});
+
+describe('GitLab discussion resolution', () => {
+  const noteUpdate = attributes => ({
+    object_kind: 'note',
+    object_attributes: { noteable_type: 'MergeRequest', action: 'update', discussion_id: 'd1', author_id: 7, ...attributes },
+    merge_request: { author_id: 42, title: 'Fix cache', url: 'https://gitlab.example.com/g/p/-/merge_requests/3' },
+    user: { username: 'alice' },
+    project: { path_with_namespace: 'g/p' }
+  });
+
+  it('parses a resolved note update', () => {
+    const event = parseGitLabThreadResolvedEvent(noteUpdate({ resolved: true }));
+    assert.equal(event.type, 'thread_resolved');
+    assert.equal(event.resolved, true);
+    assert.equal(event.threadId, 'd1');
+    assert.equal(event.resolvedBy, 'alice');
+    assert.equal(event.noteAuthorId, 7);
+  });
+
+  it('ignores edits to notes that cannot be resolved', () => {
+    assert.equal(parseGitLabThreadResolvedEvent(noteUpdate({})), undefined);
+  });
+
+  it('detects the last blocking discussion being resolved', () => {
+    const mergeRequestUpdate = change => ({
+      object_kind: 'merge_request',
+      object_attributes: { action: 'update', author_id: 42, title: 'Fix cache' },
+      changes: { blocking_discussions_resolved: change },
+      user: { username: 'bob' },
+      project: { path_with_namespace: 'g/p' }
+    });
+    assert.equal(parseGitLabDiscussionsResolvedEvent(mergeRequestUpdate({ previous: false, current: true })).resolvedBy, 'bob');
+    assert.equal(parseGitLabDiscussionsResolvedEvent(mergeRequestUpdate({ previous: true, current: false })), undefined);
+  });
+});
+
+describe('pushes to PRs/MRs', () => {
+  it('parses a GitHub synchronize event', () => {
+    const event = parseGitHubPushToPullRequestEvent({
+      action: 'synchronize',
+      before: 'aaa',
+      after: 'bbb',
+      sender: { login: 'alice' },
+      pull_request: { number: 5, title: 'T', html_url: 'https://github.com/o/r/pull/5', user: { login: 'alice' } },
+      repository: { full_name: 'o/r' }
+    });
+    assert.equal(event.type, 'new_commits');
+    assert.equal(event.pushedBy, 'alice');
+    assert.equal(event.before, 'aaa');
+    assert.equal(event.after, 'bbb');
+  });
+
+  it('only treats GitLab MR updates with oldrev as pushes', () => {
+    const update = extra => ({
+      object_kind: 'merge_request',
+      object_attributes: { action: 'update', iid: 3, author_id: 42, last_commit: { id: 'bbb', title: 'Address review' }, ...extra },
+      user: { username: 'alice' },
+      project: { id: 9, path_with_namespace: 'g/p', web_url: 'https://gitlab.example.com/g/p' }
+    });
+    const event = parseGitLabPushToMergeRequestEvent(update({ oldrev: 'aaa' }));
+    assert.equal(event.before, 'aaa');
+    assert.equal(event.after, 'bbb');
+    assert.equal(event.latestCommitTitle, 'Address review');
+    assert.equal(event.apiBaseUrl, undefined);
+    assert.equal(parseGitLabPushToMergeRequestEvent(update({})), undefined);
+  });
+
+  it('builds the same PR key for PR events and comments on the PR', () => {
+    const repository = { full_name: 'o/r' };
+    assert.equal(pullRequestKey('github', { pull_request: { number: 5 }, repository }), 'github:o/r:5');
+    assert.equal(pullRequestKey('github', { issue: { number: 5, pull_request: {} }, repository }), 'github:o/r:5');
+    assert.equal(pullRequestKey('github', { issue: { number: 6 }, repository }), undefined);
+    const project = { path_with_namespace: 'g/p' };
+    assert.equal(pullRequestKey('gitlab', { object_kind: 'merge_request', object_attributes: { iid: 3 }, project }), 'gitlab:g/p:3');
+    assert.equal(pullRequestKey('gitlab', { object_kind: 'note', merge_request: { iid: 3 }, project }), 'gitlab:g/p:3');
+  });
+});
+
+describe('ready-for-review transitions', () => {
+  it('parses GitHub ready_for_review with the requested reviewers', () => {
+    const event = parseGitHubReadyForReviewEvent({
+      action: 'ready_for_review',
+      sender: { login: 'alice' },
+      pull_request: { title: 'T', user: { login: 'alice' }, requested_reviewers: [{ login: 'bob' }] },
+      repository: { full_name: 'o/r' }
+    });
+    assert.equal(event.readyBy, 'alice');
+    assert.deepEqual(event.reviewers, ['bob']);
+  });
+
+  it('parses GitLab draft and work_in_progress changes from true to false only', () => {
+    const update = changes => ({
+      object_kind: 'merge_request',
+      object_attributes: { action: 'update', author_id: 42 },
+      changes,
+      reviewers: [{ username: 'bob' }],
+      user: { username: 'alice' },
+      project: { path_with_namespace: 'g/p' }
+    });
+    assert.deepEqual(parseGitLabReadyForReviewEvent(update({ draft: { previous: true, current: false } })).reviewers, ['bob']);
+    assert.ok(parseGitLabReadyForReviewEvent(update({ work_in_progress: { previous: true, current: false } })));
+    assert.equal(parseGitLabReadyForReviewEvent(update({ draft: { previous: false, current: true } })), undefined);
+  });
+});
+
+describe('close and reopen events', () => {
+  const pullRequestEvent = (action, merged) => ({
+    action,
+    sender: { login: 'maint' },
+    pull_request: { title: 'T', merged, user: { login: 'alice' }, head: { ref: 'feat' } },
+    repository: { full_name: 'o/r' }
+  });
+
+  it('parses GitHub closes without a merge and reopens', () => {
+    const closed = parseGitHubCloseEvent(pullRequestEvent('closed', false));
+    assert.equal(closed.type, 'closed');
+    assert.equal(closed.actor, 'maint');
+    assert.equal(closed.sourceBranch, 'feat');
+    assert.equal(parseGitHubCloseEvent(pullRequestEvent('reopened', false)).type, 'reopened');
+  });
+
+  it('leaves merged GitHub PRs to the merge parser', () => {
+    assert.equal(parseGitHubCloseEvent(pullRequestEvent('closed', true)), undefined);
+  });
+
+  it('parses GitLab close and reopen actions', () => {
+    const mergeRequestEvent = action => ({
+      object_kind: 'merge_request',
+      object_attributes: { action, author_id: 42, source_branch: 'feat' },
+      user: { username: 'maint' },
+      project: { path_with_namespace: 'g/p' }
+    });
+    assert.equal(parseGitLabCloseEvent(mergeRequestEvent('close')).type, 'closed');
+    assert.equal(parseGitLabCloseEvent(mergeRequestEvent('reopen')).type, 'reopened');
+    assert.equal(parseGitLabCloseEvent(mergeRequestEvent('merge')), undefined);
+  });
+});
+
+describe('mergeability', () => {
+  const mergeRequest = (attributes) => ({
+    object_kind: 'merge_request',
+    object_attributes: { action: 'update', state: 'opened', author_id: 42, ...attributes },
+    project: { path_with_namespace: 'g/p' }
+  });
+
+  it('reads GitLab conflicts and rebases from detailed_merge_status', () => {
+    assert.equal(parseGitLabMergeabilityEvent(mergeRequest({ detailed_merge_status: 'conflict' })).mergeability, 'conflict');
+    const rebase = parseGitLabMergeabilityEvent(mergeRequest({ detailed_merge_status: 'need_rebase', merge_status: 'can_be_merged' }));
+    assert.equal(rebase.mergeability, 'conflict');
+    assert.equal(rebase.needsRebase, true);
+  });
+
+  it('falls back to GitLab merge_status when another check blocks the merge', () => {
+    assert.equal(parseGitLabMergeabilityEvent(mergeRequest({ detailed_merge_status: 'not_approved', merge_status: 'can_be_merged' })).mergeability, 'mergeable');
+    assert.equal(parseGitLabMergeabilityEvent(mergeRequest({ detailed_merge_status: 'checking', merge_status: 'checking' })), undefined);
+    assert.equal(parseGitLabMergeabilityEvent(mergeRequest({ state: 'merged', merge_status: 'can_be_merged' })), undefined);
+  });
+
+  it('reads GitHub mergeable_state and skips unknown', () => {
+    const pullRequest = mergeableState => ({
+      pull_request: { state: 'open', mergeable_state: mergeableState, user: { login: 'alice' } },
+      repository: { full_name: 'o/r' }
+    });
+    assert.equal(parseGitHubMergeabilityEvent(pullRequest('dirty')).mergeability, 'conflict');
+    assert.equal(parseGitHubMergeabilityEvent(pullRequest('clean')).mergeability, 'mergeable');
+    assert.equal(parseGitHubMergeabilityEvent(pullRequest('unknown')), undefined);
+  });
+
+  it('looks GitHub mergeability up after pushes and base changes only', () => {
+    const event = (action, extra) => ({
+      action,
+      pull_request: { state: 'open', mergeable_state: 'unknown', number: 7 },
+      repository: { full_name: 'o/r' },
+      ...extra
+    });
+    assert.equal(needsGitHubMergeabilityLookup(event('synchronize')), true);
+    assert.equal(needsGitHubMergeabilityLookup(event('edited', { changes: { base: { ref: { from: 'dev' } } } })), true);
+    assert.equal(needsGitHubMergeabilityLookup(event('edited', { changes: { title: { from: 'x' } } })), false);
+    assert.equal(needsGitHubMergeabilityLookup(event('labeled')), false);
+    assert.equal(needsGitHubMergeabilityLookup(event('synchronize', { pull_request: { state: 'open', mergeable_state: 'dirty' } })), false);
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_QUARANTINED_REPOS, quarantineRepo, listQuarantinedRepos } from '../src/lib/quarantine.js';
+
+describe('quarantineRepo', () => {
+  it('counts failures per repo and keeps the latest reason and source IP', () => {
+    quarantineRepo('github:a/spoofed', 'invalid signature', '10.0.0.1');
+    quarantineRepo('github:a/spoofed', 'invalid signature', '10.0.0.2');
+    quarantineRepo('gitlab:g/once', 'invalid token', '10.0.0.3');
+
+    const [spoofed, once] = listQuarantinedRepos();
+    assert.equal(spoofed.repoKey, 'github:a/spoofed');
+    assert.equal(spoofed.count, 2);
+    assert.equal(spoofed.lastSourceIp, '10.0.0.2');
+    assert.equal(once.repoKey, 'gitlab:g/once');
+    assert.equal(once.lastReason, 'invalid token');
+  });
+
+  it(`keeps at most ${MAX_QUARANTINED_REPOS} repos, evicting the least recently seen`, () => {
+    for (let i = 0; i < MAX_QUARANTINED_REPOS; i++) {
+      quarantineRepo(`github:flood/${i}`, 'invalid signature', '10.0.0.9');
+    }
+    // Seen again, so the second flood repo is now the oldest one left
+    quarantineRepo('github:flood/0', 'invalid signature', '10.0.0.9');
+    quarantineRepo('github:flood/new', 'invalid signature', '10.0.0.9');
+
+    const repoKeys = listQuarantinedRepos().map(entry => entry.repoKey);
+    assert.equal(repoKeys.length, MAX_QUARANTINED_REPOS);
+    assert.ok(!repoKeys.includes('github:a/spoofed'));
+    assert.ok(!repoKeys.includes('github:flood/1'));
+    assert.ok(repoKeys.includes('github:flood/2'));
+    assert.ok(repoKeys.includes('github:flood/new'));
+    assert.equal(repoKeys[0], 'github:flood/0');
+  });
+});
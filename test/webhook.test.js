@@ -0,0 +1,341 @@
+import { describe, it, mock, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Local state stays in memory, and cards are recorded instead of sent
+mock.module('../src/lib/persistence.js', {
+  namedExports: {
+    BACKEND: 'local',
+    detectBackend: () => 'local',
+    loadFile: () => null,
+    writeLocal: () => {},
+    persistFile: async () => {}
+  }
+});
+
+const sent = [];
+const channelPosts = [];
+const failFor = new Set();
+
+mock.module('../src/services/quietHours.js', {
+  namedExports: {
+    HELD: 'held',
+    notifyUser: async (user, card, { prKey, kind } = {}) => {
+      if (failFor.has(user.name)) throw new Error(`Webhook for ${user.name} threw`);
+      sent.push({ user: user.name, kind, prKey });
+      return 'delivered';
+    },
+    flushHeldNotifications: async () => ({ flushed: 0, waiting: 0 })
+  }
+});
+
+mock.module('../src/services/delivery.js', {
+  namedExports: {
+    DELIVERED: 'delivered',
+    QUEUED: 'queued',
+    FAILED: 'failed',
+    deliverCard: async (card, webhookUrl, { recipient } = {}) => {
+      channelPosts.push({ recipient, webhookUrl });
+      return 'delivered';
+    },
+    deliverToUser: async () => 'delivered',
+    onDeliveryAttempt: () => {},
+    processDeliveryQueue: async () => ({}),
+    listDeadLetters: async () => [],
+    replayDeadLetter: async () => null
+  }
+});
+
+const { processWebhook, handleWebhook } = await import('../src/services/webhook.js');
+const { getPullRequestState, updatePullRequestState, recordDelivery, forgetDelivery } = await import('../src/lib/db.js');
+
+const gitlabUser = (name, userId) => ({
+  name,
+  teamsWebhookUrl: `https://example.webhook.office.com/${name}`,
+  gitlab: { username: name, userId }
+});
+
+// A general comment on an MR in g/notes; pass discussionId to reply in a thread
+const gitlabNote = ({ author, mrAuthorId, body, discussionId, iid = 7 }) => ({
+  object_kind: 'note',
+  user: { username: author },
+  project: { id: 14, path_with_namespace: 'g/notes' },
+  object_attributes: { action: 'create', noteable_type: 'MergeRequest', note: body, url: `https://gitlab.example.com/g/notes/-/merge_requests/${iid}#note_1`, discussion_id: discussionId },
+  merge_request: { iid, author_id: mrAuthorId, title: 'Tidy logging', url: `https://gitlab.example.com/g/notes/-/merge_requests/${iid}` }
+});
+
+beforeEach(() => {
+  sent.length = 0;
+  channelPosts.length = 0;
+  failFor.clear();
+});
+
+describe('processWebhook: draft cleared and reviewers added in one GitLab edit', () => {
+  const users = [gitlabUser('alice', 1), gitlabUser('bob', 2), gitlabUser('carol', 3)];
+  const prKey = 'gitlab:g/ready:5';
+
+  const hook = {
+    object_kind: 'merge_request',
+    user: { username: 'alice' },
+    project: { id: 9, path_with_namespace: 'g/ready' },
+    object_attributes: { action: 'update', iid: 5, author_id: 1, title: 'Fix cache', url: 'https://gitlab.example.com/g/ready/-/merge_requests/5', draft: false },
+    changes: {
+      draft: { previous: true, current: false },
+      reviewers: { previous: [{ username: 'bob' }], current: [{ username: 'bob' }, { username: 'carol' }] }
+    },
+    reviewers: [{ username: 'bob' }, { username: 'carol' }]
+  };
+
+  it('releases held reviewers and sends the new reviewer their request', async () => {
+    await updatePullRequestState(prKey, { reviewers: ['bob'], heldReviewers: ['bob'] });
+
+    const result = await processWebhook('gitlab', hook, { users, groups: [] });
+
+    assert.equal(result.processed, true);
+    assert.deepEqual(sent.map(({ user, kind }) => ({ user, kind })), [
+      { user: 'bob', kind: 'ready_for_review' },
+      { user: 'carol', kind: 'review_requested' }
+    ]);
+    assert.equal((await getPullRequestState(prKey)).heldReviewers, undefined);
+  });
+});
+
+describe('recordDelivery', () => {
+  it('claims a delivery ID once until it is forgotten', async () => {
+    assert.equal(await recordDelivery('gitlab:uuid-1'), true);
+    assert.equal(await recordDelivery('gitlab:uuid-1'), false);
+    assert.equal(await recordDelivery('github:uuid-1'), true);
+
+    await forgetDelivery('gitlab:uuid-1');
+    assert.equal(await recordDelivery('gitlab:uuid-1'), true);
+  });
+});
+
+describe('handleWebhook: duplicate deliveries', () => {
+  const users = [gitlabUser('alice', 1), gitlabUser('carol', 3), gitlabUser('dave', 4)];
+  let nextId = 0;
+
+  const reviewersAdded = (iid, reviewers) => ({
+    object_kind: 'merge_request',
+    user: { username: 'alice' },
+    project: { id: 9, path_with_namespace: 'g/dedup' },
+    object_attributes: { action: 'update', iid, author_id: 1, title: 'Fix cache', url: `https://gitlab.example.com/g/dedup/-/merge_requests/${iid}` },
+    changes: { reviewers: { previous: [], current: reviewers.map(username => ({ username })) } },
+    reviewers: reviewers.map(username => ({ username }))
+  });
+
+  async function send(body, deliveryId, options = {}) {
+    const req = {
+      headers: { 'x-gitlab-event': 'Merge Request Hook', 'x-gitlab-token': 'token', 'x-gitlab-event-uuid': deliveryId },
+      body,
+      ip: '127.0.0.1'
+    };
+    const res = {
+      statusCode: 200,
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; }
+    };
+    await handleWebhook(req, res, {
+      users,
+      groups: [],
+      addRepoIfNew: () => {},
+      quarantineRepo: () => {},
+      gitlabTokens: ['token'],
+      ...options
+    });
+    return res;
+  }
+
+  it('answers a resent delivery without sending the cards again', async () => {
+    const deliveryId = `uuid-dup-${nextId++}`;
+    const first = await send(reviewersAdded(20, ['carol']), deliveryId);
+    const retry = await send(reviewersAdded(20, ['carol']), deliveryId);
+
+    assert.equal(first.body.processed, true);
+    assert.deepEqual(retry.body, { processed: false, reason: 'duplicate delivery' });
+    assert.deepEqual(sent.map(({ user }) => user), ['carol']);
+  });
+
+  it('releases the delivery when it fails before any card is sent', async () => {
+    const deliveryId = `uuid-dup-${nextId++}`;
+    const unavailable = Object.assign([...users], { find() { throw new Error('users unavailable'); } });
+    const failed = await send(reviewersAdded(21, ['carol']), deliveryId, { users: unavailable });
+    assert.equal(failed.statusCode, 500);
+    assert.deepEqual(sent, []);
+
+    const retry = await send(reviewersAdded(21, ['carol']), deliveryId);
+    assert.equal(retry.body.processed, true);
+    assert.deepEqual(sent.map(({ user }) => user), ['carol']);
+  });
+
+  it('keeps the delivery claimed when it fails after a card went out', async () => {
+    const deliveryId = `uuid-dup-${nextId++}`;
+    failFor.add('dave');
+    const failed = await send(reviewersAdded(22, ['carol', 'dave']), deliveryId);
+    assert.equal(failed.statusCode, 500);
+    assert.deepEqual(sent.map(({ user }) => user), ['carol']);
+
+    failFor.clear();
+    const retry = await send(reviewersAdded(22, ['carol', 'dave']), deliveryId);
+    assert.deepEqual(retry.body, { processed: false, reason: 'duplicate delivery' });
+    assert.deepEqual(sent.map(({ user }) => user), ['carol']);
+  });
+});
+
+describe('handleWebhook: failed verification', () => {
+  it('quarantines the repo and never adds it to the repo list', async () => {
+    const added = [];
+    const quarantined = [];
+    const req = {
+      headers: { 'x-gitlab-event': 'Merge Request Hook', 'x-gitlab-token': 'wrong', 'x-gitlab-event-uuid': 'uuid-spoofed' },
+      body: { object_kind: 'merge_request', project: { id: 9, path_with_namespace: 'g/spoofed' }, object_attributes: { action: 'open', iid: 1 } },
+      ip: '203.0.113.7'
+    };
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.body = payload; return this; }
+    };
+
+    await handleWebhook(req, res, {
+      users: [gitlabUser('alice', 1)],
+      groups: [],
+      addRepoIfNew: repoKey => added.push(repoKey),
+      quarantineRepo: (...args) => quarantined.push(args),
+      gitlabTokens: ['token']
+    });
+
+    assert.equal(res.statusCode, 401);
+    assert.deepEqual(quarantined, [['gitlab:g/spoofed', 'invalid token', '203.0.113.7']]);
+    assert.deepEqual(added, []);
+    assert.deepEqual(sent, []);
+  });
+});
+
+describe('processWebhook: channel routing', () => {
+  const users = [gitlabUser('alice', 1), gitlabUser('bob', 2)];
+  const channel = (name, fields) => ({ name, webhookUrl: `https://example.webhook.office.com/${name}`, ...fields });
+  const channels = [
+    channel('squad', { repos: ['gitlab:squad/*'], events: ['merge'] }),
+    channel('squad-approvals', { repos: ['gitlab:squad/*'], events: ['approval'] }),
+    channel('platform', { repos: ['gitlab:platform/*'], events: ['merge'] }),
+    channel('alice-watch', { repos: ['gitlab:squad/*'], events: ['merge'], authors: ['alice'] })
+  ];
+
+  const merged = authorId => ({
+    object_kind: 'merge_request',
+    user: { username: 'bob' },
+    project: { id: 12, path_with_namespace: 'squad/api' },
+    object_attributes: { action: 'merge', iid: 3, author_id: authorId, title: 'Add cache', url: 'https://gitlab.example.com/squad/api/-/merge_requests/3', source_branch: 'cache' }
+  });
+
+  it('posts to channels watching the repo and event, even when the author is not registered', async () => {
+    const result = await processWebhook('gitlab', merged(99), { users, groups: [], channels });
+
+    assert.deepEqual(result.channels, [{ channel: 'squad', kind: 'merge', delivery: 'delivered' }]);
+    assert.deepEqual(channelPosts.map(({ recipient }) => recipient), ['channel:squad']);
+    assert.deepEqual(sent, []);
+  });
+
+  it('only posts to author-filtered channels for those authors', async () => {
+    await processWebhook('gitlab', merged(2), { users, groups: [], channels });
+    assert.deepEqual(channelPosts.map(({ recipient }) => recipient), ['channel:squad']);
+
+    channelPosts.length = 0;
+    await processWebhook('gitlab', merged(1), { users, groups: [], channels });
+    assert.deepEqual(channelPosts.map(({ recipient }) => recipient), ['channel:squad', 'channel:alice-watch']);
+    assert.deepEqual(sent.map(({ user, kind }) => ({ user, kind })), [{ user: 'alice', kind: 'merge' }]);
+  });
+});
+
+describe('processWebhook: group mentions', () => {
+  const users = [
+    { ...gitlabUser('alice', 1), commentBatchSeconds: 0 },
+    gitlabUser('bob', 2),
+    gitlabUser('carol', 3)
+  ];
+  const groups = [{ name: 'backend', members: ['alice', 'bob', 'carol'], handles: { gitlab: 'g/backend' } }];
+
+  it('sends one card per member, skipping the PR owner and anyone mentioned directly', async () => {
+    const result = await processWebhook('gitlab', gitlabNote({
+      author: 'dave', mrAuthorId: 1, body: '@bob and @g/backend, can someone look at this?', iid: 30
+    }), { users, groups });
+
+    assert.deepEqual(sent.map(({ user, kind }) => ({ user, kind })), [
+      { user: 'alice', kind: 'comment' },
+      { user: 'bob', kind: 'mention' },
+      { user: 'carol', kind: 'mention' }
+    ]);
+    assert.deepEqual(result.notifications.map(({ type, user, mentionedAs, group }) => ({ type, user, mentionedAs, group })), [
+      { type: 'comment', user: 'alice', mentionedAs: undefined, group: undefined },
+      { type: 'mention', user: 'bob', mentionedAs: 'bob', group: undefined },
+      { type: 'mention', user: 'carol', mentionedAs: 'g/backend', group: 'backend' }
+    ]);
+  });
+
+  it('does not match a longer group handle', async () => {
+    await processWebhook('gitlab', gitlabNote({ author: 'dave', mrAuthorId: 99, body: 'cc @g/backend-leads', iid: 31 }), { users, groups });
+    assert.deepEqual(sent, []);
+  });
+});
+
+describe('processWebhook: thread replies', () => {
+  const users = [
+    { ...gitlabUser('alice', 1), commentBatchSeconds: 0 },
+    gitlabUser('bob', 2),
+    gitlabUser('carol', 3)
+  ];
+  const reply = (author, body) => processWebhook('gitlab', gitlabNote({ author, mrAuthorId: 1, body, discussionId: 'thread-40', iid: 40 }), { users, groups: [] });
+  const received = () => sent.map(({ user, kind }) => ({ user, kind }));
+
+  it('notifies earlier participants of a reply, but not its author', async () => {
+    await reply('bob', 'Why is this async?');
+    assert.deepEqual(received(), [{ user: 'alice', kind: 'comment' }]);
+
+    sent.length = 0;
+    await reply('carol', 'It reads the config lazily.');
+    assert.deepEqual(received(), [{ user: 'alice', kind: 'comment' }, { user: 'bob', kind: 'thread_reply' }]);
+
+    sent.length = 0;
+    await reply('bob', 'Makes sense, thanks.');
+    assert.deepEqual(received(), [{ user: 'alice', kind: 'comment' }, { user: 'carol', kind: 'thread_reply' }]);
+  });
+
+  it('sends a mentioned participant the mention instead of a reply card', async () => {
+    await reply('carol', '@bob does that answer it?');
+    assert.deepEqual(received(), [{ user: 'alice', kind: 'comment' }, { user: 'bob', kind: 'mention' }]);
+  });
+});
+
+describe('processWebhook: pushes to reviewed MRs', () => {
+  const users = [
+    gitlabUser('alice', 1),
+    gitlabUser('bob', 2),
+    gitlabUser('carol', 3),
+    { ...gitlabUser('dave', 4), notifications: { newCommitsOnReviewedPRs: false } }
+  ];
+  const prKey = 'gitlab:g/push:50';
+
+  const pushed = pusher => ({
+    object_kind: 'merge_request',
+    user: { username: pusher },
+    project: { id: 15, path_with_namespace: 'g/push' },
+    object_attributes: {
+      action: 'update', iid: 50, author_id: 1, title: 'Retry uploads', url: 'https://gitlab.example.com/g/push/-/merge_requests/50',
+      oldrev: 'a1b2c3', last_commit: { title: 'Address review comments' }
+    }
+  });
+
+  it('notifies the reviewers except the pusher and those who opted out', async () => {
+    await updatePullRequestState(prKey, { reviewers: ['bob', 'carol', 'dave'] });
+
+    const result = await processWebhook('gitlab', pushed('carol'), { users, groups: [] });
+
+    assert.equal(result.type, 'new_commits');
+    assert.deepEqual(sent.map(({ user, kind, prKey: key }) => ({ user, kind, key })), [{ user: 'bob', kind: 'new_commits', key: prKey }]);
+  });
+
+  it('skips MRs nobody has reviewed yet', async () => {
+    const result = await processWebhook('gitlab', { ...pushed('alice'), object_attributes: { ...pushed('alice').object_attributes, iid: 51 } }, { users, groups: [] });
+    assert.deepEqual(result, { processed: false, reason: 'no reviewers to notify' });
+    assert.deepEqual(sent, []);
+  });
+});